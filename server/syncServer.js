@@ -0,0 +1,138 @@
+/**
+ * Reference sync server for self-hosting (protocol in src/lib/sync.js).
+ *
+ * Plain Node, no dependencies. Each sync code's data is one JSON file in
+ * the data directory:
+ *
+ *   npm run sync-server
+ *   PORT=8787 DATA_DIR=./sync-data ALLOWED_ORIGIN=https://example.com npm run sync-server
+ *
+ * Sync codes are the only credential, so run it on a network you trust or
+ * behind a proxy that adds authentication and HTTPS.
+ */
+
+import http from 'node:http';
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import {
+  SYNC_API_VERSION,
+  isValidSyncUserId,
+  validateSyncRequest,
+  mergeSyncRequest
+} from '../src/lib/sync.js';
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_DIR = path.resolve(process.env.DATA_DIR || 'sync-data');
+const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || '*';
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+const SYNC_PATH = new RegExp(`^/${SYNC_API_VERSION}/sync/([^/]+)$`);
+
+class HttpError extends Error {
+  constructor(status, problems) {
+    super(problems.join('; '));
+    this.status = status;
+    this.problems = problems;
+  }
+}
+
+const documentPath = (userId) => path.join(DATA_DIR, `${userId}.json`);
+
+const readDocument = async (userId) => {
+  try {
+    return JSON.parse(await readFile(documentPath(userId), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return { version: 0, records: {} };
+    throw error;
+  }
+};
+
+// Write to a temporary file first so a crash never leaves half a document
+const writeDocument = async (userId, document) => {
+  const target = documentPath(userId);
+  await writeFile(`${target}.tmp`, JSON.stringify(document));
+  await rename(`${target}.tmp`, target);
+};
+
+// Syncs of the same user run one after another
+const queues = new Map();
+const withUserLock = (userId, task) => {
+  const previous = queues.get(userId) || Promise.resolve();
+  const next = previous.catch(() => {}).then(task);
+  queues.set(userId, next);
+  next.finally(() => {
+    if (queues.get(userId) === next) queues.delete(userId);
+  }).catch(() => {});
+  return next;
+};
+
+const readBody = (request) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  request.on('data', chunk => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      reject(new HttpError(413, ['Request body is too large']));
+      request.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  request.on('end', () => {
+    try {
+      resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+    } catch (error) {
+      reject(new HttpError(400, [`Request body is not JSON (${error.message})`]));
+    }
+  });
+  request.on('error', reject);
+});
+
+const sendJson = (response, status, body) => {
+  response.writeHead(status, { 'Content-Type': 'application/json' });
+  response.end(JSON.stringify(body));
+};
+
+const handleSync = async (request, userId) => {
+  if (!isValidSyncUserId(userId)) throw new HttpError(400, ['Invalid sync code']);
+  const body = await readBody(request);
+  const problems = validateSyncRequest(body);
+  if (problems.length > 0) throw new HttpError(400, problems);
+
+  return withUserLock(userId, async () => {
+    const stored = await readDocument(userId);
+    const { document, response } = mergeSyncRequest(stored, body);
+    if (document.version !== stored.version) {
+      await writeDocument(userId, document);
+    }
+    return response;
+  });
+};
+
+const server = http.createServer(async (request, response) => {
+  response.setHeader('Access-Control-Allow-Origin', ALLOWED_ORIGIN);
+  response.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  response.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (request.method === 'OPTIONS') {
+    response.writeHead(204);
+    response.end();
+    return;
+  }
+
+  const match = SYNC_PATH.exec(new URL(request.url, 'http://localhost').pathname);
+  try {
+    if (!match) throw new HttpError(404, ['Not found']);
+    if (request.method !== 'POST') throw new HttpError(405, ['Use POST']);
+    sendJson(response, 200, await handleSync(request, match[1]));
+  } catch (error) {
+    if (!(error instanceof HttpError)) console.error('Sync failed:', error);
+    const status = error instanceof HttpError ? error.status : 500;
+    sendJson(response, status, { problems: error.problems || ['Internal server error'] });
+  }
+});
+
+await mkdir(DATA_DIR, { recursive: true });
+server.listen(PORT, () => {
+  console.log(`Sync server listening on http://localhost:${PORT} (data in ${DATA_DIR})`);
+});
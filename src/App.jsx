@@ -1,120 +1,434 @@
 import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import { flushSync } from 'react-dom';
-import { ChevronRight, ChevronLeft, Play, CheckCircle, Clock, Target, Calendar, Award, Settings, User, Home, BarChart3, Book, Timer, Zap, Brain, Heart } from 'lucide-react';
+import { ChevronRight, ChevronLeft, Play, CheckCircle, Clock, Target, Calendar, Award, Settings, User, Home, BarChart3, Book, Timer, Zap, Brain, Heart, Smartphone } from 'lucide-react';
+import { loadProgramDefinition, getPhaseProgress, ProgramValidationError } from './lib/programDefinition.js';
+import { readFileAsText, downloadFile } from './lib/fileIO.js';
+import {
+  RESTORE_MODES,
+  createBackup,
+  sessionsToCsv,
+  activitiesToCsv,
+  parseBackup,
+  planRestore
+} from './lib/backup.js';
+import {
+  MIN_PASSPHRASE_LENGTH,
+  DECRYPTION_ERRORS,
+  isEncryptedBackup,
+  encryptBackup,
+  decryptBackup
+} from './lib/backupEncryption.js';
+import { migrateUserProfile } from './lib/userProfile.js';
+import { COLLECTIONS, describeStorageError } from './lib/storage.js';
+import { TAB_MESSAGES, createTabSync } from './lib/tabSync.js';
+import { getPwaState, onPwaStateChange, applyUpdate, promptInstall, dismissOfflineReady } from './lib/pwa.js';
+import { parseRoute, formatRoute } from './lib/routes.js';
+import {
+  SYNC_STATE_KEY,
+  SYNC_WINNERS,
+  RECORD_TYPES,
+  isValidSyncUserId,
+  createSyncState,
+  describeSyncRecord,
+  toSyncRecords,
+  getRemoteProfile,
+  applyRemoteRecords,
+  syncWithServer
+} from './lib/sync.js';
+import {
+  RESET_UNDO_KEY,
+  UNDO_WINDOW_MS,
+  createSnapshot,
+  addSnapshot,
+  clearAppStorage
+} from './lib/snapshots.js';
+import {
+  REMINDER_TAG,
+  getReminderContent,
+  getNextReminder,
+  createReminderSchedule,
+  buildReminderConfig
+} from './lib/reminderSchedule.js';
+import {
+  supportsBackgroundReminders,
+  syncReminderSchedule,
+  showAppNotification,
+  onReminderMessage
+} from './lib/reminders.js';
+import {
+  getSessionDays,
+  getScheduledSessionType,
+  getWeeklyQuotas,
+  getCatchUpSuggestions
+} from './lib/weeklyQuota.js';
+import {
+  CHECK_IN_FIELDS,
+  CHECK_IN_MIN,
+  CHECK_IN_MAX,
+  createCheckIn,
+  hasEnergyVariants,
+  selectSessionVariant
+} from './lib/checkIn.js';
+import { ACTIVE_SESSION_KEY, getRemainingSeconds, buildPartialSessionEntry } from './lib/activeSession.js';
+import {
+  createSessionId,
+  getActivityStatus,
+  filterSessions
+} from './lib/sessionHistory.js';
+import {
+  toISODate,
+  parseISODate,
+  shiftISODate,
+  daysBetween,
+  getCalendarWeek,
+  getMinSessions,
+  isLowAdherence
+} from './lib/weekProgression.js';
+import {
+  getStreaks,
+  getWeeklyAdherence,
+  getMonthHeatmap,
+  getModalityTime
+} from './lib/progressStats.js';
+import {
+  createDailyRating,
+  upsertDailyRating,
+  isEveningRatingDue,
+  getWeeklyRatings,
+  getSessionRatingChange
+} from './lib/focusRatings.js';
+import {
+  MILESTONE_STATUS,
+  MAX_MILESTONE_NOTE_LENGTH,
+  getMilestone,
+  setMilestone,
+  isMilestoneMet,
+  detectMilestone,
+  canDetectBeforeWeekEnd,
+  getMilestoneSummary
+} from './lib/milestones.js';
+import { BUILT_IN_PROGRAMS, DEFAULT_PROGRAM_ID } from './programs/index.js';
+import { ScreenErrorBoundary } from './ErrorBoundary.jsx';
+import { getCapabilities, getStorageContents, createDiagnosticBundle } from './lib/diagnostics.js';
+import { logger, isTracing, setTracing, getLogEntries, clearLog } from './lib/logger.js';
+import { getCrashReports } from './lib/crashReport.js';
 
 // Safe localStorage operations with validation - moved inside component to access setStorageError
 // This will be defined inside the App component
 
-// Create application error boundary component
-const AppErrorBoundary = ({ children }) => {
-  const [hasError, setHasError] = useState(false);
-  const [error, setError] = useState(null);
+// Default user preferences, also used by "Reset Settings"
+const DEFAULT_PREFERENCES = {
+  notifications: true,
+  exerciseType: 'mixed',
+  reminderSchedule: createReminderSchedule(),
+  // Date#getDay() numbers without a session
+  restDays: [0],
+  // Session type label -> days, replacing the days named in the label (see weeklyQuota.js)
+  sessionDays: {},
+  soundEnabled: true,
+  theme: 'light',
+  highContrast: false,
+  reduceMotion: false,
+  extendedBreaks: false,
+  skipComplex: false,
+  weekProgression: 'calendar',
+  autoAdvance: false,
+  // Offer an energy, mood and focus rating every evening
+  eveningRating: false,
+  // Opt-in sync through a self-hosted server (see lib/sync.js)
+  sync: { enabled: false, serverUrl: '' }
+};
 
-  useEffect(() => {
-    const handleError = (event) => {
-      console.error('Mobile error caught:', event.error);
-      setHasError(true);
-      setError((event.error && event.error.message) || 'Unknown error');
-    };
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
 
-    const handleRejection = (event) => {
-      console.error('Mobile promise rejection:', event.reason);
-      setHasError(true);
-      setError((event.reason && event.reason.message) || 'Promise rejection');
-    };
+const DEFAULT_REMINDER_TIME = '09:00';
+const DEFAULT_NUDGE_TIME = '14:30';
 
-    window.addEventListener('error', handleError);
-    window.addEventListener('unhandledrejection', handleRejection);
+const MODALITY_LABELS = {
+  movement: { name: 'Movement', color: 'bg-orange-400' },
+  mindfulness: { name: 'Mindfulness', color: 'bg-purple-400' },
+  cognitive: { name: 'Cognitive', color: 'bg-blue-400' },
+  other: { name: 'Other', color: 'bg-gray-400' }
+};
 
-    return () => {
-      window.removeEventListener('error', handleError);
-      window.removeEventListener('unhandledrejection', handleRejection);
-    };
-  }, []);
+// Heatmap cell colors by number of sessions that day
+const HEATMAP_COLORS = ['bg-gray-100 text-gray-400', 'bg-green-200 text-green-900', 'bg-green-400 text-white', 'bg-green-600 text-white'];
 
-  if (hasError) {
-    return (
-      <div className="error-boundary" style={{
-        padding: '20px',
-        textAlign: 'center',
-        fontFamily: 'system-ui, sans-serif',
-        height: '100vh',
-        display: 'flex',
-        flexDirection: 'column',
-        justifyContent: 'center',
-        alignItems: 'center'
-      }}>
-        <h1 style={{ color: '#EF4444', marginBottom: '16px', fontSize: '24px' }}>Application Error</h1>
-        <p style={{ color: '#6B7280', marginBottom: '16px', maxWidth: '400px' }}>
-          The app encountered an unexpected error. Here's what happened:
+const RATING_LABELS = {
+  energy: { title: 'Energy', low: 'Drained', high: 'Energized' },
+  mood: { title: 'Mood', low: 'Low', high: 'Great' },
+  focus: { title: 'Focus', low: 'Scattered', high: 'Sharp' }
+};
+
+const MILESTONE_LABELS = {
+  [MILESTONE_STATUS.ACHIEVED]: { name: 'Achieved', badge: 'bg-green-100 text-green-800' },
+  [MILESTONE_STATUS.PARTIAL]: { name: 'Partly achieved', badge: 'bg-yellow-100 text-yellow-800' },
+  [MILESTONE_STATUS.NOT_ACHIEVED]: { name: 'Not achieved', badge: 'bg-red-100 text-red-800' }
+};
+
+// Lines of the rating trend chart, from getWeeklyRatings
+const RATING_SERIES = [
+  { key: 'before', name: 'Before sessions', stroke: '#3b82f6', swatch: 'bg-blue-500' },
+  { key: 'after', name: 'After sessions', stroke: '#22c55e', swatch: 'bg-green-500' },
+  { key: 'evening', name: 'Evenings', stroke: '#a855f7', swatch: 'bg-purple-500' }
+];
+
+const DEFAULT_SYNC_SERVER_URL = 'http://localhost:8787';
+// Wait for changes to settle before syncing them
+const SYNC_DELAY_MS = 5000;
+
+// Per-program progress fields, stashed in programProgress while another program is active
+const PROGRAM_PROGRESS_FIELDS = ['currentWeek', 'startDate', 'pausedAt', 'adherenceCheckedWeek'];
+
+// A program's stored progress with its week kept within weekCount, e.g.
+// after the program was re-imported with fewer weeks
+const clampProgramProgress = (profile, programId, weekCount) => {
+  const clamp = (progress) => (progress.currentWeek > weekCount ? {
+    ...progress,
+    currentWeek: weekCount,
+    adherenceCheckedWeek: Math.min(progress.adherenceCheckedWeek || 0, weekCount)
+  } : progress);
+
+  if ((profile.activeProgramId || DEFAULT_PROGRAM_ID) === programId) return clamp(profile);
+  const saved = (profile.programProgress || {})[programId];
+  if (!saved || saved.currentWeek <= weekCount) return profile;
+  return { ...profile, programProgress: { ...profile.programProgress, [programId]: clamp(saved) } };
+};
+
+// Asked before leaving a running session, which discards it
+const LEAVE_SESSION_PROMPT = 'Leave this session? Activities done so far are not saved.';
+
+// Component types that stay the same across renders while calling the
+// latest of the given functions. The screens are defined inside App, so
+// they would otherwise be new types on every App render and remount,
+// losing their local state (a half-typed note or passphrase).
+const useStableComponents = (components) => {
+  const latestRef = useRef(components);
+  latestRef.current = components;
+  const [stable] = useState(() => Object.fromEntries(Object.keys(components).map(name => {
+    const Stable = (props) => latestRef.current[name](props);
+    Stable.displayName = name;
+    return [name, Stable];
+  })));
+  return stable;
+};
+
+// Passphrase entry for encrypted backups. The passphrase lives only in this
+// form's state, gone once the form closes.
+// onSubmit: async; the form can be submitted again once it settles
+const PassphraseForm = ({ confirm, submitLabel, error, onSubmit, onCancel }) => {
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [formError, setFormError] = useState(null);
+  const [working, setWorking] = useState(false);
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (confirm && passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      setFormError(`Use at least ${MIN_PASSPHRASE_LENGTH} characters.`);
+      return;
+    }
+    if (confirm && passphrase !== confirmation) {
+      setFormError('The passphrases do not match.');
+      return;
+    }
+    setFormError(null);
+    setWorking(true);
+    onSubmit(passphrase).then(() => setWorking(false));
+  };
+
+  const inputClassName = 'w-full p-3 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <form onSubmit={submit} className="mt-3 p-3 rounded-lg border border-blue-200 bg-blue-50 space-y-3">
+      <input
+        type="password"
+        value={passphrase}
+        onChange={(e) => setPassphrase(e.target.value)}
+        autoComplete={confirm ? 'new-password' : 'current-password'}
+        autoFocus
+        className={inputClassName}
+        placeholder="Passphrase"
+      />
+      {confirm && (
+        <input
+          type="password"
+          value={confirmation}
+          onChange={(e) => setConfirmation(e.target.value)}
+          autoComplete="new-password"
+          className={inputClassName}
+          placeholder="Repeat passphrase"
+        />
+      )}
+      {confirm && (
+        <p className="text-xs text-gray-600">
+          The backup cannot be restored without this passphrase, and it cannot be recovered if you forget it.
         </p>
-        <div style={{ 
-          color: '#374151', 
-          fontSize: '14px',
-          backgroundColor: '#FEF2F2',
-          border: '1px solid #FCA5A5',
-          padding: '16px',
-          borderRadius: '8px',
-          fontFamily: 'monospace',
-          maxWidth: '400px',
-          marginBottom: '20px',
-          textAlign: 'left',
-          wordWrap: 'break-word'
-        }}>
-          <strong>Error:</strong><br/>
-          {error}
-        </div>
-        <button 
-          onClick={() => window.location.reload()} 
-          style={{
-            backgroundColor: '#EF4444',
-            color: 'white',
-            border: 'none',
-            padding: '12px 24px',
-            borderRadius: '8px',
-            marginTop: '16px',
-            cursor: 'pointer',
-            fontSize: '16px'
-          }}
+      )}
+      {(formError || error) && <p className="text-sm text-red-700">{formError || error}</p>}
+      <div className="flex space-x-2">
+        <button
+          type="submit"
+          disabled={working || !passphrase}
+          className="flex-1 bg-blue-500 text-white py-2 rounded-lg text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed hover:bg-blue-600 transition-colors"
         >
-          Reload App
+          {working ? 'Working…' : submitLabel}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="flex-1 bg-gray-200 text-gray-700 py-2 rounded-lg text-sm font-medium hover:bg-gray-300 transition-colors"
+        >
+          Cancel
         </button>
-        <p style={{ fontSize: '12px', color: '#9CA3AF', marginTop: '16px' }}>
-          If this keeps happening, try refreshing the page or clearing browser data
-        </p>
       </div>
-    );
-  }
+    </form>
+  );
+};
+
+// Status and note for a week's goal. Local state so typing the note only
+// re-renders the form.
+const MilestoneForm = ({ record, onSave, onCancel }) => {
+  const [status, setStatus] = useState(record ? record.status : MILESTONE_STATUS.ACHIEVED);
+  const [note, setNote] = useState(record ? record.note : '');
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-3 gap-2">
+        {Object.values(MILESTONE_STATUS).map(option => (
+          <button
+            key={option}
+            onClick={() => setStatus(option)}
+            className={`py-2 rounded-lg text-xs font-medium border transition-colors ${
+              status === option ? 'border-blue-500 bg-blue-50 text-blue-800' : 'border-gray-200 bg-white text-gray-700 hover:bg-gray-50'
+            }`}
+          >
+            {MILESTONE_LABELS[option].name}
+          </button>
+        ))}
+      </div>
+      <textarea
+        value={note}
+        onChange={(e) => setNote(e.target.value)}
+        maxLength={MAX_MILESTONE_NOTE_LENGTH}
+        rows={2}
+        placeholder="Note (optional): what happened, what helped"
+        className="w-full p-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+      />
+      <div className="flex space-x-3">
+        <button
+          onClick={() => onSave({ status, note })}
+          className="flex-1 bg-blue-500 text-white py-2 rounded-lg text-sm font-medium hover:bg-blue-600 transition-colors"
+        >
+          Save
+        </button>
+        <button
+          onClick={onCancel}
+          className="flex-1 bg-white border border-gray-300 text-gray-700 py-2 rounded-lg text-sm font-medium hover:bg-gray-50 transition-colors"
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Energy, mood and focus sliders on the check-in scale
+const RatingSliders = ({ idPrefix, ratings, onChange }) => (
+  <div className="space-y-6">
+    {CHECK_IN_FIELDS.map(field => (
+      <div key={field}>
+        <div className="flex items-center justify-between mb-2">
+          <label htmlFor={`${idPrefix}-${field}`} className="font-medium text-gray-800">{RATING_LABELS[field].title}</label>
+          <span className="text-lg font-semibold text-blue-600">{ratings[field]}</span>
+        </div>
+        <input
+          id={`${idPrefix}-${field}`}
+          type="range"
+          min={CHECK_IN_MIN}
+          max={CHECK_IN_MAX}
+          step="1"
+          value={ratings[field]}
+          onChange={(e) => onChange(prev => ({ ...prev, [field]: Number(e.target.value) }))}
+          className="w-full accent-blue-500"
+        />
+        <div className="flex justify-between text-xs text-gray-500 mt-1">
+          <span>{RATING_LABELS[field].low}</span>
+          <span>{RATING_LABELS[field].high}</span>
+        </div>
+      </div>
+    ))}
+  </div>
+);
+
+// Sliders with save and skip, for ratings outside the check-in screen.
+// Local state so dragging a slider only re-renders the form.
+const RatingForm = ({ idPrefix, submitLabel, onSubmit, onSkip }) => {
+  const [ratings, setRatings] = useState({ energy: 5, mood: 5, focus: 5 });
 
-  return children;
+  return (
+    <div className="space-y-4">
+      <RatingSliders idPrefix={idPrefix} ratings={ratings} onChange={setRatings} />
+      <div className="flex space-x-3">
+        <button
+          onClick={() => onSubmit(ratings)}
+          className="flex-1 bg-blue-500 text-white py-2 rounded-lg text-sm font-medium hover:bg-blue-600 transition-colors"
+        >
+          {submitLabel}
+        </button>
+        <button
+          onClick={onSkip}
+          className="flex-1 bg-white border border-gray-300 text-gray-700 py-2 rounded-lg text-sm font-medium hover:bg-gray-50 transition-colors"
+        >
+          Skip
+        </button>
+      </div>
+    </div>
+  );
 };
 
-const App = () => {
+// storage: app storage from openAppStorage (lib/storage.js)
+// initialData: its contents loaded before the first render (loadAppState)
+const App = ({ storage, initialData }) => {
   // Storage error state for user notifications
-  const [storageError, setStorageError] = useState(null);
-  
-  // Safe localStorage operations with error reporting
+  const [storageError, setStorageError] = useState(() => {
+    return initialData.loadError ? describeStorageError(initialData.loadError) : null;
+  });
+
+  // Another tab holding the database (StorageError reason) is only resolved
+  // by a reload, so that banner stays
+  const storageNeedsReloadRef = useRef(Boolean(initialData.loadError && initialData.loadError.reason));
+
+  // Report storage problems in the banner; read errors clear themselves
+  useEffect(() => {
+    storage.setErrorHandler(error => {
+      if (storageNeedsReloadRef.current) return;
+      if (!error) {
+        setStorageError(null);
+        return;
+      }
+      storageNeedsReloadRef.current = Boolean(error.reason);
+      setStorageError(describeStorageError(error));
+      if (error.operation === 'read') {
+        setTimeout(() => setStorageError(null), 5000);
+      }
+    });
+  }, [storage]);
+
+  // Messages to and from other tabs of the app
+  const tabSync = useMemo(() => createTabSync(), []);
+  useEffect(() => () => tabSync.close(), [tabSync]);
+
+  // Synchronous localStorage for small state that must be written while the
+  // page unloads (the active session) or read before storage has loaded
   const safeLocalStorage = useMemo(() => ({
     get: (key, defaultValue) => {
       try {
         const item = localStorage.getItem(key);
         if (!item) return defaultValue;
-        
-        const parsed = JSON.parse(item);
-        // Validate the parsed data structure
-        if (key === 'userProfile' && parsed && typeof parsed === 'object') {
-          // Ensure required properties exist
-          if (!parsed.preferences || typeof parsed.preferences !== 'object') {
-            console.warn('Invalid userProfile structure, using default');
-            return defaultValue;
-          }
-        }
-        if (key === 'completedSessions' && Array.isArray(parsed)) {
-          return new Set(parsed);
-        }
-        return parsed;
+        return JSON.parse(item);
       } catch (error) {
-        console.error(`Error reading localStorage key "${key}":`, error);
+        logger.error('storage', `Could not read localStorage key "${key}"`, error);
         setStorageError(`Unable to load ${key === 'userProfile' ? 'your profile' : 'saved progress'}. Using default values.`);
         setTimeout(() => setStorageError(null), 5000); // Clear after 5 seconds
         return defaultValue;
@@ -123,14 +437,11 @@ const App = () => {
     
     set: (key, value) => {
       try {
-        const serialized = key === 'completedSessions' && value instanceof Set 
-          ? JSON.stringify([...value])
-          : JSON.stringify(value);
-        localStorage.setItem(key, serialized);
+        localStorage.setItem(key, JSON.stringify(value));
         setStorageError(null); // Clear any previous errors on success
         return true;
       } catch (error) {
-        console.error(`Error writing localStorage key "${key}":`, error);
+        logger.error('storage', `Could not write localStorage key "${key}"`, error);
         
         // Determine error message based on error type
         let errorMessage = `Unable to save ${key === 'userProfile' ? 'profile' : 'progress'}.`;
@@ -147,9 +458,24 @@ const App = () => {
     }
   }), []);
   
-  // Mobile debugging - log to console for remote debugging
+  // Load and validate the built-in program definitions once at startup
+  const programLoad = useMemo(() => {
+    const programs = [];
+    let error = null;
+    BUILT_IN_PROGRAMS.forEach(raw => {
+      try {
+        programs.push(loadProgramDefinition(raw));
+      } catch (loadError) {
+        logger.error('programs', `Failed to load program definition "${raw.id}"`, loadError);
+        error = error || loadError;
+      }
+    });
+    return { programs, error };
+  }, []);
+
+  // Device details and reloads, for the Diagnostics log
   useEffect(() => {
-    console.log('App mounted on:', {
+    logger.info('app', 'App mounted', {
       userAgent: navigator.userAgent,
       screenSize: `${window.screen.width}x${window.screen.height}`,
       windowSize: `${window.innerWidth}x${window.innerHeight}`,
@@ -157,12 +483,12 @@ const App = () => {
     });
 
     // Detect page reloads and navigation
-    const handleBeforeUnload = (event) => {
-      console.warn('🔄 PAGE ABOUT TO UNLOAD/RELOAD - this will reset the timer!');
+    const handleBeforeUnload = () => {
+      logger.debug('app', 'Page about to unload; an active session will be offered for resume');
     };
 
-    const handleUnload = (event) => {
-      console.warn('💀 PAGE UNLOADING - timer will be lost!');
+    const handleUnload = () => {
+      logger.debug('app', 'Page unloading');
     };
 
     window.addEventListener('beforeunload', handleBeforeUnload);
@@ -170,11 +496,11 @@ const App = () => {
 
     // Check if this is a reload
     if (performance.navigation && performance.navigation.type === 1) {
-      console.warn('🔄 DETECTED: This page was RELOADED');
+      logger.info('app', 'Page was reloaded');
     } else if (performance.getEntriesByType) {
       const navigationEntries = performance.getEntriesByType('navigation');
       if (navigationEntries.length > 0 && navigationEntries[0].type === 'reload') {
-        console.warn('🔄 DETECTED: This page was RELOADED (Navigation Timing API)');
+        logger.info('app', 'Page was reloaded (Navigation Timing API)');
       }
     }
 
@@ -189,48 +515,110 @@ const App = () => {
     return 'user_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
   };
 
-  // Core app state
-  const [currentScreen, setCurrentScreen] = useState('home');
-  const [completedSessions, setCompletedSessions] = useState(() => {
-    return safeLocalStorage.get('completedSessions', new Set());
+  // Screen from the URL hash (lib/routes.js). A session or its completion
+  // screen can't be restored from a link: a reload with a session running
+  // offers it for resume on Home, otherwise the link leads to the check-in.
+  const [initialRoute] = useState(() => {
+    const route = parseRoute(window.location.hash);
+    if (route.screen === 'complete') return { ...route, screen: 'home' };
+    if (route.screen === 'session') {
+      return { ...route, screen: localStorage.getItem(ACTIVE_SESSION_KEY) ? 'home' : 'checkin' };
+    }
+    return route;
   });
 
+  // Core app state
+  const [currentScreen, setCurrentScreen] = useState(initialRoute.screen);
+  // Program week shown on the week screen
+  const [viewedWeek, setViewedWeek] = useState(initialRoute.week);
+  const [sessionHistory, setSessionHistory] = useState(initialData.sessionHistory);
+  // Evening self-ratings, one per day (lib/focusRatings.js)
+  const [dailyRatings, setDailyRatings] = useState(initialData.dailyRatings);
+
   const [userProfile, setUserProfile] = useState(() => {
     const defaultProfile = {
       userId: generateUserId(),
       name: 'ADHD Warrior',
-      startDate: new Date().toLocaleDateString(),
+      startDate: toISODate(new Date()),
       currentWeek: 1,
-      preferences: {
-        notifications: true,
-        exerciseType: 'mixed',
-        reminderTime: '09:00',
-        soundEnabled: true,
-        theme: 'light',
-        highContrast: false,
-        reduceMotion: false,
-        extendedBreaks: false,
-        skipComplex: false
-      }
+      pausedAt: null,
+      adherenceCheckedWeek: 0,
+      activeProgramId: DEFAULT_PROGRAM_ID,
+      // Saved progress of programs that are not currently active
+      programProgress: {},
+      // Milestone status and notes by program and week (lib/milestones.js)
+      milestones: {},
+      preferences: { ...DEFAULT_PREFERENCES }
     };
     
-    return safeLocalStorage.get('userProfile', defaultProfile);
+    return initialData.userProfile ? migrateUserProfile(initialData.userProfile) : defaultProfile;
   });
 
+  // User-imported programs, stored as raw definitions and re-validated on load
+  const [importedPrograms, setImportedPrograms] = useState(initialData.importedPrograms);
+  const [programImportStatus, setProgramImportStatus] = useState(null);
+
+  const programs = useMemo(() => {
+    const loaded = [...programLoad.programs];
+    importedPrograms.forEach(raw => {
+      try {
+        loaded.push(loadProgramDefinition(raw, { source: 'imported' }));
+      } catch (error) {
+        logger.warn('programs', `Ignoring invalid imported program "${raw && raw.id}"`, error);
+      }
+    });
+    return loaded;
+  }, [programLoad, importedPrograms]);
+
+  const activeProgram = programs.find(program => program.id === userProfile.activeProgramId)
+    || programs.find(program => program.id === DEFAULT_PROGRAM_ID)
+    || null;
+  const activeProgramId = activeProgram ? activeProgram.id : DEFAULT_PROGRAM_ID;
+
   // Settings state
-  const [showSettings, setShowSettings] = useState(false);
-  const [settingsCategory, setSettingsCategory] = useState('general');
+  const [showSettings, setShowSettings] = useState(Boolean(initialRoute.settingsCategory));
+  const [showExportOptions, setShowExportOptions] = useState(false);
+  // Passphrase entry for an encrypted backup: { mode: 'encrypt' } or
+  // { mode: 'decrypt', fileName, text }, plus the last error
+  const [passphrasePrompt, setPassphrasePrompt] = useState(null);
+  // Parsed backup waiting for the user to confirm the restore preview
+  const [pendingRestore, setPendingRestore] = useState(null);
+  const [restoreMode, setRestoreMode] = useState(RESTORE_MODES.MERGE);
+  const [restoreStatus, setRestoreStatus] = useState(null);
+  // Snapshots taken before destructive changes, newest first
+  const [snapshots, setSnapshots] = useState(initialData.snapshots);
+  const [resetUndo, setResetUndo] = useState(() => {
+    const undo = safeLocalStorage.get(RESET_UNDO_KEY, null);
+    return undo && undo.expiresAt > Date.now() ? undo : null;
+  });
+
+  // The undo offer disappears when its time is up
+  useEffect(() => {
+    if (!resetUndo) {
+      localStorage.removeItem(RESET_UNDO_KEY);
+      return undefined;
+    }
+    const timeout = setTimeout(() => setResetUndo(null), Math.max(0, resetUndo.expiresAt - Date.now()));
+    return () => clearTimeout(timeout);
+  }, [resetUndo]);
+  const [settingsCategory, setSettingsCategory] = useState(initialRoute.settingsCategory || 'general');
+
+  // Service worker updates and the install prompt (lib/pwa.js)
+  const [pwaState, setPwaState] = useState(getPwaState);
+  const [updateDismissed, setUpdateDismissed] = useState(false);
+  useEffect(() => onPwaStateChange(setPwaState), []);
 
   // Session state
   const [currentActivity, setCurrentActivity] = useState(0);
+  // Session type picked on the home screen instead of today's recommendation
+  const [selectedSessionType, setSelectedSessionType] = useState(null);
 
   // Audio system
   const audioContext = useRef(null);
   const audioContextClosed = useRef(false);
   
-  // Notification timer management
+  // Notification timer management (in-page fallback without a service worker)
   const notificationTimer = useRef(null);
-  const hasShownTestNotification = useRef(false);
   
   const initAudio = useCallback(() => {
     if (!audioContext.current && userProfile.preferences.soundEnabled && !audioContextClosed.current) {
@@ -242,7 +630,7 @@ const App = () => {
           audioContextClosed.current = false;
         }
       } catch (error) {
-        console.log('Audio not supported:', error);
+        logger.warn('audio', 'Audio not supported', error);
       }
     }
   }, [userProfile.preferences.soundEnabled]);
@@ -288,7 +676,7 @@ const App = () => {
       audioCleanupTimeouts.current.push(timeoutId);
       
     } catch (error) {
-      console.error('Audio playback failed:', error);
+      logger.error('audio', 'Audio playback failed', error);
     }
   }, [userProfile.preferences.soundEnabled]);
 
@@ -319,14 +707,166 @@ const App = () => {
   // Remove the setInterval that was causing unnecessary re-renders
   // Time-based functions now use new Date() directly when called
 
-  // Save data to localStorage
+  // State received from another tab, which that tab has already saved
+  const receivedStateRef = useRef({});
+  // Keys saved at least once; the first save only writes back what was loaded
+  const savedKeysRef = useRef(new Set());
+
+  // Save state and pass it on to other tabs
+  const saveState = useCallback((key, value, write) => {
+    if (receivedStateRef.current[key] === value) return;
+    const isFirstSave = !savedKeysRef.current.has(key);
+    savedKeysRef.current.add(key);
+    write(value).then(saved => {
+      if (saved && !isFirstSave) {
+        tabSync.post({ type: TAB_MESSAGES.STATE_CHANGED, key, value });
+      }
+    });
+  }, [tabSync]);
+
+  // Save data to storage
+  useEffect(() => {
+    saveState('sessionHistory', sessionHistory, value => storage.collection(COLLECTIONS.SESSIONS).replaceAll(value));
+  }, [sessionHistory, saveState, storage]);
+
+  useEffect(() => {
+    saveState('dailyRatings', dailyRatings, value => storage.collection(COLLECTIONS.DAILY_RATINGS).replaceAll(value));
+  }, [dailyRatings, saveState, storage]);
+
+  useEffect(() => {
+    saveState('userProfile', userProfile, value => storage.set('userProfile', value));
+  }, [userProfile, saveState, storage]);
+
+  useEffect(() => {
+    saveState('importedPrograms', importedPrograms, value => storage.set('importedPrograms', value));
+  }, [importedPrograms, saveState, storage]);
+
+  // Sync with the user's own server (lib/sync.js)
+  const [syncStatus, setSyncStatus] = useState(null);
+  const syncingRef = useRef(false);
+  // Options of a sync requested while one was running. It runs from an
+  // effect once that sync ends, so it sees the state committed meanwhile.
+  const pendingSyncRef = useRef(null);
+  const [syncRetry, setSyncRetry] = useState(null);
+  const syncEnabled = userProfile.preferences.sync.enabled;
+
+  // Automatic syncs only report errors and conflicts
+  const syncNow = async ({ profile = userProfile, preferRemote = false, quiet = false } = {}) => {
+    if (syncingRef.current) {
+      // Reported if any of the requests was; the retry syncs the latest state
+      pendingSyncRef.current = { quiet: quiet && (!pendingSyncRef.current || pendingSyncRef.current.quiet) };
+      return;
+    }
+    syncingRef.current = true;
+    if (!quiet) setSyncStatus({ type: 'pending', message: 'Syncing…' });
+    try {
+      const syncState = (await storage.get(SYNC_STATE_KEY, null)) || createSyncState();
+      const result = await syncWithServer({
+        serverUrl: profile.preferences.sync.serverUrl,
+        userId: profile.userId,
+        records: toSyncRecords({ userProfile: profile, sessionHistory, dailyRatings, importedPrograms }),
+        syncState,
+        preferRemote
+      });
+      await storage.set(SYNC_STATE_KEY, result.syncState);
+
+      // A profile edited here while syncing is kept; the next sync, started
+      // by that edit, resolves it against the remote one
+      const remoteProfile = getRemoteProfile(result.remoteChanges);
+      if (remoteProfile) setUserProfile(prev => (prev === profile ? migrateUserProfile(remoteProfile) : prev));
+      setSessionHistory(prev => applyRemoteRecords(prev, result.remoteChanges, RECORD_TYPES.SESSION));
+      setDailyRatings(prev => applyRemoteRecords(prev, result.remoteChanges, RECORD_TYPES.RATING));
+      setImportedPrograms(prev => applyRemoteRecords(prev, result.remoteChanges, RECORD_TYPES.PROGRAM));
+
+      if (!quiet || result.conflicts.length > 0) {
+        setSyncStatus({
+          type: 'success',
+          message: `Synced at ${new Date().toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}: ` +
+            `${result.pushed} changes sent, ${result.remoteChanges.length} received.`,
+          problems: result.conflicts.length > 0
+            ? result.conflicts.map(conflict => `${describeSyncRecord(conflict.id)} changed on two devices; kept ${
+              conflict.winner === SYNC_WINNERS.CLIENT ? 'this device\'s' : 'the other device\'s'
+            } newer version`)
+            : null
+        });
+      } else {
+        setSyncStatus(prev => (prev && prev.type === 'error' ? null : prev));
+      }
+    } catch (error) {
+      logger.error('sync', 'Sync failed', error);
+      setSyncStatus({ type: 'error', message: 'Sync failed.', problems: error.problems || [error.message] });
+    } finally {
+      syncingRef.current = false;
+    }
+    if (pendingSyncRef.current) {
+      setSyncRetry(pendingSyncRef.current);
+      pendingSyncRef.current = null;
+    }
+  };
+
+  const syncNowRef = useRef(null);
+  syncNowRef.current = syncNow;
+
+  useEffect(() => {
+    if (!syncRetry) return;
+    setSyncRetry(null);
+    if (syncEnabled) syncNowRef.current(syncRetry);
+  }, [syncRetry, syncEnabled]);
+
+  // Sync shortly after the app opens or data changes, and when back online
   useEffect(() => {
-    safeLocalStorage.set('completedSessions', completedSessions);
-  }, [completedSessions]);
+    if (!syncEnabled) return undefined;
+    const timeout = setTimeout(() => syncNowRef.current({ quiet: true }), SYNC_DELAY_MS);
+    return () => clearTimeout(timeout);
+  }, [syncEnabled, userProfile, sessionHistory, dailyRatings, importedPrograms]);
 
   useEffect(() => {
-    safeLocalStorage.set('userProfile', userProfile);
-  }, [userProfile]);
+    if (!syncEnabled) return undefined;
+    const handleOnline = () => syncNowRef.current({ quiet: true });
+    window.addEventListener('online', handleOnline);
+    return () => window.removeEventListener('online', handleOnline);
+  }, [syncEnabled]);
+
+  // Joining another device's sync code lets that device's profile and
+  // settings win; sessions recorded here are added to it
+  const enableSync = async ({ serverUrl, syncCode }) => {
+    const problems = [];
+    let url = null;
+    try {
+      url = new URL(serverUrl.trim());
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') problems.push('The server address must start with http:// or https://');
+    } catch {
+      problems.push(`Enter the full server address, e.g. ${DEFAULT_SYNC_SERVER_URL}`);
+    }
+    const code = syncCode.trim();
+    if (code && !isValidSyncUserId(code)) {
+      problems.push('A sync code only contains letters, digits, _ and -');
+    }
+    if (problems.length > 0) {
+      setSyncStatus({ type: 'error', message: 'Sync was not turned on.', problems });
+      return;
+    }
+
+    const joining = Boolean(code) && code !== userProfile.userId;
+    const sync = { enabled: true, serverUrl: url.href.replace(/\/+$/, '') };
+    const profile = {
+      ...userProfile,
+      userId: joining ? code : userProfile.userId,
+      preferences: { ...userProfile.preferences, sync }
+    };
+    // Another account or server starts from scratch
+    if (joining || sync.serverUrl !== userProfile.preferences.sync.serverUrl) {
+      await storage.set(SYNC_STATE_KEY, createSyncState());
+    }
+    soundEffects.toggle();
+    setUserProfile(profile);
+    syncNow({ profile, preferRemote: joining });
+  };
+
+  const disableSync = () => {
+    updateSettings('privacy', 'sync', { ...userProfile.preferences.sync, enabled: false });
+    setSyncStatus(null);
+  };
 
   // Initialize audio context when sound is enabled
   useEffect(() => {
@@ -431,432 +971,370 @@ const App = () => {
     }
   }, [userProfile.preferences.highContrast, userProfile.preferences.reduceMotion]);
 
-  // Improved date calculation utility - DST safe using timestamps
-  const calculateNextNotificationTime = useCallback((reminderTime) => {
-    const [hours, minutes] = reminderTime.split(':').map(Number);
-    
-    // Validate time values
-    if (isNaN(hours) || isNaN(minutes) || hours < 0 || hours > 23 || minutes < 0 || minutes > 59) {
-      console.warn('Invalid reminder time format:', reminderTime);
-      return null;
+  const enableNotifications = () => {
+    if (!('Notification' in window)) return;
+
+    Promise.resolve(Notification.requestPermission()).then(permission => {
+      setNotificationPermission(permission);
+      if (permission === 'granted') {
+        showAppNotification('Notifications Enabled', {
+          body: 'Daily reminders are now active! You\'ll receive reminders at your chosen time.',
+          icon: '/favicon.ico',
+          badge: '/favicon.ico',
+          tag: 'test-notification'
+        }).catch(error => logger.error('notifications', 'Failed to show test notification', error));
+      }
+    });
+  };
+
+  // Save user profile changes
+  const updateUserProfile = (updates) => {
+    setUserProfile(prev => ({ ...prev, ...updates }));
+  };
+
+  // Save settings changes
+  const updateSettings = (category, setting, value) => {
+    soundEffects.toggle();
+    setUserProfile(prev => ({
+      ...prev,
+      preferences: {
+        ...prev.preferences,
+        [setting]: value
+      }
+    }));
+  };
+
+  // Program data structure - weeks of the active program definition
+  const programData = activeProgram ? activeProgram.weeks : {};
+
+  const activeProgramSessionCount = filterSessions(sessionHistory, { programId: activeProgramId }).length;
+
+  // Month shown in the Progress heatmap
+  const [heatmapMonth, setHeatmapMonth] = useState(() => {
+    const now = new Date();
+    return { year: now.getFullYear(), month: now.getMonth() };
+  });
+
+  const shiftHeatmapMonth = (delta) => {
+    setHeatmapMonth(prev => {
+      const date = new Date(prev.year, prev.month + delta, 1);
+      return { year: date.getFullYear(), month: date.getMonth() };
+    });
+  };
+
+  // Rating shown in the Progress trend chart
+  const [ratingTrendField, setRatingTrendField] = useState('focus');
+
+  // Session just finished, offered a rating on the complete screen
+  const [finishedSessionId, setFinishedSessionId] = useState(null);
+  const [eveningRatingDismissed, setEveningRatingDismissed] = useState(false);
+
+  const ratePostSession = (ratings) => {
+    const postCheckIn = createCheckIn(ratings);
+    setSessionHistory(prev => prev.map(entry => (
+      entry.id === finishedSessionId ? { ...entry, postCheckIn } : entry
+    )));
+    setFinishedSessionId(null);
+  };
+
+  const rateEvening = (ratings) => {
+    const rating = createDailyRating(ratings, { programId: activeProgramId, week: userProfile.currentWeek });
+    setDailyRatings(prev => upsertDailyRating(prev, rating));
+  };
+
+  // Switch the active program, stashing the current program's progress
+  const switchProgram = (programId) => {
+    setUserProfile(prev => {
+      const previousId = prev.activeProgramId || DEFAULT_PROGRAM_ID;
+      if (previousId === programId) return prev;
+
+      const stashed = {};
+      PROGRAM_PROGRESS_FIELDS.forEach(field => {
+        stashed[field] = prev[field];
+      });
+      const programProgress = { ...(prev.programProgress || {}), [previousId]: stashed };
+      const target = programProgress[programId] || {
+        currentWeek: 1,
+        startDate: toISODate(new Date()),
+        pausedAt: null,
+        adherenceCheckedWeek: 0
+      };
+
+      return {
+        ...prev,
+        ...target,
+        activeProgramId: programId,
+        programProgress
+      };
+    });
+    setCurrentActivity(0);
+  };
+
+  // Import a program definition from a user-selected JSON file
+  const importProgramFile = async (file) => {
+    try {
+      const text = await readFileAsText(file);
+      let raw;
+      try {
+        raw = JSON.parse(text);
+      } catch {
+        throw new ProgramValidationError([`${file.name} is not valid JSON`]);
+      }
+
+      const program = loadProgramDefinition(raw, { source: 'imported' });
+      if (programLoad.programs.some(builtIn => builtIn.id === program.id)) {
+        throw new ProgramValidationError([`id: "${program.id}" is already used by a built-in program`]);
+      }
+
+      setImportedPrograms(prev => [...prev.filter(existing => existing.id !== program.id), raw]);
+      // A re-import may have fewer weeks than the progress stored for it
+      setUserProfile(prev => clampProgramProgress(prev, program.id, program.weekCount));
+      setProgramImportStatus({
+        type: 'success',
+        message: `Imported "${program.title}" (${program.weekCount} weeks).`
+      });
+    } catch (error) {
+      logger.error('programs', 'Program import failed', error);
+      setProgramImportStatus({
+        type: 'error',
+        message: `Could not import ${file.name}.`,
+        problems: error.problems || [error.message]
+      });
     }
-    
-    // Use timestamps to avoid DST issues
-    const now = Date.now();
-    const scheduledTime = new Date();
-    scheduledTime.setHours(hours, minutes, 0, 0);
-    
-    // If the time has passed today, schedule for tomorrow
-    if (scheduledTime.getTime() <= now) {
-      scheduledTime.setDate(scheduledTime.getDate() + 1);
+  };
+
+  // Completed sessions of the active program recorded for a given week
+  const getWeekSessionCount = (week) => {
+    return filterSessions(sessionHistory, { programId: activeProgramId, week }).length;
+  };
+
+  const removeImportedProgram = (programId) => {
+    if (programId === activeProgramId) {
+      switchProgram(DEFAULT_PROGRAM_ID);
     }
+    setImportedPrograms(prev => prev.filter(raw => raw.id !== programId));
+  };
 
-    // Return timestamp instead of Date object for consistency
-    return scheduledTime.getTime();
+  // Calendar week progression
+  const [today, setToday] = useState(() => toISODate(new Date()));
+  const [adherencePrompt, setAdherencePrompt] = useState(null);
+
+  // Pick up day changes when the app returns to the foreground
+  useEffect(() => {
+    const handleVisibilityChange = () => {
+      if (!document.hidden) setToday(toISODate(new Date()));
+    };
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => document.removeEventListener('visibilitychange', handleVisibilityChange);
   }, []);
 
-  // Improved notification system with persistence and DST handling
+  // A session type picked on the home screen only applies to that day and week
+  useEffect(() => {
+    setSelectedSessionType(null);
+  }, [today, userProfile.currentWeek]);
+
+  // Browser notification permission, tracked so reminders sync once it is granted
+  const [notificationPermission, setNotificationPermission] = useState(() =>
+    'Notification' in window ? Notification.permission : 'denied'
+  );
+  const [nextReminderAt, setNextReminderAt] = useState(null);
+
+  const sessionDoneToday = sessionHistory.some(entry =>
+    entry.status === 'completed' && toISODate(new Date(entry.endedAt)) === today
+  );
+
+  // Reminder schedule config shared with the service worker (src/sw.js)
+  const reminderConfig = useMemo(() => buildReminderConfig(userProfile.preferences.reminderSchedule, {
+    enabled: userProfile.preferences.notifications && notificationPermission === 'granted',
+    restDays: userProfile.preferences.restDays,
+    doneDate: sessionDoneToday ? today : null
+  }), [userProfile.preferences.notifications, userProfile.preferences.reminderSchedule, userProfile.preferences.restDays, notificationPermission, sessionDoneToday, today]);
+
+  // Reminder scheduling - handed to the service worker so reminders arrive
+  // while the app is closed; an in-page timer is the fallback without one
   useEffect(() => {
-    // Clear any existing timer
     if (notificationTimer.current) {
       clearTimeout(notificationTimer.current);
       notificationTimer.current = null;
     }
+    // Schedules from earlier versions were kept in the page
+    localStorage.removeItem('nextNotificationTime');
 
-    // Reset test notification flag when notifications are disabled
-    if (!userProfile.preferences.notifications) {
-      hasShownTestNotification.current = false;
-      safeLocalStorage.set('nextNotificationTime', null);
+    if (supportsBackgroundReminders()) {
+      // The worker reports the resulting next reminder back (see onReminderMessage)
+      syncReminderSchedule(reminderConfig)
+        .catch(error => logger.warn('notifications', 'Could not schedule reminders in service worker', error));
       return undefined;
     }
 
-    // Only proceed if notifications are enabled and permission granted
-    if (!userProfile.preferences.notifications || Notification.permission !== 'granted') {
-      return undefined;
-    }
-
-    // Clear existing service worker notifications
-    if ('serviceWorker' in navigator && 'Notification' in window) {
-      navigator.serviceWorker.ready
-        .then(registration => registration.getNotifications())
-        .then(notifications => {
-          notifications.forEach(notification => notification.close());
-        })
-        .catch(error => console.warn('Could not clear service worker notifications:', error));
-    }
-
-    // Check for missed notifications first
-    const checkPendingNotification = () => {
-      const storedTime = safeLocalStorage.get('nextNotificationTime', null);
-      const now = Date.now();
-      
-      if (storedTime && now >= storedTime) {
-        // Show missed notification
-        try {
-          new Notification('Focus & Flow Reminder', {
-            body: 'Time for your daily session! Your brain is ready for some dopamine boosting exercise and mindfulness.',
-            icon: '/favicon.ico',
-            badge: '/favicon.ico',
-            tag: 'daily-reminder'
-          });
-        } catch (error) {
-          console.error('Failed to show notification:', error);
-        }
-        
-        // Schedule next notification
-        scheduleNextNotification();
-      } else if (!storedTime) {
-        // No stored time, schedule new one
-        scheduleNextNotification();
-      } else {
-        // Schedule for stored time
-        const timeUntil = storedTime - now;
-        if (timeUntil > 0 && timeUntil <= 25 * 60 * 60 * 1000) {
-          notificationTimer.current = setTimeout(() => {
-            try {
-              new Notification('Focus & Flow Reminder', {
-                body: 'Time for your daily session! Your brain is ready for some dopamine boosting exercise and mindfulness.',
-                icon: '/favicon.ico',
-                badge: '/favicon.ico',
-                tag: 'daily-reminder'
-              });
-            } catch (error) {
-              console.error('Failed to show notification:', error);
-            }
-            scheduleNextNotification();
-          }, timeUntil);
-        } else {
-          scheduleNextNotification();
-        }
-      }
-    };
-
     const scheduleNextNotification = () => {
-      const nextTime = calculateNextNotificationTime(userProfile.preferences.reminderTime);
-      if (!nextTime) return;
-
-      const now = Date.now();
-      const timeUntilNotification = nextTime - now;
-      
-      // Store next notification time for persistence
-      safeLocalStorage.set('nextNotificationTime', nextTime);
-      
-      // Don't schedule if the time is too far in the future (>25 hours) or negative
-      if (timeUntilNotification < 0 || timeUntilNotification > 25 * 60 * 60 * 1000) {
-        console.warn('Invalid notification scheduling time:', timeUntilNotification);
-        return;
-      }
+      const next = getNextReminder(reminderConfig);
+      setNextReminderAt(next ? next.at : null);
+      if (!next) return;
 
       notificationTimer.current = setTimeout(() => {
-        try {
-          new Notification('Focus & Flow Reminder', {
-            body: 'Time for your daily session! Your brain is ready for some dopamine boosting exercise and mindfulness.',
-            icon: '/favicon.ico',
-            badge: '/favicon.ico',
-            tag: 'daily-reminder'
-          });
-        } catch (error) {
-          console.error('Failed to show notification:', error);
-        }
-        
-        // Schedule next notification (24 hours later)
+        const { title, body } = getReminderContent(next.kind);
+        showAppNotification(title, {
+          body,
+          icon: '/favicon.ico',
+          badge: '/favicon.ico',
+          tag: REMINDER_TAG
+        }).catch(error => logger.error('notifications', 'Failed to show notification', error));
+
         scheduleNextNotification();
-      }, timeUntilNotification);
+      }, next.at - Date.now());
     };
+    scheduleNextNotification();
 
-    // Start the notification system
-    checkPendingNotification();
-
-    // Show test notification when notifications are first enabled (only once)
-    if (userProfile.preferences.notifications && !hasShownTestNotification.current) {
-      hasShownTestNotification.current = true;
-      setTimeout(() => {
-        try {
-          new Notification('Notifications Enabled', {
-            body: 'Daily reminders are now active! You\'ll receive reminders at your chosen time.',
-            icon: '/favicon.ico',
-            badge: '/favicon.ico',
-            tag: 'test-notification'
-          });
-        } catch (error) {
-          console.error('Failed to show test notification:', error);
-        }
-      }, 1000);
-    }
-
-    // Cleanup function
     return () => {
       if (notificationTimer.current) {
         clearTimeout(notificationTimer.current);
         notificationTimer.current = null;
       }
     };
-  }, [userProfile.preferences.notifications, userProfile.preferences.reminderTime, calculateNextNotificationTime, safeLocalStorage]);
+  }, [reminderConfig]);
 
-  // Save user profile changes
-  const updateUserProfile = (updates) => {
-    setUserProfile(prev => ({ ...prev, ...updates }));
-  };
+  // Milestones being edited, by week (Home and Progress screens)
+  const [editingMilestoneWeek, setEditingMilestoneWeek] = useState(null);
 
-  // Save settings changes
-  const updateSettings = (category, setting, value) => {
-    soundEffects.toggle();
+  const updateMilestone = (week, { status, note }) => {
     setUserProfile(prev => ({
       ...prev,
-      preferences: {
-        ...prev.preferences,
-        [setting]: value
-      }
+      milestones: setMilestone(prev.milestones, activeProgramId, week, { status, note })
     }));
+    setEditingMilestoneWeek(null);
   };
 
-  // Program data structure
-  const programData = {
-    1: {
-      title: "Activation & Awareness",
-      phase: "Foundation",
-      phaseColor: "bg-blue-500",
-      sessions: {
-        "Mon/Wed/Fri": {
-          duration: 15,
-          activities: [
-            { type: "movement", name: "Dynamic movement", duration: 5, description: "Jumping jacks, arm circles, marching" },
-            { type: "mindfulness", name: "Brain.fm focus session", duration: 5, description: "Low setting with breathing awareness" },
-            { type: "cognitive", name: "Task initiation practice", duration: 5, description: "Using the '5-minute rule'" }
-          ]
-        },
-        "Tue/Thu": {
-          duration: 10,
-          activities: [
-            { type: "movement", name: "Walking meditation", duration: 5, description: "Outdoors if possible" },
-            { type: "cognitive", name: "Daily tracking setup", duration: 5, description: "Reflection and planning" }
-          ]
-        }
-      },
-      milestone: "Complete 3 sessions without skipping"
-    },
-    2: {
-      title: "Building Momentum",
-      phase: "Foundation",
-      phaseColor: "bg-blue-500",
-      sessions: {
-        "Mon/Wed/Fri": {
-          duration: 18,
-          activities: [
-            { type: "movement", name: "Moderate cardio", duration: 7, description: "Brisk walk, cycling, dancing" },
-            { type: "mindfulness", name: "Brain.fm with body scan", duration: 6, description: "Medium setting" },
-            { type: "cognitive", name: "Distractibility Delay Technique", duration: 5, description: "Practice focus skills" }
-          ]
-        },
-        "Tue/Thu/Sat": {
-          duration: 15,
-          activities: [
-            { type: "movement", name: "Open-skill activity", duration: 10, description: "Dance tutorial, shadow boxing" },
-            { type: "cognitive", name: "STOP technique", duration: 5, description: "Impulse control practice" }
-          ]
-        }
-      },
-      milestone: "Track focus improvements using 1-10 scale"
-    },
-    3: {
-      title: "Establishing Rhythms",
-      phase: "Foundation",
-      phaseColor: "bg-blue-500",
-      sessions: {
-        "Mon/Wed/Fri": {
-          duration: 20,
-          activities: [
-            { type: "movement", name: "HIIT workout", duration: 8, description: "30 seconds work, 15 seconds rest" },
-            { type: "mindfulness", name: "Brain.fm medium setting", duration: 7, description: "With mindful breathing" },
-            { type: "cognitive", name: "Time awareness exercises", duration: 5, description: "Pomodoro introduction" }
-          ]
-        },
-        "Tue/Thu": {
-          duration: 20,
-          activities: [
-            { type: "movement", name: "Complex movement", duration: 10, description: "Yoga flow or martial arts forms" },
-            { type: "mindfulness", name: "Walking meditation", duration: 5, description: "Mindful steps" },
-            { type: "cognitive", name: "Evening routine planning", duration: 5, description: "Structure preparation" }
-          ]
-        }
-      },
-      milestone: "Successfully use Pomodoro for one work task"
-    },
-    4: {
-      title: "Foundation Consolidation",
-      phase: "Foundation",
-      phaseColor: "bg-blue-500",
-      sessions: {
-        "Daily": {
-          duration: "15-20",
-          activities: [
-            { type: "review", name: "Review & Practice", duration: "15-20", description: "Practice favorite combinations from weeks 1-3" }
-          ]
-        }
-      },
-      milestone: "Identify optimal exercise type and mindfulness approach"
-    },
-    5: {
-      title: "Multimodal Magic",
-      phase: "Integration",
-      phaseColor: "bg-purple-500",
-      sessions: {
-        "Mon/Wed/Fri": {
-          duration: 20,
-          activities: [
-            { type: "movement", name: "Open-skill exercise", duration: 10, description: "Tennis against wall, dance routine" },
-            { type: "mindfulness", name: "Brain.fm with active mindfulness", duration: 6, description: "Higher engagement" },
-            { type: "cognitive", name: "Cognitive restructuring", duration: 4, description: "Thought pattern work" }
-          ]
-        },
-        "Tue/Thu": {
-          duration: 20,
-          activities: [
-            { type: "movement", name: "Strength training circuit", duration: 8, description: "Bodyweight exercises" },
-            { type: "mindfulness", name: "Progressive muscle relaxation", duration: 7, description: "Full body tension release" },
-            { type: "cognitive", name: "Work productivity planning", duration: 5, description: "Email/meeting strategies" }
-          ]
-        }
-      },
-      milestone: "Complete one full workday using new strategies"
-    },
-    6: {
-      title: "Cognitive-Physical Fusion",
-      phase: "Integration",
-      phaseColor: "bg-purple-500",
-      sessions: {
-        "Mon/Wed/Fri/Sat": {
-          duration: 20,
-          activities: [
-            { type: "movement", name: "Exergaming", duration: 10, description: "Complex movement patterns" },
-            { type: "mindfulness", name: "Brain.fm high setting", duration: 5, description: "With focus challenge" },
-            { type: "cognitive", name: "Financial management", duration: 5, description: "Impulse control check-in" }
-          ]
-        },
-        "Tue/Thu": {
-          duration: 20,
-          activities: [
-            { type: "movement", name: "Interval training", duration: 12, description: "With cognitive tasks between sets" },
-            { type: "mindfulness", name: "Mindful movement", duration: 8, description: "Movement meditation" }
-          ]
-        }
-      },
-      milestone: "Navigate one challenging situation using STOP technique"
-    },
-    7: {
-      title: "Advanced Integration",
-      phase: "Integration",
-      phaseColor: "bg-purple-500",
-      sessions: {
-        "High Energy Days": {
-          duration: 20,
-          activities: [
-            { type: "movement", name: "High-intensity open-skill", duration: 12, description: "Complex movement patterns" },
-            { type: "mindfulness", name: "Quick mindfulness reset", duration: 5, description: "Focused breathing" },
-            { type: "cognitive", name: "CBT skill application", duration: 3, description: "Real-world practice" }
-          ]
-        },
-        "Low Energy Days": {
-          duration: 20,
-          activities: [
-            { type: "movement", name: "Gentle movement", duration: 8, description: "Stretching and mobility" },
-            { type: "mindfulness", name: "Extended Brain.fm focus", duration: 8, description: "Deep concentration" },
-            { type: "cognitive", name: "Organization system", duration: 4, description: "Refine daily systems" }
-          ]
-        }
-      },
-      milestone: "Successfully adapt program to energy levels"
-    },
-    8: {
-      title: "Integration Mastery",
-      phase: "Integration",
-      phaseColor: "bg-purple-500",
-      sessions: {
-        "Custom Design": {
-          duration: 20,
-          activities: [
-            { type: "review", name: "Design your session", duration: 20, description: "Use all three modalities based on your preferences" }
-          ]
-        }
-      },
-      milestone: "Create personalized routine combinations"
-    },
-    9: {
-      title: "Autonomous Practice",
-      phase: "Mastery",
-      phaseColor: "bg-green-500",
-      sessions: {
-        "Self-Designed": {
-          duration: 20,
-          activities: [
-            { type: "movement", name: "Physical activity (40%)", duration: 8, description: "Your choice of movement" },
-            { type: "mindfulness", name: "Mindfulness/Brain.fm (30%)", duration: 6, description: "Focus practice" },
-            { type: "cognitive", name: "CBT/Life skills (30%)", duration: 6, description: "Practical application" }
-          ]
-        }
-      },
-      milestone: "Complete week without external reminders"
-    },
-    10: {
-      title: "Life Integration",
-      phase: "Mastery",
-      phaseColor: "bg-green-500",
-      sessions: {
-        "Morning": {
-          duration: 20,
-          activities: [
-            { type: "movement", name: "Energy activation", duration: 20, description: "Morning routine for optimal day start" }
-          ]
-        },
-        "Afternoon": {
-          duration: 20,
-          activities: [
-            { type: "cognitive", name: "Productivity protocols", duration: 20, description: "Workday enhancement strategies" }
-          ]
-        },
-        "Evening": {
-          duration: 20,
-          activities: [
-            { type: "mindfulness", name: "Wind-down sequence", duration: 20, description: "Prepare for restful sleep" }
-          ]
-        }
-      },
-      milestone: "Report improved functioning in target area"
-    },
-    11: {
-      title: "Teaching & Refinement",
-      phase: "Mastery",
-      phaseColor: "bg-green-500",
-      sessions: {
-        "Teaching Practice": {
-          duration: 20,
-          activities: [
-            { type: "review", name: "Teach one technique", duration: 20, description: "Share your knowledge with someone else" }
-          ]
-        }
-      },
-      milestone: "Successfully explain program benefits to others"
-    },
-    12: {
-      title: "Graduation & Beyond",
-      phase: "Mastery",
-      phaseColor: "bg-green-500",
-      sessions: {
-        "Celebration": {
-          duration: 20,
-          activities: [
-            { type: "review", name: "Favorite routines", duration: 20, description: "Practice what works best for you" }
-          ]
-        }
-      },
-      milestone: "Commit to specific long-term practice schedule"
+  const getMilestoneDetection = (week) => detectMilestone(
+    programData[week],
+    filterSessions(sessionHistory, { programId: activeProgramId, week })
+  );
+
+  // Mark milestones the session history shows as achieved; a status the
+  // user has set is never overwritten. The current week only counts for
+  // checks a later session in it can't undo.
+  useEffect(() => {
+    if (!activeProgram) return;
+    const detectedWeeks = Object.keys(activeProgram.weeks)
+      .map(Number)
+      .filter(week => week < userProfile.currentWeek ||
+        (week === userProfile.currentWeek && canDetectBeforeWeekEnd(activeProgram.weeks[week])))
+      .filter(week => !getMilestone(userProfile.milestones, activeProgram.id, week))
+      .filter(week => {
+        const detection = detectMilestone(
+          activeProgram.weeks[week],
+          filterSessions(sessionHistory, { programId: activeProgram.id, week })
+        );
+        return detection && detection.achieved;
+      });
+    if (detectedWeeks.length === 0) return;
+
+    setUserProfile(prev => {
+      let milestones = prev.milestones;
+      detectedWeeks.forEach(week => {
+        milestones = setMilestone(milestones, activeProgram.id, week, { status: MILESTONE_STATUS.ACHIEVED, auto: true });
+      });
+      return { ...prev, milestones };
+    });
+  }, [activeProgram, sessionHistory, userProfile.currentWeek, userProfile.milestones]);
+
+  const calendarWeek = activeProgram ? getCalendarWeek({
+    startDate: userProfile.startDate,
+    pausedAt: userProfile.pausedAt,
+    weekCount: activeProgram.weekCount,
+    today
+  }) : 1;
+  const currentWeekSessionCount = getWeekSessionCount(userProfile.currentWeek);
+
+  useEffect(() => {
+    if (!activeProgram || userProfile.preferences.weekProgression !== 'calendar' || userProfile.pausedAt) {
+      setAdherencePrompt(null);
+      return;
+    }
+
+    const { currentWeek, adherenceCheckedWeek = 0 } = userProfile;
+    const minSessions = getMinSessions(activeProgram.weeks[currentWeek]);
+    const milestone = getMilestone(userProfile.milestones, activeProgram.id, currentWeek);
+
+    if (calendarWeek > currentWeek) {
+      // The current week has ended on the calendar - ask before moving on if
+      // it went badly or its milestone was not achieved
+      const lowAdherence = isLowAdherence(currentWeekSessionCount, minSessions);
+      const milestoneMissed = Boolean(milestone) && milestone.status === MILESTONE_STATUS.NOT_ACHIEVED;
+      if (adherenceCheckedWeek < currentWeek && (lowAdherence || milestoneMissed)) {
+        setAdherencePrompt({
+          week: currentWeek,
+          sessionCount: currentWeekSessionCount,
+          minSessions,
+          reason: lowAdherence ? 'sessions' : 'milestone'
+        });
+        return;
+      }
+      setAdherencePrompt(null);
+      setUserProfile(prev => ({ ...prev, currentWeek: calendarWeek }));
+    } else if (calendarWeek < currentWeek) {
+      // Start date moved forward (e.g. edited by the user) - follow the calendar
+      setAdherencePrompt(null);
+      setUserProfile(prev => ({ ...prev, currentWeek: calendarWeek }));
+    } else if (
+      userProfile.preferences.autoAdvance &&
+      currentWeek < activeProgram.weekCount &&
+      currentWeekSessionCount >= minSessions &&
+      isMilestoneMet(milestone)
+    ) {
+      // Minimum sessions and milestone met early - start the next week today
+      setUserProfile(prev => ({
+        ...prev,
+        startDate: shiftISODate(today, -7 * prev.currentWeek),
+        adherenceCheckedWeek: prev.currentWeek,
+        currentWeek: prev.currentWeek + 1
+      }));
     }
+  }, [activeProgram, calendarWeek, currentWeekSessionCount, today, userProfile]);
+
+  // Answer the low-adherence prompt: repeat the finished week, or move on
+  const resolveAdherencePrompt = (repeatWeek) => {
+    const { week } = adherencePrompt;
+    setAdherencePrompt(null);
+    setUserProfile(prev => ({
+      ...prev,
+      adherenceCheckedWeek: week,
+      // Shifting the start date puts the calendar back at the start of the repeated week
+      startDate: repeatWeek ? shiftISODate(prev.startDate, 7 * (calendarWeek - week)) : prev.startDate
+    }));
+  };
+
+  const pauseProgram = () => {
+    setUserProfile(prev => ({ ...prev, pausedAt: today }));
+  };
+
+  // Resuming shifts the start date by the paused days so no weeks are lost
+  const resumeProgram = () => {
+    setUserProfile(prev => ({
+      ...prev,
+      startDate: shiftISODate(prev.startDate, daysBetween(prev.pausedAt, today)),
+      pausedAt: null
+    }));
+  };
+
+  // "Today at 9:00 AM", "Tomorrow at ..." or "Wednesday at ..."
+  const formatReminderTime = (timestamp) => {
+    const date = new Date(timestamp);
+    const time = date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+    const dayOffset = daysBetween(today, toISODate(date));
+    if (dayOffset === 0) return `Today at ${time}`;
+    if (dayOffset === 1) return `Tomorrow at ${time}`;
+    return `${date.toLocaleDateString('en-US', { weekday: 'long' })} at ${time}`;
+  };
+
+  const formatISODate = (isoDate) => {
+    const date = parseISODate(isoDate);
+    return date ? date.toLocaleDateString() : isoDate;
   };
 
   // Helper functions for date/time
   const getDayOfWeek = () => {
-    const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-    return days[new Date().getDay()];
+    return WEEKDAY_NAMES[new Date().getDay()];
   };
 
   const getFormattedDate = () => {
@@ -875,12 +1353,6 @@ const App = () => {
     return 'evening';
   };
 
-  const getPhaseProgress = (week = userProfile.currentWeek) => {
-    if (week <= 4) return { phase: "Foundation", progress: (week / 4) * 100 };
-    if (week <= 8) return { phase: "Integration", progress: ((week - 4) / 4) * 100 };
-    return { phase: "Mastery", progress: ((week - 8) / 4) * 100 };
-  };
-
   // Session modification helpers
   const getAdjustedDuration = (originalDuration) => {
     if (userProfile.preferences.extendedBreaks) {
@@ -889,6 +1361,11 @@ const App = () => {
     return originalDuration;
   };
 
+  // Format a session or activity length, e.g. "20" or "15-20" for ranges
+  const formatDuration = (item) => {
+    return item.minDuration ? `${item.minDuration}-${item.duration}` : `${item.duration}`;
+  };
+
   const filterComplexActivities = (activities) => {
     if (!userProfile.preferences.skipComplex) return activities;
     
@@ -920,40 +1397,38 @@ const App = () => {
     });
   };
 
-  const getRecommendedSessionType = (weekData) => {
-    const dayOfWeek = getDayOfWeek();
+  // checkIn picks between High/Low Energy variants; time-of-day variants need none
+  const getRecommendedSessionType = (weekData, checkIn = null) => {
     const sessionTypes = Object.keys(weekData.sessions);
+
+    const variant = selectSessionVariant(sessionTypes, { checkIn, timeOfDay: getTimeOfDay() });
+    if (variant) return variant;
     
-    // Map days to session types based on program schedule
-    if (dayOfWeek === 'Monday' || dayOfWeek === 'Wednesday' || dayOfWeek === 'Friday') {
-      const mwfSession = sessionTypes.find(type => 
-        type.includes('Mon') || type.includes('Wed') || type.includes('Fri') || 
-        type.includes('M/W/F') || type.includes('MWF')
-      );
-      if (mwfSession) return mwfSession;
-    }
-    
-    if (dayOfWeek === 'Tuesday' || dayOfWeek === 'Thursday') {
-      const tthSession = sessionTypes.find(type => 
-        type.includes('Tue') || type.includes('Thu') || 
-        type.includes('T/Th') || type.includes('TTh')
-      );
-      if (tthSession) return tthSession;
-    }
-    
-    if (dayOfWeek === 'Saturday') {
-      const satSession = sessionTypes.find(type => 
-        type.includes('Sat') || type.includes('Saturday')
-      );
-      if (satSession) return satSession;
-    }
+    // Map today to a session type using the weekdays in its label or the user's own schedule
+    const scheduled = getScheduledSessionType(sessionTypes, new Date().getDay(), userProfile.preferences.sessionDays);
+    if (scheduled) return scheduled;
     
     return sessionTypes[0]; // Default to first session type
   };
 
+  // The session type picked on the home screen, or today's recommendation
+  const getTodaySessionType = (weekData, checkIn = null) => {
+    if (selectedSessionType && weekData.sessions[selectedSessionType]) return selectedSessionType;
+    return getRecommendedSessionType(weekData, checkIn);
+  };
+
+  // First day of the current program week: from the start date in calendar
+  // mode, otherwise the Monday of this calendar week
+  const getCurrentWeekStart = () => {
+    if (userProfile.preferences.weekProgression === 'calendar') {
+      return shiftISODate(userProfile.startDate, 7 * (userProfile.currentWeek - 1));
+    }
+    const dayOfWeek = parseISODate(today).getDay();
+    return shiftISODate(today, -((dayOfWeek + 6) % 7));
+  };
+
   const isRestDay = () => {
-    const dayOfWeek = getDayOfWeek();
-    return dayOfWeek === 'Sunday';
+    return userProfile.preferences.restDays.includes(new Date().getDay());
   };
 
   const getActivityIcon = (type) => {
@@ -978,27 +1453,35 @@ const App = () => {
   };
 
   // Session Timer Component - memoized to prevent unnecessary remounts
-  const SessionTimer = React.memo(({ duration, onComplete }) => {
-    console.log(`🔧 SessionTimer render: duration=${duration}, onComplete=${!!onComplete}`);
+  // initialState ({ endTime, remainingSeconds }) restores a saved timer on mount,
+  // e.g. after a reload; it is read once and ignored afterwards.
+  const SessionTimer = React.memo(({ duration, onComplete, onTimerChange, initialState }) => {
+    logger.debug('timer', `Render: duration=${duration}, onComplete=${!!onComplete}`);
     
-    const [endTime, setEndTime] = useState(null);
-    const [isRunning, setIsRunning] = useState(false);
+    const [endTime, setEndTime] = useState(() => (initialState && initialState.endTime) || null);
+    const [isRunning, setIsRunning] = useState(() => Boolean(initialState && initialState.endTime));
     const intervalRef = useRef(null);
     const onCompleteRef = useRef(onComplete);
+    const onTimerChangeRef = useRef(onTimerChange);
     const lastDurationRef = useRef(duration);
-    const lastDisplayTimeRef = useRef(duration * 60);
     
     // Initialize displayTime 
     const [displayTime, setDisplayTime] = useState(() => {
-      console.log(`🏁 SessionTimer displayTime initialized to ${duration * 60}s (${duration} min)`);
+      const restored = getRemainingSeconds(initialState);
+      if (restored !== null) {
+        logger.debug('timer', `Display time restored to ${restored}s`);
+        return restored;
+      }
+      logger.debug('timer', `Display time initialized to ${duration * 60}s (${duration} min)`);
       return duration * 60;
     });
+    const lastDisplayTimeRef = useRef(displayTime);
 
     // Log component mount/unmount
     useEffect(() => {
-      console.log(`🏗️ SessionTimer MOUNTED with duration=${duration}`);
+      logger.debug('timer', `Mounted with duration=${duration}`);
       return () => {
-        console.log(`💀 SessionTimer UNMOUNTING`);
+        logger.debug('timer', 'Unmounting');
         if (intervalRef.current) {
           clearInterval(intervalRef.current);
         }
@@ -1010,12 +1493,23 @@ const App = () => {
       onCompleteRef.current = onComplete;
     }, [onComplete]);
 
+    useEffect(() => {
+      onTimerChangeRef.current = onTimerChange;
+    }, [onTimerChange]);
+
+    // Report start/pause/completion so the session can be saved and timed
+    const reportTimerChange = (timerState) => {
+      if (onTimerChangeRef.current) {
+        onTimerChangeRef.current(timerState);
+      }
+    };
+
     // Only reset timer when duration MEANINGFULLY changes (different activity)
     useEffect(() => {
       // Only reset if duration changed AND timer isn't currently running
       // This prevents resets during active sessions
       if (lastDurationRef.current !== duration && !isRunning) {
-        console.log(`🔄 TIMER RESET: duration changed ${lastDurationRef.current} → ${duration} min (timer not running)`);
+        logger.debug('timer', `Reset: duration changed ${lastDurationRef.current} → ${duration} min (timer not running)`);
         setEndTime(null);
         setDisplayTime(duration * 60);
         lastDurationRef.current = duration;
@@ -1025,7 +1519,7 @@ const App = () => {
         }
       } else if (lastDurationRef.current !== duration && isRunning) {
         // Duration changed during running - just update the ref without resetting
-        console.warn(`⚠️ DURATION CHANGED DURING ACTIVE TIMER: ${lastDurationRef.current} → ${duration} min - NOT resetting timer`);
+        logger.warn('timer', `Duration changed while running: ${lastDurationRef.current} → ${duration} min, not resetting`);
         lastDurationRef.current = duration;
       }
     }, [duration, isRunning]);
@@ -1038,9 +1532,10 @@ const App = () => {
           const now = Date.now();
           if (now >= endTime) {
             // Timer completed
-            console.log(`🎉 TIMER COMPLETED!`);
+            logger.info('timer', 'Completed');
             setDisplayTime(0);
             setIsRunning(false);
+            reportTimerChange({ isRunning: false, endTime: null, remainingSeconds: 0 });
             
             if (onCompleteRef.current) {
               onCompleteRef.current();
@@ -1052,7 +1547,7 @@ const App = () => {
           
           // Log any unexpected resets or discontinuities using ref
           if (Math.abs(remaining - lastDisplayTimeRef.current) > 2) {
-            console.warn(`⚡ TIMER DISCONTINUITY: was ${lastDisplayTimeRef.current}s, now ${remaining}s (diff: ${remaining - lastDisplayTimeRef.current}s)`);
+            logger.warn('timer', `Discontinuity: was ${lastDisplayTimeRef.current}s, now ${remaining}s (diff: ${remaining - lastDisplayTimeRef.current}s)`);
           }
           
           lastDisplayTimeRef.current = remaining;
@@ -1074,9 +1569,9 @@ const App = () => {
         // Handle page visibility changes to keep timer accurate
         const handleVisibilityChange = () => {
           if (document.hidden) {
-            console.log(`👁️ PAGE HIDDEN - timer may be throttled`);
+            logger.debug('timer', 'Page hidden, timer may be throttled');
           } else {
-            console.log(`👁️ PAGE VISIBLE - forcing timer update`);
+            logger.debug('timer', 'Page visible, forcing timer update');
             // Force an immediate update when page becomes visible
             updateDisplay();
           }
@@ -1086,12 +1581,12 @@ const App = () => {
 
         // Also handle window focus/blur as backup
         const handleFocus = () => {
-          console.log(`🔍 WINDOW FOCUSED - forcing timer update`);
+          logger.debug('timer', 'Window focused, forcing timer update');
           updateDisplay();
         };
 
         const handleBlur = () => {
-          console.log(`😴 WINDOW BLURRED - timer may be throttled`);
+          logger.debug('timer', 'Window blurred, timer may be throttled');
         };
 
         window.addEventListener('focus', handleFocus);
@@ -1124,16 +1619,18 @@ const App = () => {
         // Pause - save remaining time
         const now = Date.now();
         const remaining = Math.max(0, Math.ceil((endTime - now) / 1000));
-        console.log(`⏸️ TIMER PAUSED at ${Math.floor(remaining/60)}:${String(remaining%60).padStart(2,'0')}`);
+        logger.info('timer', `Paused at ${Math.floor(remaining/60)}:${String(remaining%60).padStart(2,'0')}`);
         setDisplayTime(remaining);
         setEndTime(null);
         setIsRunning(false);
+        reportTimerChange({ isRunning: false, endTime: null, remainingSeconds: remaining });
       } else {
         // Start/Resume - set end time based on current display time
         const newEndTime = Date.now() + (displayTime * 1000);
-        console.log(`▶️ TIMER STARTED: ${Math.floor(displayTime/60)}:${String(displayTime%60).padStart(2,'0')} - will end at ${new Date(newEndTime).toLocaleTimeString()}`);
+        logger.info('timer', `Started at ${Math.floor(displayTime/60)}:${String(displayTime%60).padStart(2,'0')}, ends at ${new Date(newEndTime).toLocaleTimeString()}`);
         setEndTime(newEndTime);
         setIsRunning(true);
+        reportTimerChange({ isRunning: true, endTime: newEndTime, remainingSeconds: displayTime });
       }
     };
 
@@ -1157,21 +1654,417 @@ const App = () => {
       </div>
     );
   }, (prevProps, nextProps) => {
-    // Custom comparison function for debugging
-    console.log('🔍 SessionTimer memo comparison:', {
-      durationSame: prevProps.duration === nextProps.duration,
-      onCompleteSame: prevProps.onComplete === nextProps.onComplete,
-      prevDuration: prevProps.duration,
-      nextDuration: nextProps.duration
-    });
+    // Custom comparison function, traced for debugging remounts
+    if (isTracing('timer')) {
+      logger.debug('timer', 'Memo comparison', {
+        durationSame: prevProps.duration === nextProps.duration,
+        onCompleteSame: prevProps.onComplete === nextProps.onComplete,
+        onTimerChangeSame: prevProps.onTimerChange === nextProps.onTimerChange,
+        prevDuration: prevProps.duration,
+        nextDuration: nextProps.duration
+      });
+    }
     
     return prevProps.duration === nextProps.duration && 
-           prevProps.onComplete === nextProps.onComplete;
+           prevProps.onComplete === nextProps.onComplete &&
+           prevProps.onTimerChange === nextProps.onTimerChange;
   });
 
   // Add display name for debugging
   SessionTimer.displayName = 'SessionTimer';
 
+  // In-progress session record. Kept in refs so timing updates never
+  // re-render the App (which would remount the session timer), and saved
+  // under ACTIVE_SESSION_KEY so it can be resumed after a reload or crash.
+  const activeSessionRef = useRef(null);
+  const activityTimingRef = useRef({ elapsedMs: 0, runningSince: null });
+  // Timer state of the current activity, restored whenever the timer remounts
+  const timerStateRef = useRef(null);
+  // The next session is started from a reminder (see milestone checks)
+  const reminderStartRef = useRef(false);
+
+  // Unfinished session found at startup, offered for resume
+  const [interruptedSession, setInterruptedSession] = useState(() => {
+    const snapshot = safeLocalStorage.get(ACTIVE_SESSION_KEY, null);
+    return snapshot && Array.isArray(snapshot.activities) ? snapshot : null;
+  });
+
+  const persistActiveSession = useCallback(() => {
+    if (!activeSessionRef.current) return;
+    safeLocalStorage.set(ACTIVE_SESSION_KEY, {
+      ...activeSessionRef.current,
+      timer: timerStateRef.current,
+      activityTiming: activityTimingRef.current,
+      savedAt: Date.now()
+    });
+  }, [safeLocalStorage]);
+
+  // Another tab is running a session; its saved state is not offered for
+  // resume here while it runs
+  const [sessionInOtherTab, setSessionInOtherTab] = useState(false);
+
+  // Only one tab runs a session: the one that started or resumed it last
+  const claimSession = () => {
+    setSessionInOtherTab(false);
+    tabSync.post({ type: TAB_MESSAGES.SESSION_ACTIVE, sessionId: activeSessionRef.current.id });
+  };
+
+  // Stop the session here because another tab runs one now. A different
+  // session replaces this one, so what was done so far is logged as partial.
+  // Only a tab on the session or its check-in is sent home.
+  const handOverSession = (sessionId) => {
+    setInterruptedSession(null);
+    setSessionInOtherTab(true);
+    if (activeSessionRef.current) {
+      if (activeSessionRef.current.id !== sessionId) {
+        const entry = buildPartialSessionEntry({
+          ...activeSessionRef.current,
+          timer: timerStateRef.current,
+          activityTiming: activityTimingRef.current,
+          savedAt: Date.now()
+        });
+        setSessionHistory(prev => [...prev, entry]);
+      }
+      activeSessionRef.current = null;
+      timerStateRef.current = null;
+      setCurrentActivity(0);
+    }
+    if (currentScreen === 'session' || currentScreen === 'checkin') setCurrentScreen('home');
+  };
+
+  const clearActiveSession = () => {
+    activeSessionRef.current = null;
+    timerStateRef.current = null;
+    localStorage.removeItem(ACTIVE_SESSION_KEY);
+    tabSync.post({ type: TAB_MESSAGES.SESSION_STOPPED });
+  };
+
+  const resetActivityTiming = () => {
+    activityTimingRef.current = { elapsedMs: 0, runningSince: null };
+    timerStateRef.current = null;
+  };
+
+  const beginSessionRecord = (sessionType, checkIn = null) => {
+    activeSessionRef.current = {
+      id: createSessionId(),
+      programId: activeProgramId,
+      week: userProfile.currentWeek,
+      sessionType,
+      startedAt: new Date().toISOString(),
+      ...(checkIn && { checkIn }),
+      ...(reminderStartRef.current && { fromReminder: true }),
+      activities: []
+    };
+    reminderStartRef.current = false;
+    resetActivityTiming();
+    persistActiveSession();
+    claimSession();
+  };
+
+  const startSession = (sessionType, checkIn = null) => {
+    setInterruptedSession(null);
+    setSelectedSessionType(null);
+    beginSessionRecord(sessionType, checkIn);
+    setCurrentActivity(0);
+    // Back from the session leads past the finished check-in
+    if (currentScreen === 'checkin') replaceRouteRef.current = true;
+    setCurrentScreen('session');
+  };
+
+  const leaveSession = () => {
+    clearActiveSession();
+    setCurrentActivity(0);
+    setCurrentScreen('home');
+  };
+
+  // Called by the session timer on start, pause and completion
+  const handleTimerChange = useCallback(({ isRunning, endTime, remainingSeconds }) => {
+    const timing = activityTimingRef.current;
+    if (isRunning && timing.runningSince === null) {
+      timing.runningSince = Date.now();
+    } else if (!isRunning && timing.runningSince !== null) {
+      timing.elapsedMs += Date.now() - timing.runningSince;
+      timing.runningSince = null;
+    }
+
+    timerStateRef.current = {
+      activityIndex: activeSessionRef.current ? activeSessionRef.current.activities.length : 0,
+      endTime: isRunning ? endTime : null,
+      remainingSeconds
+    };
+    persistActiveSession();
+  }, [persistActiveSession]);
+
+  const recordActivityResult = (sessionType, activity, timerFinished) => {
+    if (!activeSessionRef.current || activeSessionRef.current.sessionType !== sessionType) {
+      beginSessionRecord(sessionType);
+    }
+
+    const timing = activityTimingRef.current;
+    if (timing.runningSince !== null) {
+      timing.elapsedMs += Date.now() - timing.runningSince;
+      timing.runningSince = null;
+    }
+    const actualSeconds = Math.round(timing.elapsedMs / 1000);
+    activeSessionRef.current.activities.push({
+      name: activity.name,
+      type: activity.type,
+      plannedMinutes: activity.duration,
+      actualSeconds,
+      status: getActivityStatus({ actualSeconds, timerFinished })
+    });
+    resetActivityTiming();
+    persistActiveSession();
+  };
+
+  const finishSession = () => {
+    if (!activeSessionRef.current) return;
+    const { currentActivity: _current, ...record } = activeSessionRef.current;
+    const entry = {
+      ...record,
+      endedAt: new Date().toISOString(),
+      status: 'completed'
+    };
+    clearActiveSession();
+    setSessionHistory(prev => [...prev, entry]);
+    setFinishedSessionId(entry.id);
+  };
+
+  // Continue an interrupted session exactly where it stopped
+  const resumeInterruptedSession = () => {
+    const { timer, activityTiming, savedAt: _savedAt, ...record } = interruptedSession;
+    if (record.programId !== activeProgramId && programs.some(program => program.id === record.programId)) {
+      switchProgram(record.programId);
+    }
+    activeSessionRef.current = record;
+    activityTimingRef.current = activityTiming || { elapsedMs: 0, runningSince: null };
+    timerStateRef.current = timer ? { ...timer, activityIndex: record.activities.length } : null;
+    claimSession();
+    setInterruptedSession(null);
+    setCurrentActivity(record.activities.length);
+    setCurrentScreen('session');
+  };
+
+  // Log an interrupted session as a partial session
+  const completeInterruptedSession = () => {
+    const entry = buildPartialSessionEntry(interruptedSession);
+    setSessionHistory(prev => [...prev, entry]);
+    setInterruptedSession(null);
+    localStorage.removeItem(ACTIVE_SESSION_KEY);
+  };
+
+  const discardInterruptedSession = () => {
+    setInterruptedSession(null);
+    localStorage.removeItem(ACTIVE_SESSION_KEY);
+  };
+
+  // Save the latest activity timing when the page is hidden or unloaded
+  // (pagehide is the event iOS Safari reliably fires)
+  // and let other tabs offer it for resume
+  useEffect(() => {
+    const handlePageHide = () => {
+      if (!activeSessionRef.current) return;
+      persistActiveSession();
+      tabSync.post({ type: TAB_MESSAGES.SESSION_STOPPED });
+    };
+    window.addEventListener('pagehide', handlePageHide);
+    return () => window.removeEventListener('pagehide', handlePageHide);
+  }, [persistActiveSession, tabSync]);
+
+  // Apply what other tabs report. Kept in a ref so the subscription always
+  // sees the current session.
+  const handleTabMessageRef = useRef(null);
+  handleTabMessageRef.current = (message) => {
+    switch (message.type) {
+      case TAB_MESSAGES.STATE_CHANGED: {
+        const setState = {
+          userProfile: setUserProfile,
+          sessionHistory: setSessionHistory,
+          dailyRatings: setDailyRatings,
+          importedPrograms: setImportedPrograms
+        }[message.key];
+        if (!setState) return;
+        receivedStateRef.current[message.key] = message.value;
+        setState(message.value);
+        break;
+      }
+      case TAB_MESSAGES.SESSION_ACTIVE:
+        handOverSession(message.sessionId);
+        break;
+      case TAB_MESSAGES.SESSION_QUERY:
+        if (activeSessionRef.current) {
+          tabSync.post({ type: TAB_MESSAGES.SESSION_ACTIVE, sessionId: activeSessionRef.current.id });
+        }
+        break;
+      case TAB_MESSAGES.SESSION_STOPPED: {
+        if (activeSessionRef.current) return;
+        const snapshot = safeLocalStorage.get(ACTIVE_SESSION_KEY, null);
+        setSessionInOtherTab(false);
+        setInterruptedSession(snapshot && Array.isArray(snapshot.activities) ? snapshot : null);
+        break;
+      }
+      case TAB_MESSAGES.DATA_RESET:
+        window.location.reload();
+        break;
+      default:
+        break;
+    }
+  };
+
+  // Ask whether another tab is already running a session
+  useEffect(() => {
+    const unsubscribe = tabSync.subscribe(message => handleTabMessageRef.current(message));
+    tabSync.post({ type: TAB_MESSAGES.SESSION_QUERY });
+    return unsubscribe;
+  }, [tabSync]);
+
+  // "Start now" on a reminder: go to today's check-in, unless a session is
+  // already running or an interrupted one is waiting on the home screen
+  const startSessionFromReminderRef = useRef(null);
+  startSessionFromReminderRef.current = () => {
+    if (currentScreen === 'session' || currentScreen === 'checkin') return;
+    setShowSettings(false);
+    const canCheckIn = !interruptedSession && !sessionInOtherTab && programData[userProfile.currentWeek];
+    reminderStartRef.current = Boolean(canCheckIn);
+    setCurrentScreen(canCheckIn ? 'checkin' : 'home');
+  };
+
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('action') === 'start-session') {
+      params.delete('action');
+      const query = params.toString();
+      window.history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : '') + window.location.hash);
+      startSessionFromReminderRef.current();
+    }
+    return onReminderMessage({
+      onStartSession: () => startSessionFromReminderRef.current(),
+      onScheduled: setNextReminderAt
+    });
+  }, []);
+
+  // Keep the URL hash in step with the screen. Each screen change adds a
+  // history entry, so the back button (including Android's) returns to the
+  // previous screen instead of leaving the app.
+  const routeHash = formatRoute({
+    screen: currentScreen,
+    week: viewedWeek,
+    settingsCategory: showSettings ? settingsCategory : null
+  });
+  // Hashes of the history entries this page has added, oldest first
+  const routeStackRef = useRef(null);
+  // The next screen change replaces the current history entry, so back
+  // doesn't return to a check-in or session that is over
+  const replaceRouteRef = useRef(false);
+
+  const replaceScreen = (screen) => {
+    replaceRouteRef.current = true;
+    setCurrentScreen(screen);
+  };
+
+  // In-app back button to a parent screen: goes back in history when the
+  // previous entry is that screen, otherwise replaces the current entry, so
+  // the browser's Back button doesn't return here either way
+  const goBackTo = (screen) => {
+    const stack = routeStackRef.current;
+    if (stack && stack[stack.length - 2] === formatRoute({ screen })) setCurrentScreen(screen);
+    else replaceScreen(screen);
+  };
+
+  // A week link past the end of the program, e.g. after switching
+  // programs, shows Progress instead
+  useEffect(() => {
+    if (currentScreen === 'week' && !(activeProgram && activeProgram.weeks[viewedWeek])) replaceScreen('progress');
+  }, [currentScreen, viewedWeek, activeProgram]);
+
+  useEffect(() => {
+    const stack = routeStackRef.current;
+    const replace = replaceRouteRef.current;
+    replaceRouteRef.current = false;
+    if (!stack) {
+      routeStackRef.current = [routeHash];
+      if (window.location.hash !== routeHash) window.history.replaceState(null, '', routeHash);
+      return;
+    }
+    if (stack[stack.length - 1] === routeHash) return;
+    if (replace) {
+      stack[stack.length - 1] = routeHash;
+      window.history.replaceState(null, '', routeHash);
+    } else if (stack[stack.length - 2] === routeHash) {
+      // Returning to the previous screen, e.g. closing settings
+      stack.pop();
+      window.history.back();
+    } else {
+      stack.push(routeHash);
+      window.history.pushState(null, '', routeHash);
+    }
+  }, [routeHash]);
+
+  // Show the screen for the URL after back/forward or an edited hash
+  const applyRouteRef = useRef(null);
+  applyRouteRef.current = () => {
+    const stack = routeStackRef.current;
+    const route = parseRoute(window.location.hash);
+    const hash = formatRoute(route);
+    if (stack[stack.length - 1] !== hash) {
+      if (stack[stack.length - 2] === hash) stack.pop();
+      else stack.push(hash);
+    }
+
+    if (currentScreen === 'session' && activeSessionRef.current && route.screen !== 'session') {
+      if (!window.confirm(LEAVE_SESSION_PROMPT)) {
+        stack.push(routeHash);
+        window.history.pushState(null, '', routeHash);
+        return;
+      }
+      leaveSession();
+    }
+
+    // A session and its completion screen are only reached from within the app
+    const screen = (route.screen === 'session' || route.screen === 'complete') && route.screen !== currentScreen
+      ? 'home'
+      : route.screen;
+    const resolvedHash = formatRoute({ ...route, screen });
+    if (window.location.hash !== resolvedHash) {
+      stack[stack.length - 1] = resolvedHash;
+      window.history.replaceState(null, '', resolvedHash);
+    }
+
+    setShowSettings(Boolean(route.settingsCategory));
+    if (route.settingsCategory) {
+      setSettingsCategory(route.settingsCategory);
+    } else {
+      setCurrentScreen(screen);
+      if (route.week) setViewedWeek(route.week);
+    }
+  };
+
+  useEffect(() => {
+    const handleRouteChange = () => applyRouteRef.current();
+    // Older browsers fire only hashchange for hash navigation; the second
+    // call finds the route already applied
+    window.addEventListener('popstate', handleRouteChange);
+    window.addEventListener('hashchange', handleRouteChange);
+    return () => {
+      window.removeEventListener('popstate', handleRouteChange);
+      window.removeEventListener('hashchange', handleRouteChange);
+    };
+  }, []);
+
+  // Seven taps on the profile subtitle open the hidden Diagnostics screen
+  const diagnosticsTapsRef = useRef(0);
+  const countDiagnosticsTap = () => {
+    diagnosticsTapsRef.current += 1;
+    if (diagnosticsTapsRef.current < 7) return;
+    diagnosticsTapsRef.current = 0;
+    setCurrentScreen('diagnostics');
+  };
+
+  const openWeek = (week) => {
+    setViewedWeek(week);
+    setCurrentScreen('week');
+  };
+
   // Home Screen Component
   const HomeScreen = () => {
     const currentWeek = userProfile.currentWeek;
@@ -1179,7 +2072,7 @@ const App = () => {
     
     // Validate program data exists for current week
     if (!currentWeekData) {
-      console.error(`Invalid week: ${currentWeek}. Resetting to week 1.`);
+      logger.error('programs', `Invalid week: ${currentWeek}. Resetting to week 1.`);
       // Reset to week 1 and show fallback UI
       setTimeout(() => {
         setUserProfile(prev => ({ ...prev, currentWeek: 1 }));
@@ -1198,19 +2091,32 @@ const App = () => {
       );
     }
     
-    const phaseInfo = getPhaseProgress();
-    const recommendedSessionType = getRecommendedSessionType(currentWeekData);
-    const rawSession = currentWeekData.sessions[recommendedSessionType];
+    const phaseInfo = getPhaseProgress(activeProgram, currentWeek);
+    const todaySessionType = getTodaySessionType(currentWeekData);
+    const isPickedSession = Boolean(selectedSessionType && currentWeekData.sessions[selectedSessionType]);
+    const weeklyQuotas = getWeeklyQuotas({
+      weekData: currentWeekData,
+      weekSessions: filterSessions(sessionHistory, { programId: activeProgramId, week: currentWeek }),
+      restDays: userProfile.preferences.restDays,
+      customDays: userProfile.preferences.sessionDays
+    });
+    // Nothing is missed while the program is paused
+    const catchUpSuggestions = userProfile.pausedAt ? [] : getCatchUpSuggestions({
+      quotas: weeklyQuotas,
+      weekStart: getCurrentWeekStart(),
+      today
+    });
+    const rawSession = currentWeekData.sessions[todaySessionType];
     
     // Validate session data exists
     if (!rawSession) {
-      console.error(`Invalid session type: ${recommendedSessionType} for week ${currentWeek}`);
+      logger.error('programs', `Invalid session type: ${todaySessionType} for week ${currentWeek}`);
       return (
         <div className="p-6 text-center">
           <div className="bg-red-50 border border-red-200 rounded-2xl p-6">
             <h3 className="font-semibold text-red-800 mb-2">Session Data Error</h3>
             <p className="text-red-700">
-              Unable to load session data for {recommendedSessionType} in Week {currentWeek}.
+              Unable to load session data for {todaySessionType} in Week {currentWeek}.
             </p>
           </div>
         </div>
@@ -1220,13 +2126,16 @@ const App = () => {
     const session = {
       ...rawSession,
       duration: getAdjustedDuration(rawSession.duration),
+      minDuration: getAdjustedDuration(rawSession.minDuration),
       activities: filterComplexActivities(rawSession.activities).map(activity => ({
         ...activity,
-        duration: getAdjustedDuration(activity.duration)
+        duration: getAdjustedDuration(activity.duration),
+        minDuration: getAdjustedDuration(activity.minDuration)
       }))
     };
     const timeOfDay = getTimeOfDay();
     const timeMessage = getTimeBasedMessage();
+    const interruptedRemaining = interruptedSession ? getRemainingSeconds(interruptedSession.timer) : null;
 
     return (
       <div className="p-6 space-y-6">
@@ -1240,6 +2149,108 @@ const App = () => {
           </div>
         </div>
 
+        {sessionInOtherTab && (
+          <div className="bg-blue-50 border border-blue-200 rounded-2xl p-4">
+            <p className="text-sm text-blue-700">
+              A session is running in another tab. Starting one here ends it there and logs it as partial.
+            </p>
+          </div>
+        )}
+
+        {/* Interrupted session from a reload, tab discard or crash */}
+        {interruptedSession && (
+          <div className="bg-blue-50 border border-blue-200 rounded-2xl p-6">
+            <h3 className="font-semibold text-blue-800 mb-2">Unfinished Session</h3>
+            <p className="text-sm text-blue-700 mb-4">
+              Week {interruptedSession.week} • {interruptedSession.sessionType} — stopped during
+              {interruptedSession.currentActivity ? ` "${interruptedSession.currentActivity.name}"` : ` activity ${interruptedSession.activities.length + 1}`}
+              {interruptedRemaining !== null && ` with ${Math.floor(interruptedRemaining / 60)}:${String(interruptedRemaining % 60).padStart(2, '0')} left`}
+              {interruptedSession.timer && !interruptedSession.timer.endTime && ' (paused)'}.
+            </p>
+            <div className="flex space-x-3">
+              <button
+                onClick={() => {
+                  soundEffects.sessionStart();
+                  resumeInterruptedSession();
+                }}
+                className="flex-1 bg-blue-500 text-white py-2 rounded-lg text-sm font-medium hover:bg-blue-600 transition-colors"
+              >
+                Resume
+              </button>
+              <button
+                onClick={completeInterruptedSession}
+                className="flex-1 bg-white border border-blue-300 text-blue-800 py-2 rounded-lg text-sm font-medium hover:bg-blue-100 transition-colors"
+              >
+                Mark as Done
+              </button>
+            </div>
+            <button
+              onClick={discardInterruptedSession}
+              className="w-full mt-3 text-xs text-blue-600 hover:text-blue-800"
+            >
+              Discard
+            </button>
+          </div>
+        )}
+
+        {/* Low adherence check-in */}
+        {adherencePrompt && (
+          <div className="bg-yellow-50 border border-yellow-200 rounded-2xl p-6">
+            <h3 className="font-semibold text-yellow-800 mb-2">Repeat Week {adherencePrompt.week}?</h3>
+            <p className="text-sm text-yellow-700 mb-4">
+              {adherencePrompt.reason === 'milestone'
+                ? `You marked last week's goal "${programData[adherencePrompt.week].milestone}" as not achieved.`
+                : `You completed ${adherencePrompt.sessionCount} of ${adherencePrompt.minSessions} sessions last week.`}
+              {' '}Repeating the week can help the habits stick - no pressure either way.
+            </p>
+            <div className="flex space-x-3">
+              <button
+                onClick={() => resolveAdherencePrompt(true)}
+                className="flex-1 bg-yellow-600 text-white py-2 rounded-lg text-sm font-medium hover:bg-yellow-700 transition-colors"
+              >
+                Repeat Week {adherencePrompt.week}
+              </button>
+              <button
+                onClick={() => resolveAdherencePrompt(false)}
+                className="flex-1 bg-white border border-yellow-300 text-yellow-800 py-2 rounded-lg text-sm font-medium hover:bg-yellow-100 transition-colors"
+              >
+                Continue
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Optional evening rating */}
+        {userProfile.preferences.eveningRating && !eveningRatingDismissed && isEveningRatingDue(dailyRatings) && (
+          <div className="bg-purple-50 border border-purple-200 rounded-2xl p-6">
+            <h3 className="font-semibold text-purple-800 mb-1">Evening Check-in</h3>
+            <p className="text-sm text-purple-700 mb-4">How was your energy, mood and focus today?</p>
+            <RatingForm
+              idPrefix="evening"
+              submitLabel="Save"
+              onSubmit={(ratings) => {
+                soundEffects.click();
+                rateEvening(ratings);
+              }}
+              onSkip={() => setEveningRatingDismissed(true)}
+            />
+          </div>
+        )}
+
+        {userProfile.pausedAt && (
+          <div className="bg-gray-100 border border-gray-200 rounded-2xl p-4 flex items-center justify-between">
+            <div className="text-sm text-gray-700">
+              Program paused since {formatISODate(userProfile.pausedAt)}
+            </div>
+            <button
+              onClick={resumeProgram}
+              className="px-3 py-1 bg-blue-500 text-white rounded-lg text-sm hover:bg-blue-600 transition-colors"
+            >
+              Resume
+            </button>
+          </div>
+        )}
+
         {/* Phase Progress */}
         <div className="bg-white rounded-2xl p-6 shadow-sm border">
           <div className="flex items-center justify-between mb-3">
@@ -1274,15 +2285,44 @@ const App = () => {
               <div className="flex items-center justify-between mb-4">
                 <h3 className="font-semibold text-gray-800">Today's Session</h3>
                 <div className="text-right">
-                  <div className="text-sm text-blue-600 font-medium">{recommendedSessionType}</div>
+                  <div className="text-sm text-blue-600 font-medium">{todaySessionType}</div>
                   <div className="text-xs text-gray-500">{getDayOfWeek()}</div>
                 </div>
               </div>
+
+              {weeklyQuotas.length > 1 && (
+                <div className="flex flex-wrap gap-2 mb-4">
+                  {weeklyQuotas.map(quota => (
+                    <button
+                      key={quota.sessionType}
+                      onClick={() => {
+                        soundEffects.click();
+                        setSelectedSessionType(quota.sessionType);
+                      }}
+                      className={`px-3 py-1 rounded-full text-sm border transition-colors ${
+                        quota.sessionType === todaySessionType
+                          ? 'bg-blue-500 text-white border-blue-500'
+                          : 'bg-white text-gray-700 border-gray-300 hover:border-blue-400'
+                      }`}
+                    >
+                      {quota.sessionType}
+                    </button>
+                  ))}
+                </div>
+              )}
               
               <div className="flex items-center justify-between mb-4">
-                <span className="font-medium text-gray-700">Recommended for {timeOfDay}</span>
-                <span className="text-sm text-gray-500">{session.duration} min</span>
+                <span className="font-medium text-gray-700">
+                  {isPickedSession ? 'Your pick for today' : `Recommended for ${timeOfDay}`}
+                </span>
+                <span className="text-sm text-gray-500">{formatDuration(session)} min</span>
               </div>
+
+              {!isPickedSession && hasEnergyVariants(Object.keys(currentWeekData.sessions)) && (
+                <p className="text-xs text-gray-500 -mt-2 mb-4">
+                  Your check-in picks the High or Low Energy session
+                </p>
+              )}
               
               <div className="space-y-3">
                 {session.activities.map((activity, index) => (
@@ -1292,15 +2332,15 @@ const App = () => {
                       <p className="font-medium text-sm text-gray-800">{activity.name}</p>
                       <p className="text-xs text-gray-600">{activity.description}</p>
                     </div>
-                    <span className="text-xs text-gray-500">{activity.duration} min</span>
+                    <span className="text-xs text-gray-500">{formatDuration(activity)} min</span>
                   </div>
                 ))}
               </div>
               
               <button 
                 onClick={() => {
-                  soundEffects.sessionStart();
-                  setCurrentScreen('session');
+                  soundEffects.navigation();
+                  setCurrentScreen('checkin');
                 }}
                 className="w-full mt-6 bg-blue-500 hover:bg-blue-600 text-white py-3 rounded-xl font-medium flex items-center justify-center space-x-2 transition-colors"
               >
@@ -1311,6 +2351,56 @@ const App = () => {
           )}
         </div>
 
+        {/* Weekly quota and catch-up suggestions */}
+        <div className="bg-white rounded-2xl p-6 shadow-sm border">
+          <h3 className="font-semibold text-gray-800 mb-4">This Week</h3>
+          <div className="space-y-3">
+            {weeklyQuotas.map(quota => (
+              <div key={quota.sessionType}>
+                <div className="flex justify-between text-sm mb-1">
+                  <span className="text-gray-700">{quota.sessionType}</span>
+                  <span className="text-gray-500">
+                    {quota.quota !== null ? `${Math.min(quota.done, quota.quota)} of ${quota.quota}` : `${quota.done} done`}
+                  </span>
+                </div>
+                {quota.quota !== null && (
+                  <div className="w-full bg-gray-200 rounded-full h-2">
+                    <div
+                      className="h-2 bg-blue-500 rounded-full transition-all duration-500"
+                      style={{ width: `${quota.quota > 0 ? Math.min(quota.done / quota.quota, 1) * 100 : 100}%` }}
+                    />
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+
+          {catchUpSuggestions.length > 0 && (
+            <div className="mt-4 p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
+              <h4 className="font-medium text-yellow-800 mb-2">Catch Up</h4>
+              <div className="space-y-2">
+                {catchUpSuggestions.map(suggestion => (
+                  <div key={suggestion.sessionType} className="flex items-center justify-between">
+                    <span className="text-sm text-yellow-700">
+                      {suggestion.sessionType}: {suggestion.missed} missed
+                    </span>
+                    <button
+                      onClick={() => {
+                        soundEffects.navigation();
+                        setSelectedSessionType(suggestion.sessionType);
+                        setCurrentScreen('checkin');
+                      }}
+                      className="px-3 py-1 bg-yellow-600 text-white rounded-lg text-sm hover:bg-yellow-700 transition-colors"
+                    >
+                      Do it now
+                    </button>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+
         {/* Time-based motivation message */}
         <div className={`rounded-2xl p-4 border ${
           timeOfDay === 'morning' ? 'bg-yellow-50 border-yellow-200' :
@@ -1329,6 +2419,9 @@ const App = () => {
             <h3 className="font-semibold text-gray-800">Week Goal</h3>
           </div>
           <p className="text-gray-700">{currentWeekData.milestone}</p>
+          <div className="mt-4">
+            <Screens.MilestoneStatus week={currentWeek} />
+          </div>
         </div>
 
         {/* Status Indicator Cards */}
@@ -1344,11 +2437,13 @@ const App = () => {
           </div>
         )}
 
-        {userProfile.preferences.notifications && Notification.permission === 'granted' && (
+        {reminderConfig.enabled && (
           <div className="bg-green-50 border border-green-200 rounded-2xl p-4">
             <h4 className="font-semibold text-green-800 mb-2">Daily Reminders Active</h4>
             <div className="text-sm text-green-700">
-              <div>Next reminder: Tomorrow at {userProfile.preferences.reminderTime}</div>
+              <div>
+                {nextReminderAt ? `Next reminder: ${formatReminderTime(nextReminderAt)}` : 'No reminders in the coming week'}
+              </div>
               <div className="text-xs mt-1">You'll receive notifications for your daily sessions</div>
             </div>
           </div>
@@ -1366,7 +2461,7 @@ const App = () => {
         {/* Quick Stats */}
         <div className="grid grid-cols-2 gap-4">
           <div className="bg-white rounded-xl p-4 shadow-sm border text-center">
-            <div className="text-2xl font-light text-blue-600 mb-1">{completedSessions.size}</div>
+            <div className="text-2xl font-light text-blue-600 mb-1">{activeProgramSessionCount}</div>
             <div className="text-xs text-gray-600">Sessions Complete</div>
           </div>
           <div className="bg-white rounded-xl p-4 shadow-sm border text-center">
@@ -1378,26 +2473,148 @@ const App = () => {
     );
   };
 
-  // Session Screen Component
-  const SessionScreen = () => {
-    console.log(`📺 SessionScreen render: currentActivity=${currentActivity}, week=${userProfile.currentWeek}`);
+  // A week's goal status with progress from its milestone check, if any
+  const MilestoneStatus = ({ week }) => {
+    const record = getMilestone(userProfile.milestones, activeProgramId, week);
+    const detection = getMilestoneDetection(week);
+
+    if (editingMilestoneWeek === week) {
+      return (
+        <MilestoneForm
+          record={record}
+          onSave={(update) => {
+            soundEffects.click();
+            updateMilestone(week, update);
+          }}
+          onCancel={() => setEditingMilestoneWeek(null)}
+        />
+      );
+    }
+
+    return (
+      <div className="space-y-2">
+        {detection && !(record && record.status === MILESTONE_STATUS.ACHIEVED) && (
+          <p className="text-xs text-gray-600">
+            {detection.done} of {detection.needed} {detection.label}
+          </p>
+        )}
+        {record ? (
+          <>
+            <div className="flex items-center justify-between">
+              <span className={`px-2 py-1 rounded-full text-xs font-medium ${MILESTONE_LABELS[record.status].badge}`}>
+                {MILESTONE_LABELS[record.status].name}{record.auto && ' (detected)'}
+              </span>
+              <button
+                onClick={() => setEditingMilestoneWeek(week)}
+                className="text-xs text-blue-600 hover:text-blue-800"
+              >
+                Update
+              </button>
+            </div>
+            {record.note && <p className="text-xs text-gray-600 italic break-words">{record.note}</p>}
+          </>
+        ) : (
+          <button
+            onClick={() => setEditingMilestoneWeek(week)}
+            className="text-sm text-blue-600 hover:text-blue-800 font-medium"
+          >
+            Mark progress
+          </button>
+        )}
+      </div>
+    );
+  };
+
+  // Pre-session Check-in Component
+  const CheckInScreen = () => {
+    // Local so dragging a slider only re-renders this screen
+    const [ratings, setRatings] = useState({ energy: 5, mood: 5, focus: 5 });
+    const currentWeekData = programData[userProfile.currentWeek];
+
+    if (!currentWeekData) {
+      setCurrentScreen('home');
+      return null;
+    }
+
+    const sessionTypes = Object.keys(currentWeekData.sessions);
+    const checkInSessionType = getTodaySessionType(currentWeekData, createCheckIn(ratings));
+
+    return (
+      <div className="p-6 space-y-6">
+        <div className="flex items-center justify-between">
+          <button onClick={() => {
+            soundEffects.navigation();
+            reminderStartRef.current = false;
+            setCurrentScreen('home');
+          }}>
+            <ChevronLeft className="w-6 h-6 text-gray-600" />
+          </button>
+          <div className="text-center">
+            <h2 className="font-semibold text-gray-800">Quick Check-in</h2>
+            <p className="text-sm text-gray-600">How are you arriving today?</p>
+          </div>
+          <div className="w-6" />
+        </div>
+
+        <div className="bg-white rounded-2xl p-6 shadow-sm border">
+          <RatingSliders idPrefix="checkin" ratings={ratings} onChange={setRatings} />
+        </div>
+
+        <div className="bg-blue-50 border border-blue-200 rounded-2xl p-4">
+          <p className="text-sm text-blue-800">
+            Today's session: <span className="font-semibold">{checkInSessionType}</span>
+          </p>
+          {!selectedSessionType && hasEnergyVariants(sessionTypes) && (
+            <p className="text-xs text-blue-700 mt-1">Picked from your energy level</p>
+          )}
+        </div>
+
+        <button
+          onClick={() => {
+            soundEffects.sessionStart();
+            const checkIn = createCheckIn(ratings);
+            startSession(getTodaySessionType(currentWeekData, checkIn), checkIn);
+          }}
+          className="w-full bg-blue-500 hover:bg-blue-600 text-white py-3 rounded-xl font-medium flex items-center justify-center space-x-2 transition-colors"
+        >
+          <Play className="w-5 h-5" />
+          <span>Start Session</span>
+        </button>
+        <button
+          onClick={() => {
+            soundEffects.sessionStart();
+            startSession(getTodaySessionType(currentWeekData));
+          }}
+          className="w-full text-gray-500 text-center py-2 hover:text-gray-700 transition-colors"
+        >
+          Skip check-in
+        </button>
+      </div>
+    );
+  };
+
+  // Session Screen Component
+  const SessionScreen = () => {
+    logger.debug('session', `Render: currentActivity=${currentActivity}, week=${userProfile.currentWeek}`);
     
-    const currentWeek = userProfile.currentWeek;
+    // A started (or resumed) session keeps its own week and session type
+    const sessionRecord = activeSessionRef.current;
+    const currentWeek = sessionRecord ? sessionRecord.week : userProfile.currentWeek;
     const currentWeekData = programData[currentWeek];
     
     // Validate program data exists
     if (!currentWeekData) {
-      console.error(`Invalid week: ${currentWeek} in SessionScreen. Returning to home.`);
+      logger.error('session', `Invalid week: ${currentWeek}. Returning to home.`);
       setCurrentScreen('home');
       return null;
     }
     
-    const recommendedSessionType = getRecommendedSessionType(currentWeekData);
+    const recommendedSessionType = sessionRecord ? sessionRecord.sessionType : getRecommendedSessionType(currentWeekData);
     const rawSession = currentWeekData.sessions[recommendedSessionType];
     
     // Validate session exists
     if (!rawSession) {
-      console.error(`Invalid session: ${recommendedSessionType} for week ${currentWeek}`);
+      logger.error('session', `Invalid session: ${recommendedSessionType} for week ${currentWeek}`);
       setCurrentScreen('home');
       return null;
     }
@@ -1405,15 +2622,17 @@ const App = () => {
     const session = {
       ...rawSession,
       duration: getAdjustedDuration(rawSession.duration),
+      minDuration: getAdjustedDuration(rawSession.minDuration),
       activities: filterComplexActivities(rawSession.activities).map(activity => ({
         ...activity,
-        duration: getAdjustedDuration(activity.duration)
+        duration: getAdjustedDuration(activity.duration),
+        minDuration: getAdjustedDuration(activity.minDuration)
       }))
     };
     
     // Validate activity exists
     if (!session.activities || session.activities.length === 0 || currentActivity >= session.activities.length) {
-      console.error(`Invalid activity index: ${currentActivity} for session with ${session.activities?.length || 0} activities`);
+      logger.error('session', `Invalid activity index: ${currentActivity} for session with ${session.activities?.length || 0} activities`);
       setCurrentScreen('home');
       return null;
     }
@@ -1421,7 +2640,20 @@ const App = () => {
     const activity = session.activities[currentActivity];
     const timeOfDay = getTimeOfDay();
 
-    const completeActivity = useCallback(() => {
+    // Keep the saved session aware of the activity on screen, so an
+    // interrupted session can still be logged with it
+    if (activeSessionRef.current) {
+      activeSessionRef.current.currentActivity = {
+        name: activity.name,
+        type: activity.type,
+        plannedMinutes: activity.duration
+      };
+    }
+
+    // Called by the timer when it runs out, or with skipped=true from "Skip Activity"
+    const completeActivity = useCallback((skipped = false) => {
+      recordActivityResult(recommendedSessionType, activity, !skipped);
+
       if (currentActivity < session.activities.length - 1) {
         soundEffects.click();
         setCurrentActivity(currentActivity + 1);
@@ -1431,24 +2663,23 @@ const App = () => {
         
         // Use flushSync to ensure all critical state updates complete atomically
         flushSync(() => {
-          // Use timestamp to ensure unique session keys
-          const sessionKey = `week${currentWeek}-${recommendedSessionType}-${Date.now()}`;
-          setCompletedSessions(new Set([...completedSessions, sessionKey]));
+          finishSession();
           setCurrentActivity(0); // Reset for next time
         });
         
         // Navigate to complete screen after state is committed
-        setCurrentScreen('complete');
+        replaceScreen('complete');
       }
-    }, [currentActivity, session.activities.length, soundEffects, currentWeek, recommendedSessionType, completedSessions]);
+    }, [currentActivity, session.activities.length, soundEffects, recommendedSessionType, activity]);
 
     return (
       <div className="p-6 h-screen flex flex-col">
         {/* Header */}
         <div className="flex items-center justify-between mb-8">
           <button onClick={() => {
+            if (activeSessionRef.current && !window.confirm(LEAVE_SESSION_PROMPT)) return;
             soundEffects.navigation();
-            setCurrentScreen('home');
+            leaveSession();
           }}>
             <ChevronLeft className="w-6 h-6 text-gray-600" />
           </button>
@@ -1464,7 +2695,7 @@ const App = () => {
         <div className="mb-8">
           <div className="flex justify-between text-sm text-gray-600 mb-2">
             <span>Activity {currentActivity + 1} of {session.activities.length}</span>
-            <span>{activity.duration} min</span>
+            <span>{formatDuration(activity)} min</span>
           </div>
           <div className="w-full bg-gray-200 rounded-full h-2">
             <div 
@@ -1487,12 +2718,14 @@ const App = () => {
           <SessionTimer 
             duration={typeof activity.duration === 'number' ? activity.duration : 5} 
             onComplete={completeActivity}
+            onTimerChange={handleTimerChange}
+            initialState={timerStateRef.current && timerStateRef.current.activityIndex === currentActivity ? timerStateRef.current : null}
           />
         </div>
 
         {/* Skip Button */}
         <button 
-          onClick={completeActivity}
+          onClick={() => completeActivity(true)}
           className="mt-8 text-gray-500 text-center py-3 hover:text-gray-700 transition-colors"
         >
           Skip Activity
@@ -1503,8 +2736,16 @@ const App = () => {
 
   // Week navigation functions
   const updateWeek = (newWeek) => {
-    if (newWeek >= 1 && newWeek <= 12) {
-      setUserProfile(prev => ({ ...prev, currentWeek: newWeek }));
+    if (activeProgram && newWeek >= 1 && newWeek <= activeProgram.weekCount) {
+      setUserProfile(prev => ({
+        ...prev,
+        currentWeek: newWeek,
+        // In calendar mode, move the start date so the calendar agrees with the chosen week
+        startDate: prev.preferences.weekProgression === 'calendar'
+          ? shiftISODate(prev.startDate, -7 * (newWeek - prev.currentWeek))
+          : prev.startDate,
+        adherenceCheckedWeek: Math.min(prev.adherenceCheckedWeek || 0, newWeek - 1)
+      }));
     }
   };
 
@@ -1512,10 +2753,234 @@ const App = () => {
   const ProgressScreen = () => {
     const currentWeek = userProfile.currentWeek;
     const weeks = Object.keys(programData).map(Number).sort((a, b) => a - b);
-    
+    const { restDays, sessionDays } = userProfile.preferences;
+
+    const streaks = getStreaks({ history: sessionHistory, restDays, today });
+    const adherence = getWeeklyAdherence({
+      history: sessionHistory,
+      programId: activeProgramId,
+      weeks: programData,
+      currentWeek,
+      restDays,
+      customDays: sessionDays
+    });
+    const heatmap = getMonthHeatmap({ history: sessionHistory, ...heatmapMonth });
+    const modalityTime = getModalityTime(filterSessions(sessionHistory, { programId: activeProgramId }));
+    const maxModalitySeconds = Math.max(1, ...modalityTime.map(entry => entry.seconds));
+    const monthLabel = new Date(heatmapMonth.year, heatmapMonth.month, 1)
+      .toLocaleDateString([], { month: 'long', year: 'numeric' });
+    const weeklyRatings = getWeeklyRatings({
+      history: sessionHistory,
+      dailyRatings,
+      programId: activeProgramId,
+      weekCount: activeProgram.weekCount
+    });
+    const ratingChange = getSessionRatingChange(sessionHistory, activeProgramId);
+    const milestoneSummary = getMilestoneSummary(userProfile.milestones, activeProgramId, weeks.filter(week => week <= currentWeek));
+    const hasRatings = weeklyRatings.some(entry => RATING_SERIES.some(series => entry[series.key]));
+    // Trend chart geometry, in SVG units
+    const chartX = (week) => 24 + ((week - 1) / Math.max(1, activeProgram.weekCount - 1)) * 266;
+    const chartY = (value) => 8 + ((CHECK_IN_MAX - value) / (CHECK_IN_MAX - CHECK_IN_MIN)) * 92;
+    const formatMinutes = (seconds) => (seconds >= 3600
+      ? `${Math.floor(seconds / 3600)}h ${Math.round((seconds % 3600) / 60)}m`
+      : `${Math.round(seconds / 60)}m`);
+
     return (
       <div className="p-6 space-y-6">
-        <h2 className="text-2xl font-light text-gray-800 text-center mb-6">Your Journey</h2>
+        <div className="text-center mb-6">
+          <h2 className="text-2xl font-light text-gray-800">Your Journey</h2>
+          <p className="text-sm text-gray-600 mt-1">{activeProgram.title} • {activeProgram.weekCount} weeks</p>
+        </div>
+
+        {/* Streaks */}
+        <div className="grid grid-cols-2 gap-4">
+          <div className="bg-white rounded-xl p-4 shadow-sm border text-center">
+            <Zap className="w-6 h-6 text-orange-500 mx-auto mb-1" />
+            <div className="text-2xl font-semibold text-gray-800">{streaks.current}</div>
+            <div className="text-xs text-gray-600">Current streak (days)</div>
+          </div>
+          <div className="bg-white rounded-xl p-4 shadow-sm border text-center">
+            <Award className="w-6 h-6 text-yellow-500 mx-auto mb-1" />
+            <div className="text-2xl font-semibold text-gray-800">{streaks.longest}</div>
+            <div className="text-xs text-gray-600">Longest streak (days)</div>
+          </div>
+        </div>
+        <p className="text-xs text-gray-500 text-center -mt-3">Rest days don't break a streak.</p>
+
+        {/* Month heatmap */}
+        <div className="bg-white rounded-xl p-4 shadow-sm border">
+          <div className="flex items-center justify-between mb-3">
+            <button onClick={() => shiftHeatmapMonth(-1)} className="p-1 text-gray-500 hover:text-gray-700" aria-label="Previous month">
+              <ChevronLeft className="w-5 h-5" />
+            </button>
+            <h4 className="font-medium text-gray-800">{monthLabel}</h4>
+            <button onClick={() => shiftHeatmapMonth(1)} className="p-1 text-gray-500 hover:text-gray-700" aria-label="Next month">
+              <ChevronRight className="w-5 h-5" />
+            </button>
+          </div>
+          <div className="grid grid-cols-7 gap-1 text-center text-xs">
+            {WEEKDAY_NAMES.map(name => (
+              <div key={name} className="text-gray-500 pb-1">{name.charAt(0)}</div>
+            ))}
+            {heatmap.map((row, rowIndex) => row.map((cell, cellIndex) => (cell ? (
+              <div
+                key={cell.date}
+                title={`${formatISODate(cell.date)}: ${cell.count} session${cell.count === 1 ? '' : 's'}`}
+                className={`aspect-square rounded flex items-center justify-center ${
+                  HEATMAP_COLORS[Math.min(cell.count, HEATMAP_COLORS.length - 1)]
+                } ${cell.date === today ? 'ring-2 ring-blue-500' : ''}`}
+              >
+                {cell.day}
+              </div>
+            ) : (
+              <div key={`${rowIndex}-${cellIndex}`} />
+            ))))}
+          </div>
+        </div>
+
+        {/* Sessions done vs planned */}
+        <div className="bg-white rounded-xl p-4 shadow-sm border">
+          <h4 className="font-medium text-gray-800 mb-3">Sessions per Week</h4>
+          <div className="space-y-2">
+            {adherence.map(({ week, done, planned }) => (
+              <div key={week} className="flex items-center space-x-3 text-sm">
+                <span className="w-16 text-gray-600">Week {week}</span>
+                <div className="flex-1 h-2 bg-gray-100 rounded-full overflow-hidden">
+                  <div
+                    className={`h-full rounded-full ${done >= planned ? 'bg-green-500' : 'bg-blue-500'}`}
+                    style={{ width: `${Math.min(100, (done / planned) * 100)}%` }}
+                  />
+                </div>
+                <span className="w-12 text-right text-gray-700">{done}/{planned}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {/* Milestones so far */}
+        <div className="bg-white rounded-xl p-4 shadow-sm border">
+          <h4 className="font-medium text-gray-800 mb-3">Week Goals</h4>
+          <div className="grid grid-cols-4 gap-2 text-center">
+            {[
+              { label: 'Achieved', count: milestoneSummary.achieved, color: 'text-green-600' },
+              { label: 'Partly', count: milestoneSummary.partial, color: 'text-yellow-600' },
+              { label: 'Not yet', count: milestoneSummary.notAchieved, color: 'text-red-600' },
+              { label: 'Open', count: milestoneSummary.open, color: 'text-gray-500' }
+            ].map(item => (
+              <div key={item.label}>
+                <div className={`text-xl font-semibold ${item.color}`}>{item.count}</div>
+                <div className="text-xs text-gray-600">{item.label}</div>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {/* Self-ratings over the program */}
+        <div className="bg-white rounded-xl p-4 shadow-sm border">
+          <div className="flex items-center justify-between mb-3">
+            <h4 className="font-medium text-gray-800">Ratings by Week</h4>
+            <div className="flex space-x-1">
+              {CHECK_IN_FIELDS.map(field => (
+                <button
+                  key={field}
+                  onClick={() => setRatingTrendField(field)}
+                  className={`px-2 py-1 rounded-lg text-xs transition-colors ${
+                    ratingTrendField === field ? 'bg-blue-500 text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                  }`}
+                >
+                  {RATING_LABELS[field].title}
+                </button>
+              ))}
+            </div>
+          </div>
+          {hasRatings ? (
+            <>
+              <svg viewBox="0 0 300 120" className="w-full" role="img" aria-label={`${RATING_LABELS[ratingTrendField].title} ratings by week`}>
+                {[CHECK_IN_MIN, CHECK_IN_MAX].map(value => (
+                  <g key={value}>
+                    <line x1="24" x2="290" y1={chartY(value)} y2={chartY(value)} stroke="#e5e7eb" strokeWidth="1" />
+                    <text x="16" y={chartY(value) + 3} fontSize="8" textAnchor="end" fill="#6b7280">{value}</text>
+                  </g>
+                ))}
+                {weeklyRatings.map(({ week }) => (
+                  <text key={week} x={chartX(week)} y="114" fontSize="8" textAnchor="middle" fill="#6b7280">{week}</text>
+                ))}
+                {RATING_SERIES.map(series => {
+                  const points = weeklyRatings
+                    .filter(entry => entry[series.key])
+                    .map(entry => ({ x: chartX(entry.week), y: chartY(entry[series.key][ratingTrendField]) }));
+                  return (
+                    <g key={series.key}>
+                      <polyline
+                        points={points.map(point => `${point.x},${point.y}`).join(' ')}
+                        fill="none"
+                        stroke={series.stroke}
+                        strokeWidth="2"
+                      />
+                      {points.map(point => (
+                        <circle key={point.x} cx={point.x} cy={point.y} r="2.5" fill={series.stroke} />
+                      ))}
+                    </g>
+                  );
+                })}
+              </svg>
+              <div className="flex flex-wrap gap-3 mt-2 text-xs text-gray-600">
+                {RATING_SERIES.map(series => (
+                  <span key={series.key} className="flex items-center space-x-1">
+                    <span className={`inline-block w-3 h-3 rounded-full ${series.swatch}`} />
+                    <span>{series.name}</span>
+                  </span>
+                ))}
+              </div>
+            </>
+          ) : (
+            <p className="text-sm text-gray-600">
+              Check in before sessions and rate how you feel afterwards to see your trends here.
+            </p>
+          )}
+        </div>
+
+        {/* Before/after comparison */}
+        {ratingChange.change && (
+          <div className="bg-white rounded-xl p-4 shadow-sm border">
+            <h4 className="font-medium text-gray-800 mb-1">Before and After Sessions</h4>
+            <p className="text-xs text-gray-600 mb-3">
+              Average of {ratingChange.sessions} session{ratingChange.sessions === 1 ? '' : 's'} rated at both ends
+            </p>
+            <div className="space-y-2">
+              {CHECK_IN_FIELDS.map(field => (
+                <div key={field} className="flex items-center justify-between text-sm">
+                  <span className="w-16 text-gray-600">{RATING_LABELS[field].title}</span>
+                  <span className="text-gray-700">{ratingChange.before[field]} → {ratingChange.after[field]}</span>
+                  <span className={`w-12 text-right font-medium ${
+                    ratingChange.change[field] > 0 ? 'text-green-600' : ratingChange.change[field] < 0 ? 'text-red-600' : 'text-gray-500'
+                  }`}>
+                    {ratingChange.change[field] > 0 ? '+' : ''}{ratingChange.change[field]}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* Time per modality */}
+        <div className="bg-white rounded-xl p-4 shadow-sm border">
+          <h4 className="font-medium text-gray-800 mb-3">Time Spent</h4>
+          <div className="space-y-2">
+            {modalityTime.map(({ type, seconds }) => (
+              <div key={type} className="flex items-center space-x-3 text-sm">
+                <span className="w-24 text-gray-600">{MODALITY_LABELS[type].name}</span>
+                <div className="flex-1 h-2 bg-gray-100 rounded-full overflow-hidden">
+                  <div
+                    className={`h-full rounded-full ${MODALITY_LABELS[type].color}`}
+                    style={{ width: `${(seconds / maxModalitySeconds) * 100}%` }}
+                  />
+                </div>
+                <span className="w-16 text-right text-gray-700">{formatMinutes(seconds)}</span>
+              </div>
+            ))}
+          </div>
+        </div>
         
         <div className="space-y-4">
           {weeks.map(week => {
@@ -1545,18 +3010,25 @@ const App = () => {
                     <p className="text-sm text-gray-600">{weekData.title}</p>
                     <p className="text-xs text-gray-500 mt-1">{weekData.phase} Phase</p>
                   </div>
-                  {isCurrent && (
-                    <button 
-                      onClick={() => setCurrentScreen('home')}
-                      className="text-blue-500"
-                    >
-                      <ChevronRight className="w-5 h-5" />
-                    </button>
-                  )}
+                  <button
+                    onClick={() => {
+                      soundEffects.navigation();
+                      openWeek(week);
+                    }}
+                    className={isCurrent ? 'text-blue-500' : 'text-gray-400 hover:text-gray-600'}
+                    aria-label={`Week ${week} details`}
+                  >
+                    <ChevronRight className="w-5 h-5" />
+                  </button>
                 </div>
                 
                 <div className="mt-3 p-3 bg-white rounded-lg">
                   <p className="text-xs text-gray-600">{weekData.milestone}</p>
+                  {week <= currentWeek && (
+                    <div className="mt-3">
+                      <Screens.MilestoneStatus week={week} />
+                    </div>
+                  )}
                 </div>
               </div>
             );
@@ -1573,13 +3045,311 @@ const App = () => {
             Previous Week
           </button>
           <button 
-            onClick={() => updateWeek(Math.min(12, currentWeek + 1))}
-            disabled={currentWeek === 12}
+            onClick={() => updateWeek(Math.min(activeProgram.weekCount, currentWeek + 1))}
+            disabled={currentWeek === activeProgram.weekCount}
             className="px-4 py-2 bg-blue-500 text-white rounded-lg disabled:opacity-50 disabled:cursor-not-allowed hover:bg-blue-600 transition-colors"
           >
             Next Week
           </button>
         </div>
+
+        {/* Program Schedule */}
+        {userProfile.preferences.weekProgression === 'calendar' && (
+          <div className="bg-white rounded-xl p-4 shadow-sm border space-y-3">
+            <h4 className="font-medium text-gray-800">Schedule</h4>
+            <div>
+              <label className="block text-sm text-gray-600 mb-1">Program start date</label>
+              <input
+                type="date"
+                value={userProfile.startDate}
+                max={today}
+                onChange={(e) => {
+                  if (parseISODate(e.target.value)) {
+                    updateUserProfile({ startDate: e.target.value, adherenceCheckedWeek: 0 });
+                  }
+                }}
+                className="w-full p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+            <p className="text-xs text-gray-500">
+              {userProfile.pausedAt
+                ? `Paused since ${formatISODate(userProfile.pausedAt)}. Resuming moves your start date forward by the paused days.`
+                : `Week ${currentWeek}: ${currentWeekSessionCount} of ${getMinSessions(programData[currentWeek])} sessions done.`}
+            </p>
+            <button
+              onClick={userProfile.pausedAt ? resumeProgram : pauseProgram}
+              className="w-full py-2 rounded-lg border border-gray-300 text-gray-700 text-sm hover:bg-gray-50 transition-colors"
+            >
+              {userProfile.pausedAt ? 'Resume Program' : 'Pause Program'}
+            </button>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  // Week Screen Component - one program week, opened from Progress or a #/week/N link
+  const WeekScreen = () => {
+    const weekData = programData[viewedWeek];
+    // Left for Progress by the effect above
+    if (!weekData) return null;
+
+    const weekSessions = filterSessions(sessionHistory, { programId: activeProgramId, week: viewedWeek });
+
+    return (
+      <div className="p-6 space-y-6">
+        <div className="flex items-center space-x-4">
+          <button onClick={() => {
+            soundEffects.navigation();
+            goBackTo('progress');
+          }}>
+            <ChevronLeft className="w-6 h-6 text-gray-600" />
+          </button>
+          <div>
+            <h2 className="text-2xl font-light text-gray-800">Week {viewedWeek}</h2>
+            <p className="text-sm text-gray-600">{weekData.title} • {weekData.phase} Phase</p>
+          </div>
+        </div>
+
+        <div className="bg-white rounded-2xl p-6 shadow-sm border">
+          <div className="flex items-center space-x-2 mb-2">
+            <Target className="w-5 h-5 text-blue-500" />
+            <h3 className="font-semibold text-gray-800">Week Goal</h3>
+          </div>
+          <p className="text-sm text-gray-600">{weekData.milestone}</p>
+          {viewedWeek <= userProfile.currentWeek && (
+            <div className="mt-4">
+              <Screens.MilestoneStatus week={viewedWeek} />
+            </div>
+          )}
+        </div>
+
+        {Object.entries(weekData.sessions).map(([sessionType, session]) => (
+          <div key={sessionType} className="bg-white rounded-2xl p-6 shadow-sm border">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="font-semibold text-gray-800">{sessionType}</h3>
+              <span className="text-sm text-gray-500">{formatDuration(session)} min</span>
+            </div>
+            <div className="space-y-3">
+              {session.activities.map((activity, index) => (
+                <div key={index} className="flex items-center space-x-3 p-3 bg-gray-50 rounded-lg">
+                  {getActivityIcon(activity.type)}
+                  <div className="flex-1">
+                    <p className="font-medium text-sm text-gray-800">{activity.name}</p>
+                    <p className="text-xs text-gray-600">{activity.description}</p>
+                  </div>
+                  <span className="text-xs text-gray-500">{formatDuration(activity)} min</span>
+                </div>
+              ))}
+            </div>
+          </div>
+        ))}
+
+        <div className="bg-white rounded-2xl p-6 shadow-sm border">
+          <h3 className="font-semibold text-gray-800 mb-3">Your Sessions</h3>
+          {weekSessions.length > 0 ? (
+            <div className="space-y-2">
+              {weekSessions.map(entry => (
+                <div key={entry.id} className="flex items-center justify-between text-sm">
+                  <span className="text-gray-700">{formatISODate(toISODate(new Date(entry.startedAt)))}</span>
+                  <span className="text-gray-600">{entry.sessionType}</span>
+                  <span className={entry.status === 'completed' ? 'text-green-600' : 'text-gray-500'}>
+                    {entry.status === 'completed' ? 'Completed' : 'Partial'}
+                  </span>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="text-sm text-gray-600">No sessions logged for this week yet.</p>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  // Diagnostics Screen Component - not in the menus; opened from a
+  // #/diagnostics link or by tapping the profile subtitle seven times
+  const DiagnosticsScreen = () => {
+    const [capabilities, setCapabilities] = useState(null);
+    const [storageContents, setStorageContents] = useState(null);
+    const [copyStatus, setCopyStatus] = useState(null);
+    const [timerTracing, setTimerTracing] = useState(() => isTracing('timer'));
+    const [logEntries, setLogEntries] = useState(() => getLogEntries().slice(-50).reverse());
+    const crashReports = getCrashReports();
+
+    useEffect(() => {
+      let cancelled = false;
+      Promise.all([
+        getCapabilities(),
+        getStorageContents({ backend: storage.backend, userProfile, sessionHistory, dailyRatings, importedPrograms, snapshots })
+      ]).then(([foundCapabilities, contents]) => {
+        if (cancelled) return;
+        setCapabilities(foundCapabilities);
+        setStorageContents(contents);
+      });
+      return () => { cancelled = true; };
+    }, []);
+
+    const copyBundle = async () => {
+      try {
+        await navigator.clipboard.writeText(createDiagnosticBundle({ capabilities, storage: storageContents }));
+        setCopyStatus('copied');
+      } catch (error) {
+        logger.warn('app', 'Could not copy diagnostic bundle', error);
+        setCopyStatus('failed');
+      }
+    };
+
+    return (
+      <div className="p-6 space-y-6">
+        <div className="flex items-center space-x-4">
+          <button onClick={() => {
+            soundEffects.navigation();
+            setCurrentScreen('profile');
+          }}>
+            <ChevronLeft className="w-6 h-6 text-gray-600" />
+          </button>
+          <h2 className="text-2xl font-light text-gray-800">Diagnostics</h2>
+        </div>
+
+        <div className="space-y-2">
+          <button
+            onClick={copyBundle}
+            disabled={!capabilities}
+            className="w-full bg-blue-500 text-white py-2 rounded-lg text-sm font-medium hover:bg-blue-600 transition-colors disabled:opacity-50"
+          >
+            {copyStatus === 'copied' ? 'Copied Diagnostic Bundle' : 'Copy Diagnostic Bundle'}
+          </button>
+          {copyStatus === 'failed' && (
+            <button
+              onClick={() => downloadFile(
+                createDiagnosticBundle({ capabilities, storage: storageContents }),
+                `focus-flow-diagnostics-${toISODate(new Date())}.json`,
+                'application/json'
+              )}
+              className="w-full py-2 rounded-lg border border-gray-300 text-gray-700 text-sm hover:bg-gray-50 transition-colors"
+            >
+              Copying isn't available here - Download Instead
+            </button>
+          )}
+          <p className="text-xs text-gray-500 text-center">
+            Includes a summary of your stored data, not the data itself
+          </p>
+        </div>
+
+        <div className="bg-white rounded-xl p-4 shadow-sm border">
+          <h4 className="font-medium text-gray-800 mb-3">Capabilities</h4>
+          {capabilities ? (
+            <div className="space-y-2">
+              {capabilities.map(({ name, value, ok }) => (
+                <div key={name} className="flex justify-between text-sm">
+                  <span className="text-gray-600">{name}</span>
+                  <span className={ok ? 'text-gray-800' : 'text-orange-600 font-medium'}>{value}</span>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="text-sm text-gray-600">Checking...</p>
+          )}
+        </div>
+
+        <div className="bg-white rounded-xl p-4 shadow-sm border">
+          <h4 className="font-medium text-gray-800 mb-3">Storage</h4>
+          {storageContents ? (
+            <div className="space-y-2 text-sm">
+              {[
+                ['Backend', storageContents.backend],
+                ['Program', `${storageContents.profile.activeProgramId}, week ${storageContents.profile.currentWeek}`],
+                ['Sessions', storageContents.sessions],
+                ['Evening ratings', storageContents.dailyRatings],
+                ['Imported programs', storageContents.importedPrograms],
+                ['Snapshots', storageContents.snapshots],
+                ['Crash reports', storageContents.crashReports]
+              ].map(([name, value]) => (
+                <div key={name} className="flex justify-between">
+                  <span className="text-gray-600">{name}</span>
+                  <span className="text-gray-800">{value}</span>
+                </div>
+              ))}
+              <div className="pt-2 border-t">
+                <div className="text-xs text-gray-500 mb-1">localStorage (characters)</div>
+                {Object.entries(storageContents.localStorage).map(([key, size]) => (
+                  <div key={key} className="flex justify-between text-xs font-mono">
+                    <span className="text-gray-600 truncate mr-2">{key}</span>
+                    <span className="text-gray-800">{size}</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          ) : (
+            <p className="text-sm text-gray-600">Checking...</p>
+          )}
+        </div>
+
+        {crashReports.length > 0 && (
+          <div className="bg-white rounded-xl p-4 shadow-sm border">
+            <h4 className="font-medium text-gray-800 mb-3">Crash Reports</h4>
+            <div className="space-y-2">
+              {crashReports.map(report => (
+                <div key={report.id} className="text-xs">
+                  <div className="text-gray-500">{new Date(report.createdAt).toLocaleString()} • {report.screen || '#/'}</div>
+                  <div className="text-red-700 font-mono break-words">{report.message}</div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <div className="bg-white rounded-xl p-4 shadow-sm border">
+          <div className="flex items-center justify-between mb-3">
+            <div>
+              <h4 className="font-medium text-gray-800">Trace Session Timer</h4>
+              <p className="text-xs text-gray-600">Log every timer render and tick, also in the installed app</p>
+            </div>
+            <button
+              onClick={() => {
+                setTracing('timer', !timerTracing);
+                setTimerTracing(!timerTracing);
+              }}
+              className={`relative inline-flex h-6 w-11 flex-shrink-0 items-center rounded-full transition-colors ${
+                timerTracing ? 'bg-blue-600' : 'bg-gray-200'
+              }`}
+            >
+              <span className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
+                timerTracing ? 'translate-x-6' : 'translate-x-1'
+              }`} />
+            </button>
+          </div>
+          <div className="flex items-center justify-between mb-3 pt-3 border-t">
+            <h4 className="font-medium text-gray-800">Recent Log</h4>
+            <button
+              onClick={() => {
+                clearLog();
+                setLogEntries([]);
+              }}
+              className="text-xs text-blue-600 hover:text-blue-800"
+            >
+              Clear
+            </button>
+          </div>
+          {logEntries.length > 0 ? (
+            <div className="space-y-1 text-xs font-mono">
+              {logEntries.map((entry, index) => (
+                <div key={index} className="break-words">
+                  <span className="text-gray-500">{new Date(entry.at).toLocaleTimeString()} </span>
+                  <span className={
+                    entry.level === 'error' ? 'text-red-600' : entry.level === 'warn' ? 'text-orange-600' : 'text-gray-600'
+                  }>
+                    {entry.level} [{entry.category}]
+                  </span>
+                  <span className="text-gray-800"> {entry.message}</span>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="text-sm text-gray-600">Nothing logged yet.</p>
+          )}
+        </div>
       </div>
     );
   };
@@ -1588,6 +3358,7 @@ const App = () => {
   const SettingsScreen = () => {
     const categories = [
       { id: 'general', name: 'General', icon: Settings },
+      { id: 'program', name: 'Program', icon: Calendar },
       { id: 'notifications', name: 'Notifications', icon: Clock },
       { id: 'exercise', name: 'Exercise', icon: Zap },
       { id: 'accessibility', name: 'Accessibility', icon: Heart }
@@ -1626,26 +3397,321 @@ const App = () => {
         </div>
 
         <div className="bg-white rounded-xl p-4 shadow-sm border">
-          <label className="block text-sm font-medium text-gray-700 mb-3">Theme</label>
-          <div className="space-y-2">
-            {['light', 'dark', 'auto'].map(theme => (
-              <button
-                key={theme}
-                onClick={() => updateSettings('general', 'theme', theme)}
-                className={`w-full text-left p-3 rounded-lg border transition-colors ${
-                  userProfile.preferences.theme === theme 
-                    ? 'border-blue-500 bg-blue-50' 
-                    : 'border-gray-200 hover:bg-gray-50'
-                }`}
-              >
-                <div className="font-medium text-gray-800 capitalize">{theme}</div>
-              </button>
-            ))}
-          </div>
+          <label className="block text-sm font-medium text-gray-700 mb-3">Theme</label>
+          <div className="space-y-2">
+            {['light', 'dark', 'auto'].map(theme => (
+              <button
+                key={theme}
+                onClick={() => updateSettings('general', 'theme', theme)}
+                className={`w-full text-left p-3 rounded-lg border transition-colors ${
+                  userProfile.preferences.theme === theme 
+                    ? 'border-blue-500 bg-blue-50' 
+                    : 'border-gray-200 hover:bg-gray-50'
+                }`}
+              >
+                <div className="font-medium text-gray-800 capitalize">{theme}</div>
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+    );
+
+    const toggleDay = (days, day) => (
+      days.includes(day) ? days.filter(value => value !== day) : [...days, day].sort((a, b) => a - b)
+    );
+
+    // Session types across the whole program, in order of first appearance
+    const programSessionTypes = Object.values(programData).reduce((types, week) => {
+      Object.keys(week.sessions).forEach(type => {
+        if (!types.includes(type)) types.push(type);
+      });
+      return types;
+    }, []);
+
+    const updateSessionDays = (sessionType, days) => {
+      const sessionDays = { ...userProfile.preferences.sessionDays };
+      if (days === null) {
+        delete sessionDays[sessionType];
+      } else {
+        sessionDays[sessionType] = days;
+      }
+      updateSettings('program', 'sessionDays', sessionDays);
+    };
+
+    const renderDayPicker = (selectedDays, onToggle) => (
+      <div className="flex gap-1">
+        {WEEKDAY_NAMES.map((dayName, day) => (
+          <button
+            key={dayName}
+            onClick={() => onToggle(day)}
+            title={dayName}
+            className={`flex-1 py-1 rounded-lg text-xs font-medium border transition-colors ${
+              selectedDays.includes(day)
+                ? 'bg-blue-500 text-white border-blue-500'
+                : 'bg-white text-gray-600 border-gray-300 hover:border-blue-400'
+            }`}
+          >
+            {dayName.slice(0, 3)}
+          </button>
+        ))}
+      </div>
+    );
+
+    const renderRestorePreview = () => {
+      const { summary } = planRestore(getLocalBackupData(), pendingRestore.data, restoreMode);
+      const profileFieldNames = { name: 'Name', activeProgramId: 'Program', currentWeek: 'Week', startDate: 'Start date' };
+
+      return (
+        <div className="mt-3 p-3 rounded-lg border border-blue-200 bg-blue-50 space-y-3">
+          <div className="text-sm text-blue-800">
+            <div className="font-medium">{pendingRestore.fileName}</div>
+            {pendingRestore.exportedAt && (
+              <div className="text-xs">Exported {new Date(pendingRestore.exportedAt).toLocaleString()}</div>
+            )}
+          </div>
+
+          <div className="space-y-2">
+            {[
+              { id: RESTORE_MODES.MERGE, name: 'Merge', desc: 'Keep this device\'s profile and settings, add sessions from the backup' },
+              { id: RESTORE_MODES.REPLACE, name: 'Replace', desc: 'Use the backup\'s profile, settings and sessions instead of this device\'s' }
+            ].map(mode => (
+              <button
+                key={mode.id}
+                onClick={() => setRestoreMode(mode.id)}
+                className={`w-full text-left p-3 rounded-lg border transition-colors ${
+                  restoreMode === mode.id ? 'border-blue-500 bg-white' : 'border-gray-200 bg-white hover:bg-gray-50'
+                }`}
+              >
+                <div className="font-medium text-gray-800">{mode.name}</div>
+                <div className="text-sm text-gray-600">{mode.desc}</div>
+              </button>
+            ))}
+          </div>
+
+          <ul className="text-sm text-gray-700 space-y-1">
+            <li>• {summary.sessionsAdded} sessions added</li>
+            {summary.sessionsRemoved > 0 && (
+              <li className="text-red-700">• {summary.sessionsRemoved} sessions on this device removed</li>
+            )}
+            <li>• {summary.sessionsTotal} sessions afterwards</li>
+            {summary.ratingsAdded > 0 && <li>• {summary.ratingsAdded} evening ratings added</li>}
+            {summary.programsAdded > 0 && <li>• {summary.programsAdded} imported programs added</li>}
+            {summary.programsRemoved > 0 && (
+              <li className="text-red-700">• {summary.programsRemoved} imported programs removed</li>
+            )}
+            {summary.profileChanges.map(change => (
+              <li key={change.field}>
+                • {profileFieldNames[change.field]}: {String(change.from)} → {String(change.to)}
+              </li>
+            ))}
+            {summary.progressAdded && summary.progressAdded.length > 0 && (
+              <li>• Progress added for {summary.progressAdded.length} other programs</li>
+            )}
+            {summary.replacesSettings && <li>• All settings replaced</li>}
+          </ul>
+
+          <div className="flex space-x-2">
+            <button
+              onClick={applyRestore}
+              className="flex-1 bg-blue-500 text-white py-2 rounded-lg text-sm font-medium hover:bg-blue-600 transition-colors"
+            >
+              {restoreMode === RESTORE_MODES.REPLACE ? 'Replace My Data' : 'Merge Into My Data'}
+            </button>
+            <button
+              onClick={() => setPendingRestore(null)}
+              className="flex-1 bg-gray-200 text-gray-700 py-2 rounded-lg text-sm font-medium hover:bg-gray-300 transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      );
+    };
+
+    const renderProgramSettings = () => (
+      <div className="space-y-4">
+        <div className="bg-white rounded-xl p-4 shadow-sm border">
+          <label className="block text-sm font-medium text-gray-700 mb-3">Week Progression</label>
+          <div className="space-y-2">
+            {[
+              { id: 'calendar', name: 'Follow the calendar', desc: 'Move to the next week 7 days after each week starts' },
+              { id: 'manual', name: 'Manual', desc: 'Change weeks yourself on the Progress screen' }
+            ].map(mode => (
+              <button
+                key={mode.id}
+                onClick={() => updateSettings('program', 'weekProgression', mode.id)}
+                className={`w-full text-left p-3 rounded-lg border transition-colors ${
+                  userProfile.preferences.weekProgression === mode.id
+                    ? 'border-blue-500 bg-blue-50'
+                    : 'border-gray-200 hover:bg-gray-50'
+                }`}
+              >
+                <div className="font-medium text-gray-800">{mode.name}</div>
+                <div className="text-sm text-gray-600">{mode.desc}</div>
+              </button>
+            ))}
+          </div>
+
+          {userProfile.preferences.weekProgression === 'calendar' && (
+            <div className="flex items-center justify-between mt-4">
+              <div>
+                <div className="font-medium text-gray-700">Advance Early</div>
+                <div className="text-sm text-gray-600">Start the next week once this week's minimum sessions are done and its goal is reached</div>
+              </div>
+              <button
+                onClick={() => updateSettings('program', 'autoAdvance', !userProfile.preferences.autoAdvance)}
+                className={`relative inline-flex h-6 w-11 flex-shrink-0 items-center rounded-full transition-colors ${
+                  userProfile.preferences.autoAdvance ? 'bg-blue-600' : 'bg-gray-200'
+                }`}
+              >
+                <span className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
+                  userProfile.preferences.autoAdvance ? 'translate-x-6' : 'translate-x-1'
+                }`} />
+              </button>
+            </div>
+          )}
+        </div>
+
+        <div className="bg-white rounded-xl p-4 shadow-sm border">
+          <h4 className="font-medium text-gray-800 mb-1">Weekly Schedule</h4>
+          <p className="text-sm text-gray-600 mb-4">Choose your rest days and the days each session is done on</p>
+
+          <label className="block text-sm font-medium text-gray-700 mb-2">Rest Days</label>
+          {renderDayPicker(userProfile.preferences.restDays, day =>
+            updateSettings('program', 'restDays', toggleDay(userProfile.preferences.restDays, day))
+          )}
+
+          <div className="space-y-4 mt-4">
+            {programSessionTypes.map(sessionType => {
+              const days = getSessionDays(sessionType, userProfile.preferences.sessionDays) || [];
+              const isCustom = Array.isArray(userProfile.preferences.sessionDays[sessionType]);
+              return (
+                <div key={sessionType}>
+                  <div className="flex items-center justify-between mb-2">
+                    <span className="text-sm font-medium text-gray-700">{sessionType}</span>
+                    {isCustom && (
+                      <button
+                        onClick={() => updateSessionDays(sessionType, null)}
+                        className="text-xs text-blue-600 hover:text-blue-700"
+                      >
+                        Use program days
+                      </button>
+                    )}
+                  </div>
+                  {renderDayPicker(days, day => updateSessionDays(sessionType, toggleDay(days, day)))}
+                </div>
+              );
+            })}
+          </div>
+          <p className="text-xs text-gray-500 mt-3">Rest days take priority over session days</p>
+        </div>
+
+        <div className="bg-white rounded-xl p-4 shadow-sm border">
+          <h4 className="font-medium text-gray-800 mb-1">Programs</h4>
+          <p className="text-sm text-gray-600 mb-4">Each program keeps its own week and session progress</p>
+          <div className="space-y-2">
+            {programs.map(program => {
+              const isActive = program.id === activeProgramId;
+              const savedProgress = (userProfile.programProgress || {})[program.id];
+              const week = isActive ? userProfile.currentWeek : savedProgress && savedProgress.currentWeek;
+
+              return (
+                <div
+                  key={program.id}
+                  className={`p-3 rounded-lg border ${isActive ? 'border-blue-500 bg-blue-50' : 'border-gray-200'}`}
+                >
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <div className="font-medium text-gray-800">{program.title}</div>
+                      <div className="text-xs text-gray-600">
+                        {program.weekCount} weeks
+                        {program.source === 'imported' && ' • Imported'}
+                        {week ? ` • Week ${week}` : ' • Not started'}
+                      </div>
+                    </div>
+                    {isActive ? (
+                      <span className="text-sm text-blue-600 font-medium">Active</span>
+                    ) : (
+                      <button
+                        onClick={() => {
+                          soundEffects.toggle();
+                          switchProgram(program.id);
+                        }}
+                        className="px-3 py-1 bg-blue-500 text-white rounded-lg text-sm hover:bg-blue-600 transition-colors"
+                      >
+                        Switch
+                      </button>
+                    )}
+                  </div>
+                  {program.description && (
+                    <p className="text-xs text-gray-500 mt-2">{program.description}</p>
+                  )}
+                  {program.source === 'imported' && (
+                    <button
+                      onClick={() => {
+                        if (confirm(`Remove "${program.title}"? Completed sessions are kept.`)) {
+                          removeImportedProgram(program.id);
+                        }
+                      }}
+                      className="mt-2 text-xs text-red-600 hover:text-red-700"
+                    >
+                      Remove program
+                    </button>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+
+        <div className="bg-white rounded-xl p-4 shadow-sm border">
+          <h4 className="font-medium text-gray-800 mb-1">Import Program</h4>
+          <p className="text-sm text-gray-600 mb-3">Load a program definition file (.json), e.g. one supplied by your clinician</p>
+          <label className="inline-block bg-blue-500 text-white px-4 py-2 rounded-lg text-sm font-medium hover:bg-blue-600 transition-colors cursor-pointer">
+            Choose File
+            <input
+              type="file"
+              accept="application/json,.json"
+              className="hidden"
+              onChange={(e) => {
+                const file = e.target.files && e.target.files[0];
+                e.target.value = '';
+                if (file) importProgramFile(file);
+              }}
+            />
+          </label>
+
+          {programImportStatus && (
+            <div className={`mt-3 p-3 rounded-lg text-sm ${
+              programImportStatus.type === 'error' ? 'bg-red-50 text-red-700' : 'bg-green-50 text-green-700'
+            }`}>
+              <p>{programImportStatus.message}</p>
+              {programImportStatus.problems && (
+                <ul className="mt-2 space-y-1 text-xs font-mono break-words">
+                  {programImportStatus.problems.map((problem, index) => (
+                    <li key={index}>• {problem}</li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
         </div>
       </div>
     );
 
+    const reminderSchedule = userProfile.preferences.reminderSchedule;
+
+    const updateReminderSchedule = (changes) => {
+      updateSettings('notifications', 'reminderSchedule', { ...reminderSchedule, ...changes });
+    };
+
+    const updateWeekdayReminderTime = (day, time) => {
+      updateReminderSchedule({
+        weekdayTimes: reminderSchedule.weekdayTimes.map((value, i) => (i === day ? time : value))
+      });
+    };
+
     const renderNotificationSettings = () => (
       <div className="space-y-4">
         <div className="bg-white rounded-xl p-4 shadow-sm border">
@@ -1668,17 +3734,139 @@ const App = () => {
           
           {userProfile.preferences.notifications && (
             <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">Reminder Time</label>
-              <input
-                type="time"
-                value={userProfile.preferences.reminderTime}
-                onChange={(e) => updateSettings('notifications', 'reminderTime', e.target.value)}
-                className="w-full p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
-              />
+              <label className="block text-sm font-medium text-gray-700 mb-2">Reminder Times</label>
+              <div className="space-y-2">
+                {WEEKDAY_NAMES.map((dayName, day) => {
+                  const time = reminderSchedule.weekdayTimes[day];
+                  return (
+                    <div key={dayName} className="flex items-center justify-between space-x-3">
+                      <span className="text-sm text-gray-700 w-24">{dayName}</span>
+                      {userProfile.preferences.restDays.includes(day) ? (
+                        <span className="text-sm text-gray-500">Rest day</span>
+                      ) : (
+                        <div className="flex items-center space-x-3">
+                          <input
+                            type="time"
+                            value={time}
+                            disabled={!time}
+                            onChange={(e) => updateWeekdayReminderTime(day, e.target.value)}
+                            className="p-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100 disabled:text-gray-400"
+                          />
+                          <button
+                            onClick={() => updateWeekdayReminderTime(day, time ? '' : DEFAULT_REMINDER_TIME)}
+                            className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors ${
+                              time ? 'bg-blue-600' : 'bg-gray-200'
+                            }`}
+                          >
+                            <span className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
+                              time ? 'translate-x-6' : 'translate-x-1'
+                            }`} />
+                          </button>
+                        </div>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+              <p className="text-xs text-gray-500 mt-2">No reminders are sent once today's session is done</p>
             </div>
           )}
         </div>
 
+        {userProfile.preferences.notifications && (
+          <div className="bg-white rounded-xl p-4 shadow-sm border">
+            <h4 className="font-medium text-gray-800">Focus Reset Nudges</h4>
+            <p className="text-sm text-gray-600 mb-3">Short reminders during the day to pause, stretch and breathe</p>
+            <div className="space-y-2">
+              {reminderSchedule.nudges.map((time, index) => (
+                <div key={index} className="flex items-center space-x-3">
+                  <input
+                    type="time"
+                    value={time}
+                    onChange={(e) => updateReminderSchedule({
+                      nudges: reminderSchedule.nudges.map((nudge, i) => (i === index ? e.target.value : nudge))
+                    })}
+                    className="flex-1 p-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                  <button
+                    onClick={() => updateReminderSchedule({
+                      nudges: reminderSchedule.nudges.filter((_, i) => i !== index)
+                    })}
+                    className="text-sm text-red-600 hover:text-red-700"
+                  >
+                    Remove
+                  </button>
+                </div>
+              ))}
+            </div>
+            <button
+              onClick={() => updateReminderSchedule({ nudges: [...reminderSchedule.nudges, DEFAULT_NUDGE_TIME] })}
+              className="mt-3 px-3 py-1 bg-blue-500 text-white rounded-lg text-sm hover:bg-blue-600 transition-colors"
+            >
+              Add Nudge
+            </button>
+          </div>
+        )}
+
+        {userProfile.preferences.notifications && (
+          <div className="bg-white rounded-xl p-4 shadow-sm border">
+            <div className="flex items-center justify-between">
+              <div>
+                <h4 className="font-medium text-gray-800">Quiet Hours</h4>
+                <p className="text-sm text-gray-600">No reminders or nudges during these hours</p>
+              </div>
+              <button
+                onClick={() => updateReminderSchedule({
+                  quietHours: { ...reminderSchedule.quietHours, enabled: !reminderSchedule.quietHours.enabled }
+                })}
+                className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors ${
+                  reminderSchedule.quietHours.enabled ? 'bg-blue-600' : 'bg-gray-200'
+                }`}
+              >
+                <span className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
+                  reminderSchedule.quietHours.enabled ? 'translate-x-6' : 'translate-x-1'
+                }`} />
+              </button>
+            </div>
+            {reminderSchedule.quietHours.enabled && (
+              <div className="grid grid-cols-2 gap-3 mt-4">
+                {['start', 'end'].map(field => (
+                  <div key={field}>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">{field === 'start' ? 'From' : 'Until'}</label>
+                    <input
+                      type="time"
+                      value={reminderSchedule.quietHours[field]}
+                      onChange={(e) => updateReminderSchedule({
+                        quietHours: { ...reminderSchedule.quietHours, [field]: e.target.value }
+                      })}
+                      className="w-full p-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        <div className="bg-white rounded-xl p-4 shadow-sm border">
+          <div className="flex items-center justify-between">
+            <div>
+              <h4 className="font-medium text-gray-800">Evening Check-in</h4>
+              <p className="text-sm text-gray-600">Rate your energy, mood and focus each evening on the home screen</p>
+            </div>
+            <button
+              onClick={() => updateSettings('notifications', 'eveningRating', !userProfile.preferences.eveningRating)}
+              className={`relative inline-flex h-6 w-11 flex-shrink-0 items-center rounded-full transition-colors ${
+                userProfile.preferences.eveningRating ? 'bg-blue-600' : 'bg-gray-200'
+              }`}
+            >
+              <span className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
+                userProfile.preferences.eveningRating ? 'translate-x-6' : 'translate-x-1'
+              }`} />
+            </button>
+          </div>
+        </div>
+
         <div className="bg-yellow-50 border border-yellow-200 rounded-xl p-4">
           <div className="flex items-start space-x-3">
             <Clock className="w-5 h-5 text-yellow-600 mt-0.5" />
@@ -1688,11 +3876,7 @@ const App = () => {
                 To receive reminders, please allow notifications when prompted by your browser.
               </p>
               <button
-                onClick={() => {
-                  if ('Notification' in window) {
-                    Notification.requestPermission();
-                  }
-                }}
+                onClick={enableNotifications}
                 className="mt-3 bg-yellow-600 text-white px-4 py-2 rounded-lg text-sm font-medium hover:bg-yellow-700 transition-colors"
               >
                 Enable Notifications
@@ -1831,6 +4015,7 @@ const App = () => {
     const renderSettingsContent = () => {
       switch(settingsCategory) {
         case 'general': return renderGeneralSettings();
+        case 'program': return renderProgramSettings();
         case 'notifications': return renderNotificationSettings();
         case 'exercise': return renderExerciseSettings();
         case 'accessibility': return renderAccessibilitySettings();
@@ -1857,6 +4042,7 @@ const App = () => {
               key={category.id}
               onClick={() => {
                 soundEffects.click();
+                if (category.id !== settingsCategory) replaceRouteRef.current = true;
                 setSettingsCategory(category.id);
               }}
               className={`flex-1 px-3 py-2 rounded-lg text-sm font-medium transition-colors ${
@@ -1886,14 +4072,117 @@ const App = () => {
             </div>
             <div className="flex items-center justify-between text-sm">
               <span className="text-gray-700">Data Storage</span>
-              <span className="text-gray-500">Local Device Only</span>
+              <span className="text-gray-500">{syncEnabled ? 'This Device + Your Sync Server' : 'Local Device Only'}</span>
             </div>
             <div className="pt-2 border-t">
               <p className="text-xs text-gray-600">
-                Your progress is stored locally on your device. No personal data is sent to servers. 
+                {syncEnabled
+                  ? 'Your progress is stored on your device and copied to the sync server you set up. Nothing is sent anywhere else. '
+                  : 'Your progress is stored locally on your device. No personal data is sent to servers. '}
                 You can use the app completely anonymously while tracking your full 12-week journey.
               </p>
             </div>
+
+            <div className="pt-3 border-t">
+              <div className="font-medium text-gray-700 mb-1">Sync Between Devices</div>
+              <p className="text-sm text-gray-600 mb-3">
+                Keep your phone and computer in step through a sync server you run yourself
+                (<span className="font-mono text-xs">npm run sync-server</span> in the app's source).
+              </p>
+              {syncEnabled ? (
+                <div className="space-y-3 text-sm">
+                  <div className="flex items-center justify-between">
+                    <span className="text-gray-700">Server</span>
+                    <span className="text-gray-500 text-xs break-all">{userProfile.preferences.sync.serverUrl}</span>
+                  </div>
+                  <div>
+                    <span className="text-gray-700">Sync code</span>
+                    <div className="mt-1 p-2 bg-gray-50 rounded-lg font-mono text-xs break-all select-all">{userProfile.userId}</div>
+                    <p className="mt-1 text-xs text-gray-500">
+                      Enter this code on your other devices. Anyone with it can read your data on the server.
+                    </p>
+                  </div>
+                  <div className="flex space-x-2">
+                    <button
+                      onClick={() => syncNow()}
+                      className="flex-1 bg-blue-500 text-white py-2 rounded-lg text-sm font-medium hover:bg-blue-600 transition-colors"
+                    >
+                      Sync Now
+                    </button>
+                    <button
+                      onClick={disableSync}
+                      className="flex-1 bg-gray-200 text-gray-700 py-2 rounded-lg text-sm font-medium hover:bg-gray-300 transition-colors"
+                    >
+                      Turn Off
+                    </button>
+                  </div>
+                </div>
+              ) : (
+                <Screens.SyncSetupForm />
+              )}
+
+              {syncStatus && (
+                <div className={`mt-3 p-3 rounded-lg text-sm ${
+                  syncStatus.type === 'error' ? 'bg-red-50 text-red-700'
+                    : syncStatus.type === 'pending' ? 'bg-blue-50 text-blue-700' : 'bg-green-50 text-green-700'
+                }`}>
+                  <p>{syncStatus.message}</p>
+                  {syncStatus.problems && (
+                    <ul className="mt-2 space-y-1 text-xs font-mono break-words">
+                      {syncStatus.problems.map((problem, index) => (
+                        <li key={index}>• {problem}</li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              )}
+            </div>
+
+            <div className="pt-3 border-t">
+              <div className="font-medium text-gray-700 mb-1">Restore from Backup</div>
+              <p className="text-sm text-gray-600 mb-3">
+                Load a backup exported from Profile → Export Progress Data. Encrypted backups ask for their passphrase.
+              </p>
+              <label className="inline-block bg-blue-500 text-white px-4 py-2 rounded-lg text-sm font-medium hover:bg-blue-600 transition-colors cursor-pointer">
+                Choose Backup File
+                <input
+                  type="file"
+                  accept="application/json,.json"
+                  className="hidden"
+                  onChange={(e) => {
+                    const file = e.target.files && e.target.files[0];
+                    e.target.value = '';
+                    if (file) loadBackupFile(file);
+                  }}
+                />
+              </label>
+
+              {passphrasePrompt && passphrasePrompt.mode === 'decrypt' && (
+                <PassphraseForm
+                  submitLabel={`Unlock ${passphrasePrompt.fileName}`}
+                  error={passphrasePrompt.error}
+                  onSubmit={decryptBackupFile}
+                  onCancel={() => setPassphrasePrompt(null)}
+                />
+              )}
+
+              {pendingRestore && renderRestorePreview()}
+
+              {restoreStatus && (
+                <div className={`mt-3 p-3 rounded-lg text-sm ${
+                  restoreStatus.type === 'error' ? 'bg-red-50 text-red-700' : 'bg-green-50 text-green-700'
+                }`}>
+                  <p>{restoreStatus.message}</p>
+                  {restoreStatus.problems && (
+                    <ul className="mt-2 space-y-1 text-xs font-mono break-words">
+                      {restoreStatus.problems.map((problem, index) => (
+                        <li key={index}>• {problem}</li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              )}
+            </div>
           </div>
         </div>
 
@@ -1904,20 +4193,7 @@ const App = () => {
             <button
               onClick={() => {
                 if (confirm('Reset all settings to defaults? Your progress will be kept.')) {
-                  setUserProfile(prev => ({
-                    ...prev,
-                    preferences: {
-                      notifications: true,
-                      exerciseType: 'mixed',
-                      reminderTime: '09:00',
-                      soundEnabled: true,
-                      theme: 'light',
-                      highContrast: false,
-                      reduceMotion: false,
-                      extendedBreaks: false,
-                      skipComplex: false
-                    }
-                  }));
+                  resetSettings();
                 }
               }}
               className="w-full text-left p-3 rounded-lg border border-orange-200 bg-orange-50 hover:bg-orange-100 transition-colors"
@@ -1928,9 +4204,8 @@ const App = () => {
             
             <button
               onClick={() => {
-                if (confirm('Are you sure? This will delete ALL your progress and start over. This cannot be undone.')) {
-                  localStorage.clear();
-                  window.location.reload();
+                if (confirm('Are you sure? This will delete ALL your progress and start over. A snapshot is kept so you can undo this.')) {
+                  resetAllData();
                 }
               }}
               className="w-full text-left p-3 rounded-lg border border-red-200 bg-red-50 hover:bg-red-100 transition-colors"
@@ -1939,11 +4214,335 @@ const App = () => {
               <div className="text-sm text-red-600">Delete all progress and start over</div>
             </button>
           </div>
+
+          {snapshots.length > 0 && (
+            <div className="mt-4 pt-4 border-t">
+              <div className="font-medium text-gray-700 mb-1">Snapshots</div>
+              <p className="text-sm text-gray-600 mb-3">Saved automatically before resets and restores</p>
+              <div className="space-y-2">
+                {snapshots.map(snapshot => (
+                  <div key={snapshot.id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                    <div>
+                      <div className="text-sm font-medium text-gray-800">{snapshot.reason}</div>
+                      <div className="text-xs text-gray-500">
+                        {new Date(snapshot.createdAt).toLocaleString()} • {snapshot.backup.data.sessionHistory.length} sessions
+                      </div>
+                    </div>
+                    <button
+                      onClick={async () => {
+                        if (confirm('Restore this snapshot? Your current data is saved as a new snapshot first.') &&
+                            await saveSnapshot('Before restoring a snapshot')) {
+                          restoreSnapshot(snapshot);
+                        }
+                      }}
+                      className="px-3 py-1 bg-blue-500 text-white rounded-lg text-sm hover:bg-blue-600 transition-colors"
+                    >
+                      Restore
+                    </button>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
         </div>
       </div>
     );
   };
 
+  // Everything a backup holds, as currently stored
+  const getLocalBackupData = () => ({
+    userProfile,
+    sessionHistory,
+    dailyRatings,
+    importedPrograms,
+    activeSession: safeLocalStorage.get(ACTIVE_SESSION_KEY, null)
+  });
+
+  // Download a JSON backup of all local state, or session history as CSV
+  const exportData = (format) => {
+    const date = toISODate(new Date());
+    switch (format) {
+      case 'sessions-csv':
+        // The BOM makes Excel read the file as UTF-8
+        downloadFile('\ufeff' + sessionsToCsv(sessionHistory), `focus-flow-sessions-${date}.csv`, 'text/csv;charset=utf-8');
+        break;
+      case 'activities-csv':
+        downloadFile('\ufeff' + activitiesToCsv(sessionHistory), `focus-flow-activities-${date}.csv`, 'text/csv;charset=utf-8');
+        break;
+      default: {
+        const backup = createBackup(getLocalBackupData());
+        downloadFile(JSON.stringify(backup, null, 2), `focus-flow-backup-${date}.json`, 'application/json');
+        break;
+      }
+    }
+  };
+
+  // Download the full backup encrypted with a passphrase
+  const exportEncryptedBackup = async (passphrase) => {
+    try {
+      const backupText = JSON.stringify(createBackup(getLocalBackupData()));
+      const encrypted = await encryptBackup(backupText, passphrase);
+      downloadFile(encrypted, `focus-flow-encrypted-backup-${toISODate(new Date())}.json`, 'application/json');
+      setPassphrasePrompt(null);
+    } catch (error) {
+      logger.error('storage', 'Encrypted backup failed', error);
+      setPassphrasePrompt({ mode: 'encrypt', error: error.message });
+    }
+  };
+
+  // Read a backup file and hold it for the preview; nothing is written yet.
+  // Encrypted backups ask for their passphrase first.
+  const loadBackupFile = async (file) => {
+    setRestoreStatus(null);
+    setPassphrasePrompt(null);
+    try {
+      const text = await readFileAsText(file);
+      if (isEncryptedBackup(text)) {
+        setPendingRestore(null);
+        setPassphrasePrompt({ mode: 'decrypt', fileName: file.name, text });
+        return;
+      }
+      const backup = parseBackup(text, { defaultProgramId: DEFAULT_PROGRAM_ID });
+      setPendingRestore({ fileName: file.name, exportedAt: backup.exportedAt, data: backup.data });
+    } catch (error) {
+      logger.error('storage', 'Backup restore failed', error);
+      setPendingRestore(null);
+      setRestoreStatus({
+        type: 'error',
+        message: `Could not restore ${file.name}.`,
+        problems: error.problems || [error.message]
+      });
+    }
+  };
+
+  // A wrong passphrase can be retried; a damaged file ends the restore
+  const decryptBackupFile = async (passphrase) => {
+    const { fileName, text } = passphrasePrompt;
+    try {
+      const backup = parseBackup(await decryptBackup(text, passphrase), { defaultProgramId: DEFAULT_PROGRAM_ID });
+      setPassphrasePrompt(null);
+      setPendingRestore({ fileName, exportedAt: backup.exportedAt, data: backup.data });
+    } catch (error) {
+      if (error.reason === DECRYPTION_ERRORS.WRONG_PASSPHRASE) {
+        setPassphrasePrompt({ ...passphrasePrompt, error: 'Wrong passphrase. Please try again.' });
+        return;
+      }
+      logger.error('storage', 'Backup restore failed', error);
+      setPassphrasePrompt(null);
+      setRestoreStatus({
+        type: 'error',
+        message: error.reason === DECRYPTION_ERRORS.CORRUPTED
+          ? `${fileName} is damaged and cannot be decrypted.`
+          : `Could not restore ${fileName}.`,
+        problems: error.problems || [error.message]
+      });
+    }
+  };
+
+  // Put backup data in place of the current state
+  const applyBackupData = (data) => {
+    setUserProfile(data.userProfile);
+    setSessionHistory(data.sessionHistory);
+    setDailyRatings(data.dailyRatings);
+    setImportedPrograms(data.importedPrograms);
+    if (data.activeSession) {
+      safeLocalStorage.set(ACTIVE_SESSION_KEY, data.activeSession);
+    } else {
+      localStorage.removeItem(ACTIVE_SESSION_KEY);
+    }
+    setInterruptedSession(data.activeSession);
+  };
+
+  const applyRestore = async () => {
+    const { result, summary } = planRestore(getLocalBackupData(), pendingRestore.data, restoreMode);
+    if (restoreMode === RESTORE_MODES.REPLACE) {
+      if (!(await saveSnapshot('Before restoring a backup'))) {
+        setRestoreStatus({ type: 'error', message: 'Could not save a snapshot of your current data, so nothing was restored.' });
+        return;
+      }
+      applyBackupData(result);
+    } else {
+      setUserProfile(result.userProfile);
+      setSessionHistory(result.sessionHistory);
+      setDailyRatings(result.dailyRatings);
+      setImportedPrograms(result.importedPrograms);
+    }
+    setPendingRestore(null);
+    setRestoreStatus({
+      type: 'success',
+      message: `Restored ${pendingRestore.fileName}: ${summary.sessionsTotal} sessions.`
+    });
+  };
+
+  // Snapshot the current state before a destructive change
+  const saveSnapshot = async (reason) => {
+    const snapshot = createSnapshot(createBackup(getLocalBackupData()), reason);
+    const snapshotStore = storage.collection(COLLECTIONS.SNAPSHOTS);
+    if (!(await snapshotStore.put(snapshot))) return null;
+
+    const next = addSnapshot(snapshots, snapshot);
+    await Promise.all(snapshots
+      .filter(existing => !next.includes(existing))
+      .map(existing => snapshotStore.delete(existing.id)));
+    setSnapshots(next);
+    return snapshot;
+  };
+
+  const offerUndo = (snapshot, message) => {
+    const undo = { snapshotId: snapshot.id, message, expiresAt: Date.now() + UNDO_WINDOW_MS };
+    safeLocalStorage.set(RESET_UNDO_KEY, undo);
+    setResetUndo(undo);
+  };
+
+  const dismissUndo = () => setResetUndo(null);
+
+  const restoreSnapshot = (snapshot) => {
+    try {
+      const { data } = parseBackup(JSON.stringify(snapshot.backup), { defaultProgramId: DEFAULT_PROGRAM_ID });
+      applyBackupData(data);
+      return true;
+    } catch (error) {
+      logger.error('storage', 'Snapshot restore failed', error);
+      setStorageError('This snapshot could not be restored.');
+      return false;
+    }
+  };
+
+  const undoReset = () => {
+    const snapshot = snapshots.find(candidate => candidate.id === resetUndo.snapshotId);
+    if (snapshot) restoreSnapshot(snapshot);
+    dismissUndo();
+  };
+
+  // Data each screen last rendered with, by route, for recovering from a
+  // crash. Screens not shown yet fall back to the data the app first
+  // rendered with.
+  const goodStatesRef = useRef({});
+  const firstGoodStateRef = useRef(null);
+
+  const recordGoodState = () => {
+    const data = { userProfile, sessionHistory, dailyRatings, importedPrograms };
+    goodStatesRef.current[routeHash] = data;
+    if (!firstGoodStateRef.current) firstGoodStateRef.current = data;
+  };
+
+  const getGoodState = () => goodStatesRef.current[routeHash] || firstGoodStateRef.current;
+
+  // Only offered when the data changed since; state is never mutated, so
+  // comparing references is enough
+  const canRestoreGoodState = () => {
+    const good = getGoodState();
+    return Boolean(good) && (
+      good.userProfile !== userProfile ||
+      good.sessionHistory !== sessionHistory ||
+      good.dailyRatings !== dailyRatings ||
+      good.importedPrograms !== importedPrograms
+    );
+  };
+
+  const restoreGoodState = async () => {
+    const good = getGoodState();
+    const snapshot = await saveSnapshot('Before restoring after a crash');
+    if (!snapshot) {
+      setStorageError('Could not save a snapshot of your data, so nothing was restored.');
+      return false;
+    }
+    setUserProfile(good.userProfile);
+    setSessionHistory(good.sessionHistory);
+    setDailyRatings(good.dailyRatings);
+    setImportedPrograms(good.importedPrograms);
+    offerUndo(snapshot, 'Restored your data from before the crash.');
+    return true;
+  };
+
+  // Leave a crashed screen; a running session is kept for resume on Home
+  const goHomeAfterCrash = () => {
+    if (activeSessionRef.current) {
+      persistActiveSession();
+      setInterruptedSession(safeLocalStorage.get(ACTIVE_SESSION_KEY, null));
+      activeSessionRef.current = null;
+      timerStateRef.current = null;
+      tabSync.post({ type: TAB_MESSAGES.SESSION_STOPPED });
+    }
+    setShowSettings(false);
+    setCurrentActivity(0);
+    setCurrentScreen('home');
+  };
+
+  const resetSettings = async () => {
+    const snapshot = await saveSnapshot('Before resetting settings');
+    if (!snapshot) {
+      setStorageError('Could not save a snapshot of your data, so nothing was reset.');
+      return;
+    }
+    setUserProfile(prev => ({
+      ...prev,
+      preferences: { ...DEFAULT_PREFERENCES }
+    }));
+    offerUndo(snapshot, 'Settings were reset to defaults.');
+  };
+
+  // Clears only the app's own keys; the page reloads to start from defaults
+  // and shows the undo offer from RESET_UNDO_KEY
+  const resetAllData = async () => {
+    const snapshot = await saveSnapshot('Before resetting all data');
+    if (!snapshot) {
+      setStorageError('Could not save a snapshot of your data, so nothing was reset.');
+      return;
+    }
+    await clearAppStorage(storage);
+    offerUndo(snapshot, 'All progress was reset.');
+    tabSync.post({ type: TAB_MESSAGES.DATA_RESET });
+    window.location.reload();
+  };
+
+  // Server address and optional sync code of another device
+  const SyncSetupForm = () => {
+    const [serverUrl, setServerUrl] = useState(userProfile.preferences.sync.serverUrl || DEFAULT_SYNC_SERVER_URL);
+    const [syncCode, setSyncCode] = useState('');
+    const inputClassName = 'w-full p-3 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+    return (
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          enableSync({ serverUrl, syncCode });
+        }}
+        className="space-y-3"
+      >
+        <label className="block">
+          <span className="block text-sm text-gray-700 mb-1">Server address</span>
+          <input
+            type="url"
+            value={serverUrl}
+            onChange={(e) => setServerUrl(e.target.value)}
+            className={inputClassName}
+            placeholder={DEFAULT_SYNC_SERVER_URL}
+          />
+        </label>
+        <label className="block">
+          <span className="block text-sm text-gray-700 mb-1">Sync code from another device (optional)</span>
+          <input
+            type="text"
+            value={syncCode}
+            onChange={(e) => setSyncCode(e.target.value)}
+            autoCapitalize="off"
+            autoCorrect="off"
+            spellCheck={false}
+            className={`${inputClassName} font-mono`}
+            placeholder="Leave empty to start with this device's data"
+          />
+        </label>
+        <button
+          type="submit"
+          className="w-full bg-blue-500 text-white py-2 rounded-lg text-sm font-medium hover:bg-blue-600 transition-colors"
+        >
+          Turn On Sync
+        </button>
+      </form>
+    );
+  };
+
   // Profile Screen Component
   const ProfileScreen = () => {
     return (
@@ -1956,13 +4555,17 @@ const App = () => {
               <User className="w-10 h-10 text-white" />
             </div>
             <h3 className="font-semibold text-gray-800">{userProfile.name}</h3>
-            <p className="text-sm text-gray-600">Focus & Flow Journey</p>
+            <p className="text-sm text-gray-600" onClick={countDiagnosticsTap}>Focus & Flow Journey</p>
           </div>
 
           <div className="space-y-4">
+            <div className="flex justify-between items-center p-3 bg-gray-50 rounded-lg">
+              <span className="text-gray-700">Program</span>
+              <span className="text-gray-600">{activeProgram.title}</span>
+            </div>
             <div className="flex justify-between items-center p-3 bg-gray-50 rounded-lg">
               <span className="text-gray-700">Program Started</span>
-              <span className="text-gray-600">{userProfile.startDate}</span>
+              <span className="text-gray-600">{formatISODate(userProfile.startDate)}</span>
             </div>
             <div className="flex justify-between items-center p-3 bg-gray-50 rounded-lg">
               <span className="text-gray-700">Current Day</span>
@@ -1974,7 +4577,13 @@ const App = () => {
             </div>
             <div className="flex justify-between items-center p-3 bg-gray-50 rounded-lg">
               <span className="text-gray-700">Sessions Completed</span>
-              <span className="text-green-600 font-semibold">{completedSessions.size}</span>
+              <span className="text-green-600 font-semibold">{activeProgramSessionCount}</span>
+            </div>
+            <div className="flex justify-between items-center p-3 bg-gray-50 rounded-lg">
+              <span className="text-gray-700">Current Streak</span>
+              <span className="text-orange-600 font-semibold">
+                {getStreaks({ history: sessionHistory, restDays: userProfile.preferences.restDays, today }).current} days
+              </span>
             </div>
           </div>
         </div>
@@ -1995,13 +4604,54 @@ const App = () => {
               </div>
               <ChevronRight className="w-5 h-5 text-gray-400" />
             </button>
-            <button className="w-full text-left p-3 rounded-lg bg-gray-50 text-gray-700 hover:bg-gray-100 transition-colors flex items-center justify-between">
+            <button
+              onClick={() => {
+                soundEffects.click();
+                setShowExportOptions(!showExportOptions);
+              }}
+              className="w-full text-left p-3 rounded-lg bg-gray-50 text-gray-700 hover:bg-gray-100 transition-colors flex items-center justify-between"
+            >
               <div className="flex items-center space-x-3">
                 <BarChart3 className="w-5 h-5 text-gray-500" />
                 <span>Export Progress Data</span>
               </div>
-              <ChevronRight className="w-5 h-5 text-gray-400" />
+              <ChevronRight className={`w-5 h-5 text-gray-400 transition-transform ${showExportOptions ? 'rotate-90' : ''}`} />
             </button>
+            {showExportOptions && (
+              <div className="p-3 rounded-lg border border-gray-200 space-y-2">
+                {[
+                  { id: 'backup', name: 'Full Backup (JSON)', desc: 'Profile, settings, sessions and check-ins; restore it on another device' },
+                  { id: 'encrypted-backup', name: 'Encrypted Backup', desc: 'The full backup, locked with a passphrase you choose' },
+                  { id: 'sessions-csv', name: 'Sessions (CSV)', desc: 'One row per session, for spreadsheets' },
+                  { id: 'activities-csv', name: 'Activities (CSV)', desc: 'One row per activity of every session' }
+                ].map(option => (
+                  <button
+                    key={option.id}
+                    onClick={() => {
+                      if (option.id === 'encrypted-backup') {
+                        setPassphrasePrompt({ mode: 'encrypt' });
+                      } else {
+                        exportData(option.id);
+                      }
+                    }}
+                    className="w-full text-left p-3 rounded-lg hover:bg-gray-50 transition-colors"
+                  >
+                    <div className="font-medium text-gray-800">{option.name}</div>
+                    <div className="text-sm text-gray-600">{option.desc}</div>
+                  </button>
+                ))}
+                {passphrasePrompt && passphrasePrompt.mode === 'encrypt' && (
+                  <PassphraseForm
+                    confirm
+                    submitLabel="Download Encrypted Backup"
+                    error={passphrasePrompt.error}
+                    onSubmit={exportEncryptedBackup}
+                    onCancel={() => setPassphrasePrompt(null)}
+                  />
+                )}
+                <p className="text-xs text-gray-500 px-3">{sessionHistory.length} sessions recorded</p>
+              </div>
+            )}
             <button className="w-full text-left p-3 rounded-lg bg-gray-50 text-gray-700 hover:bg-gray-100 transition-colors flex items-center justify-between">
               <div className="flex items-center space-x-3">
                 <Heart className="w-5 h-5 text-gray-500" />
@@ -2012,6 +4662,30 @@ const App = () => {
           </div>
         </div>
 
+        {/* Install as an app */}
+        {pwaState.installAvailable && !pwaState.installed && (
+          <div className="bg-white rounded-2xl p-6 shadow-sm border">
+            <div className="flex items-start space-x-3">
+              <Smartphone className="w-6 h-6 text-blue-600 mt-0.5" />
+              <div className="flex-1">
+                <h4 className="font-semibold text-gray-800 mb-1">Install Focus & Flow</h4>
+                <p className="text-sm text-gray-600 mb-3">
+                  Add the app to your home screen to open it like any other app, even offline.
+                </p>
+                <button
+                  onClick={() => {
+                    soundEffects.click();
+                    promptInstall().catch(error => logger.warn('app', 'Install prompt failed', error));
+                  }}
+                  className="bg-blue-500 text-white px-4 py-2 rounded-lg text-sm font-medium hover:bg-blue-600 transition-colors"
+                >
+                  Install App
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
         {/* Anonymous Usage Info */}
         <div className="bg-green-50 border border-green-200 rounded-2xl p-6">
           <div className="flex items-start space-x-3">
@@ -2019,7 +4693,9 @@ const App = () => {
             <div>
               <h4 className="font-semibold text-green-800 mb-2">Anonymous & Private</h4>
               <p className="text-sm text-green-700 mb-3">
-                Your journey is tracked locally on your device. No account required, no data sent to servers.
+                {syncEnabled
+                  ? 'Your journey is tracked on your device and your own sync server. No account required, no data sent anywhere else.'
+                  : 'Your journey is tracked locally on your device. No account required, no data sent to servers.'}
               </p>
               <div className="space-y-2 text-xs text-green-600">
                 <div className="flex items-center space-x-2">
@@ -2028,12 +4704,16 @@ const App = () => {
                 </div>
                 <div className="flex items-center space-x-2">
                   <div className="w-2 h-2 bg-green-500 rounded-full"></div>
-                  <span>Works completely offline</span>
+                  <span>Works offline once loaded</span>
                 </div>
                 <div className="flex items-center space-x-2">
                   <div className="w-2 h-2 bg-green-500 rounded-full"></div>
                   <span>No personal data collected</span>
                 </div>
+                <div className="flex items-center space-x-2">
+                  <div className="w-2 h-2 bg-green-500 rounded-full"></div>
+                  <span>Backups can be encrypted with your own passphrase</span>
+                </div>
               </div>
             </div>
           </div>
@@ -2053,6 +4733,21 @@ const App = () => {
         <p className="text-gray-600 mb-8 px-4">
           Great work! You've completed another step in your Focus & Flow journey.
         </p>
+        {finishedSessionId && (
+          <div className="bg-white rounded-2xl p-6 shadow-sm border w-full max-w-sm mb-6 text-left">
+            <h3 className="font-semibold text-gray-800 mb-1">How do you feel now?</h3>
+            <p className="text-sm text-gray-600 mb-4">Compared with your check-in, this shows what sessions do for you</p>
+            <RatingForm
+              idPrefix="post-session"
+              submitLabel="Save Rating"
+              onSubmit={(ratings) => {
+                soundEffects.click();
+                ratePostSession(ratings);
+              }}
+              onSkip={() => setFinishedSessionId(null)}
+            />
+          </div>
+        )}
         <div className="space-y-4 w-full max-w-sm">
           <button 
             onClick={() => {
@@ -2096,7 +4791,9 @@ const App = () => {
                 setCurrentScreen(item.id);
               }}
               className={`flex flex-col items-center space-y-1 transition-colors ${
-                currentScreen === item.id ? 'text-blue-500' : 'text-gray-400 hover:text-gray-600'
+                currentScreen === item.id || (item.id === 'progress' && currentScreen === 'week')
+                  ? 'text-blue-500'
+                  : 'text-gray-400 hover:text-gray-600'
               }`}
             >
               <item.icon className="w-6 h-6" />
@@ -2108,49 +4805,136 @@ const App = () => {
     );
   };
 
+  // Program Error Screen Component - shown when the program definition fails validation
+  const ProgramErrorScreen = () => {
+    const problems = programLoad.error.problems || [programLoad.error.message];
+
+    return (
+      <div className="p-6">
+        <div className="bg-red-50 border border-red-200 rounded-2xl p-6">
+          <h3 className="font-semibold text-red-800 mb-2">Program Could Not Be Loaded</h3>
+          <p className="text-red-700 text-sm mb-4">
+            The program definition has {problems.length} problem{problems.length === 1 ? '' : 's'}:
+          </p>
+          <ul className="space-y-1 text-xs text-red-700 font-mono break-words">
+            {problems.map((problem, index) => (
+              <li key={index}>• {problem}</li>
+            ))}
+          </ul>
+        </div>
+      </div>
+    );
+  };
+
   // Main render function
+  // SessionScreen is left out: it still remounts on every render, and its
+  // timer restores itself from timerStateRef
+  const Screens = useStableComponents({
+    HomeScreen,
+    MilestoneStatus,
+    CheckInScreen,
+    ProgressScreen,
+    WeekScreen,
+    DiagnosticsScreen,
+    SettingsScreen,
+    SyncSetupForm,
+    ProfileScreen,
+    CompleteScreen,
+    BottomNav,
+    ProgramErrorScreen
+  });
+
   const renderScreen = () => {
-    if (showSettings) return <SettingsScreen />;
+    if (programLoad.error) return <Screens.ProgramErrorScreen />;
+    if (showSettings) return <Screens.SettingsScreen />;
     
     switch(currentScreen) {
-      case 'home': return <HomeScreen />;
+      case 'home': return <Screens.HomeScreen />;
+      case 'checkin': return <Screens.CheckInScreen />;
       case 'session': return <SessionScreen />;
-      case 'progress': return <ProgressScreen />;
-      case 'profile': return <ProfileScreen />;
-      case 'complete': return <CompleteScreen />;
-      default: return <HomeScreen />;
+      case 'progress': return <Screens.ProgressScreen />;
+      case 'week': return <Screens.WeekScreen />;
+      case 'diagnostics': return <Screens.DiagnosticsScreen />;
+      case 'profile': return <Screens.ProfileScreen />;
+      case 'complete': return <Screens.CompleteScreen />;
+      default: return <Screens.HomeScreen />;
     }
   };
 
   return (
-    <AppErrorBoundary>
-      <div className="max-w-md mx-auto bg-gray-50 min-h-screen flex flex-col safe-area-inset">
-        {/* Storage Error Alert */}
-        {storageError && (
-          <div className="bg-red-500 text-white px-4 py-3 shadow-lg flex items-start justify-between animate-pulse">
-            <div className="flex items-start space-x-2">
-              <svg className="w-5 h-5 mt-0.5 flex-shrink-0" fill="currentColor" viewBox="0 0 20 20">
-                <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
-              </svg>
-              <p className="text-sm">{storageError}</p>
-            </div>
-            <button 
-              onClick={() => setStorageError(null)}
-              className="ml-4 text-white hover:text-gray-200"
-            >
-              <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20">
-                <path fillRule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clipRule="evenodd" />
-              </svg>
+    <div className="max-w-md mx-auto bg-gray-50 min-h-screen flex flex-col safe-area-inset">
+      {/* Undo offer after a reset */}
+      {resetUndo && (
+        <div className="bg-gray-800 text-white px-4 py-3 shadow-lg flex items-center justify-between">
+          <p className="text-sm">{resetUndo.message}</p>
+          <div className="flex items-center space-x-4 ml-4">
+            <button onClick={undoReset} className="text-sm font-semibold text-blue-300 hover:text-blue-200">
+              Undo
+            </button>
+            <button onClick={dismissUndo} className="text-sm text-gray-300 hover:text-white">
+              Dismiss
             </button>
           </div>
-        )}
-        
-        <div className="flex-1 overflow-auto">
-          {renderScreen()}
         </div>
-        {(currentScreen !== 'session' && currentScreen !== 'complete' && !showSettings) && <BottomNav />}
+      )}
+
+      {/* New version deployed; not offered mid-session as the reload would interrupt it */}
+      {pwaState.updateAvailable && !updateDismissed && currentScreen !== 'session' && (
+        <div className="bg-blue-600 text-white px-4 py-3 shadow-lg flex items-center justify-between">
+          <p className="text-sm">A new version of Focus & Flow is available.</p>
+          <div className="flex items-center space-x-4 ml-4">
+            <button onClick={applyUpdate} className="text-sm font-semibold text-white hover:text-blue-100">
+              Reload
+            </button>
+            <button onClick={() => setUpdateDismissed(true)} className="text-sm text-blue-100 hover:text-white">
+              Later
+            </button>
+          </div>
+        </div>
+      )}
+
+      {pwaState.offlineReady && (
+        <div className="bg-green-600 text-white px-4 py-3 shadow-lg flex items-center justify-between">
+          <p className="text-sm">Focus & Flow is ready to work offline.</p>
+          <button onClick={dismissOfflineReady} className="ml-4 text-sm text-green-100 hover:text-white">
+            Dismiss
+          </button>
+        </div>
+      )}
+
+      {/* Storage Error Alert */}
+      {storageError && (
+        <div className="bg-red-500 text-white px-4 py-3 shadow-lg flex items-start justify-between animate-pulse">
+          <div className="flex items-start space-x-2">
+            <svg className="w-5 h-5 mt-0.5 flex-shrink-0" fill="currentColor" viewBox="0 0 20 20">
+              <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
+            </svg>
+            <p className="text-sm">{storageError}</p>
+          </div>
+          <button 
+            onClick={() => setStorageError(null)}
+            className="ml-4 text-white hover:text-gray-200"
+          >
+            <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20">
+              <path fillRule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clipRule="evenodd" />
+            </svg>
+          </button>
+        </div>
+      )}
+      
+      <div className="flex-1 overflow-auto">
+        <ScreenErrorBoundary
+          key={routeHash}
+          screen={routeHash}
+          onRendered={recordGoodState}
+          onGoHome={goHomeAfterCrash}
+          onRestore={canRestoreGoodState() ? restoreGoodState : undefined}
+        >
+          {renderScreen()}
+        </ScreenErrorBoundary>
       </div>
-    </AppErrorBoundary>
+      {(currentScreen !== 'session' && currentScreen !== 'checkin' && currentScreen !== 'complete' && !showSettings) && <Screens.BottomNav />}
+    </div>
   );
 };
 
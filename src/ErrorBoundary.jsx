@@ -0,0 +1,255 @@
+import React from 'react';
+import { downloadFile } from './lib/fileIO.js';
+import { logger } from './lib/logger.js';
+import { createCrashReport, saveCrashReport, formatCrashReport } from './lib/crashReport.js';
+
+// Record a crash report and hand it back once the storage sizes are in
+const recordCrash = async (details) => {
+  const report = await createCrashReport(details);
+  saveCrashReport(report);
+  return report;
+};
+
+const copyCrashReport = async (report) => {
+  try {
+    await navigator.clipboard.writeText(formatCrashReport(report));
+    return true;
+  } catch (error) {
+    logger.warn('app', 'Could not copy crash report', error);
+    return false;
+  }
+};
+
+const downloadCrashReport = (report) => {
+  downloadFile(formatCrashReport(report), `focus-flow-${report.id}.txt`, 'text/plain;charset=utf-8');
+};
+
+/**
+ * Last-resort boundary around the whole app (see main.jsx), for errors
+ * outside any screen. Errors thrown outside rendering (event handlers,
+ * promises) leave the app usable, so they are only recorded.
+ */
+export class AppErrorBoundary extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = { error: null, report: null, copied: null };
+    this.handleError = (event) => {
+      logger.error('app', 'Uncaught error', event.error || event.message);
+      recordCrash({ error: event.error || event.message, source: 'error', screen: window.location.hash });
+    };
+    this.handleRejection = (event) => {
+      logger.error('app', 'Unhandled promise rejection', event.reason);
+      recordCrash({ error: event.reason, source: 'unhandledrejection', screen: window.location.hash });
+    };
+  }
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidMount() {
+    window.addEventListener('error', this.handleError);
+    window.addEventListener('unhandledrejection', this.handleRejection);
+  }
+
+  componentWillUnmount() {
+    window.removeEventListener('error', this.handleError);
+    window.removeEventListener('unhandledrejection', this.handleRejection);
+  }
+
+  componentDidCatch(error, info) {
+    logger.error('app', 'App crashed', error);
+    recordCrash({ error, source: 'render', screen: window.location.hash, componentStack: info.componentStack })
+      .then(report => this.setState({ report }));
+  }
+
+  render() {
+    const { error, report, copied } = this.state;
+    if (!error) return this.props.children;
+
+    const buttonStyle = {
+      backgroundColor: 'white',
+      color: '#374151',
+      border: '1px solid #D1D5DB',
+      padding: '8px 16px',
+      borderRadius: '8px',
+      cursor: 'pointer',
+      fontSize: '14px'
+    };
+
+    return (
+      <div className="error-boundary" style={{
+        padding: '20px',
+        textAlign: 'center',
+        fontFamily: 'system-ui, sans-serif',
+        height: '100vh',
+        display: 'flex',
+        flexDirection: 'column',
+        justifyContent: 'center',
+        alignItems: 'center'
+      }}>
+        <h1 style={{ color: '#EF4444', marginBottom: '16px', fontSize: '24px' }}>Application Error</h1>
+        <p style={{ color: '#6B7280', marginBottom: '16px', maxWidth: '400px' }}>
+          The app encountered an unexpected error. Here's what happened:
+        </p>
+        <div style={{
+          color: '#374151',
+          fontSize: '14px',
+          backgroundColor: '#FEF2F2',
+          border: '1px solid #FCA5A5',
+          padding: '16px',
+          borderRadius: '8px',
+          fontFamily: 'monospace',
+          maxWidth: '400px',
+          marginBottom: '20px',
+          textAlign: 'left',
+          wordWrap: 'break-word'
+        }}>
+          <strong>Error:</strong><br/>
+          {error.message || String(error)}
+        </div>
+        {report && (
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <button
+              onClick={async () => this.setState({ copied: await copyCrashReport(report) })}
+              style={buttonStyle}
+            >
+              {copied ? 'Copied' : 'Copy Crash Report'}
+            </button>
+            <button onClick={() => downloadCrashReport(report)} style={buttonStyle}>
+              Download
+            </button>
+          </div>
+        )}
+        {copied === false && (
+          <p style={{ fontSize: '12px', color: '#6B7280', marginTop: '8px' }}>
+            Copying isn't available here; download the report instead.
+          </p>
+        )}
+        <button
+          onClick={() => window.location.reload()}
+          style={{
+            backgroundColor: '#EF4444',
+            color: 'white',
+            border: 'none',
+            padding: '12px 24px',
+            borderRadius: '8px',
+            marginTop: '16px',
+            cursor: 'pointer',
+            fontSize: '16px'
+          }}
+        >
+          Reload App
+        </button>
+        <p style={{ fontSize: '12px', color: '#9CA3AF', marginTop: '16px' }}>
+          If this keeps happening, include the crash report when you report the problem
+        </p>
+      </div>
+    );
+  }
+}
+
+/**
+ * Boundary around the screen on show (see renderScreen in App.jsx), so a
+ * broken screen leaves the rest of the app running. Keyed by route, so it
+ * starts over on the next screen.
+ *
+ * Props:
+ *   screen      route of the screen, for the crash report
+ *   onRendered  the screen rendered without error
+ *   onGoHome    leave the screen; the caller keeps an active session for resume
+ *   onRestore   put back the data the screen last rendered with; omitted when
+ *               there is nothing to restore. May return a promise.
+ */
+export class ScreenErrorBoundary extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = { error: null, report: null, copied: null };
+  }
+
+  static getDerivedStateFromError(error) {
+    return { error, report: null, copied: null };
+  }
+
+  componentDidMount() {
+    if (!this.state.error) this.props.onRendered();
+  }
+
+  componentDidUpdate() {
+    if (!this.state.error) this.props.onRendered();
+  }
+
+  componentDidCatch(error, info) {
+    logger.error('app', `Screen ${this.props.screen} crashed`, error);
+    recordCrash({ error, source: 'render', screen: this.props.screen, componentStack: info.componentStack })
+      .then(report => this.setState({ report }));
+  }
+
+  reset() {
+    this.setState({ error: null, report: null, copied: null });
+  }
+
+  render() {
+    const { error, report, copied } = this.state;
+    const { onGoHome, onRestore } = this.props;
+    if (!error) return this.props.children;
+
+    return (
+      <div className="p-6 space-y-4">
+        <div className="bg-red-50 border border-red-200 rounded-2xl p-6">
+          <h3 className="font-semibold text-red-800 mb-2">This Screen Stopped Working</h3>
+          <p className="text-red-700 text-sm mb-3">
+            Your data is still saved. Go back to Home, or restore the data this screen last worked with.
+          </p>
+          <p className="text-xs text-red-700 font-mono break-words">{error.message || String(error)}</p>
+        </div>
+
+        <button
+          onClick={() => {
+            onGoHome();
+            this.reset();
+          }}
+          className="w-full bg-blue-500 text-white py-2 rounded-lg text-sm font-medium hover:bg-blue-600 transition-colors"
+        >
+          Go Home
+        </button>
+        {onRestore && (
+          <button
+            onClick={async () => {
+              if (await onRestore()) this.reset();
+            }}
+            className="w-full py-2 rounded-lg border border-gray-300 text-gray-700 text-sm hover:bg-gray-50 transition-colors"
+          >
+            Restore Last Good State
+          </button>
+        )}
+
+        <div className="bg-white rounded-xl p-4 shadow-sm border">
+          <h4 className="font-medium text-gray-800 mb-1">Crash Report</h4>
+          <p className="text-xs text-gray-600 mb-3">
+            Kept on this device only. Add it to a bug report to help fix the problem.
+          </p>
+          <div className="flex space-x-2">
+            <button
+              onClick={async () => this.setState({ copied: await copyCrashReport(report) })}
+              disabled={!report}
+              className="flex-1 py-2 rounded-lg border border-gray-300 text-gray-700 text-sm hover:bg-gray-50 transition-colors disabled:opacity-50"
+            >
+              {copied ? 'Copied' : 'Copy'}
+            </button>
+            <button
+              onClick={() => downloadCrashReport(report)}
+              disabled={!report}
+              className="flex-1 py-2 rounded-lg border border-gray-300 text-gray-700 text-sm hover:bg-gray-50 transition-colors disabled:opacity-50"
+            >
+              Download
+            </button>
+          </div>
+          {copied === false && (
+            <p className="text-xs text-gray-500 mt-2">Copying isn't available here; download the report instead.</p>
+          )}
+        </div>
+      </div>
+    );
+  }
+}
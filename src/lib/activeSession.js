@@ -0,0 +1,72 @@
+/**
+ * Persistence of the in-progress session so it survives reloads, tab
+ * discards and crashes.
+ *
+ * The snapshot stored under ACTIVE_SESSION_KEY is the session record being
+ * built (see sessionHistory.js) plus the state needed to put the timer back
+ * exactly where it was:
+ *
+ *   {
+ *     ...record,                 // id, programId, week, sessionType, startedAt, checkIn, activities
+ *     currentActivity: { name, type, plannedMinutes },
+ *     timer: { endTime, remainingSeconds } | null,   // endTime set while running
+ *     activityTiming: { elapsedMs, runningSince },
+ *     savedAt: 1712345678000
+ *   }
+ *
+ * The index of the current activity is `activities.length`, since finished
+ * activities are appended as they end.
+ */
+
+import { getActivityStatus } from './sessionHistory.js';
+
+export const ACTIVE_SESSION_KEY = 'activeSession';
+
+/**
+ * Seconds left on a saved timer.
+ * @param {{ endTime: number|null, remainingSeconds: number }|null} timer
+ * @param {number} [now=Date.now()]
+ * @returns {number|null} null when the activity timer was never started
+ */
+export const getRemainingSeconds = (timer, now = Date.now()) => {
+  if (!timer) return null;
+  if (timer.endTime) return Math.max(0, Math.ceil((timer.endTime - now) / 1000));
+  return timer.remainingSeconds;
+};
+
+/**
+ * Turn an interrupted session snapshot into a history entry, keeping the
+ * activities finished so far and closing the current one.
+ * @param {Object} snapshot - Saved active session
+ * @param {number} [now=Date.now()]
+ * @returns {Object} History entry with status 'partial'
+ */
+export const buildPartialSessionEntry = (snapshot, now = Date.now()) => {
+  const { timer, activityTiming, currentActivity, savedAt } = snapshot;
+  const wasRunning = Boolean(timer && timer.endTime);
+  // A running timer kept counting while the page was gone; a paused one stopped at the last save
+  const endedAt = wasRunning ? Math.min(now, timer.endTime) : savedAt;
+
+  const activities = [...snapshot.activities];
+  if (currentActivity) {
+    let elapsedMs = activityTiming ? activityTiming.elapsedMs : 0;
+    if (activityTiming && activityTiming.runningSince !== null) {
+      elapsedMs += Math.max(0, endedAt - activityTiming.runningSince);
+    }
+    const actualSeconds = Math.round(elapsedMs / 1000);
+    activities.push({
+      ...currentActivity,
+      actualSeconds,
+      status: getActivityStatus({ actualSeconds, timerFinished: getRemainingSeconds(timer, endedAt) === 0 })
+    });
+  }
+
+  const { timer: _timer, activityTiming: _timing, currentActivity: _current, savedAt: _savedAt, ...record } = snapshot;
+
+  return {
+    ...record,
+    activities,
+    endedAt: new Date(endedAt).toISOString(),
+    status: 'partial'
+  };
+};
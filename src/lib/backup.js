@@ -0,0 +1,373 @@
+/**
+ * Export of all local app state.
+ *
+ * The JSON backup is versioned so later versions of the app can migrate it
+ * on restore:
+ *
+ *   {
+ *     format: 'flowfocus-backup',
+ *     schemaVersion: 2,
+ *     exportedAt: '2024-04-05T19:34:38.000Z',
+ *     data: {
+ *       userProfile,        // including preferences and per-program progress
+ *       sessionHistory,     // entries with activities and check-ins (sessionHistory.js)
+ *       dailyRatings,       // evening self-ratings (focusRatings.js)
+ *       importedPrograms,   // raw program definitions
+ *       activeSession       // in-progress session snapshot or null (activeSession.js)
+ *     }
+ *   }
+ *
+ * The CSV tables flatten the session history for spreadsheets: one row per
+ * session and one row per activity.
+ *
+ * Restoring parses a backup, migrates it to the current schema and plans
+ * the result of either replacing local data or merging into it, so the
+ * change can be previewed before anything is written.
+ */
+
+import { isValidUserProfile, migrateUserProfile } from './userProfile.js';
+import { migrateCompletedSessions } from './sessionHistory.js';
+import { isValidDailyRating } from './focusRatings.js';
+
+export const BACKUP_FORMAT = 'flowfocus-backup';
+export const BACKUP_SCHEMA_VERSION = 2;
+
+export const RESTORE_MODES = {
+  REPLACE: 'replace',
+  MERGE: 'merge'
+};
+
+export class BackupValidationError extends Error {
+  constructor(problems) {
+    super(`Invalid backup file:\n- ${problems.join('\n- ')}`);
+    this.name = 'BackupValidationError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * @param {Object} data - userProfile, sessionHistory, dailyRatings, importedPrograms, activeSession
+ * @param {Date} [now=new Date()]
+ * @returns {Object} Backup document
+ */
+export const createBackup = ({ userProfile, sessionHistory, dailyRatings = [], importedPrograms, activeSession = null }, now = new Date()) => ({
+  format: BACKUP_FORMAT,
+  schemaVersion: BACKUP_SCHEMA_VERSION,
+  exportedAt: now.toISOString(),
+  data: {
+    userProfile,
+    sessionHistory,
+    dailyRatings,
+    importedPrograms,
+    activeSession
+  }
+});
+
+// Quote a CSV cell when needed; text starting with a formula character is
+// prefixed so spreadsheets do not evaluate it
+const formatCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize rows as CSV (RFC 4180, CRLF line endings).
+ * @param {Object[]} rows
+ * @param {string[]} columns - Keys to include, also used as the header row
+ * @returns {string}
+ */
+export const toCsv = (rows, columns) => {
+  const lines = [columns.join(',')];
+  rows.forEach(row => lines.push(columns.map(column => formatCsvCell(row[column])).join(',')));
+  return lines.join('\r\n') + '\r\n';
+};
+
+const countActivities = (entry, status) => entry.activities.filter(activity => activity.status === status).length;
+
+/**
+ * One row per session, with its check-in and the rating after it.
+ * @param {Object[]} sessionHistory
+ * @returns {string}
+ */
+export const sessionsToCsv = (sessionHistory) => {
+  const rows = sessionHistory.map(entry => ({
+    id: entry.id,
+    programId: entry.programId,
+    week: entry.week,
+    sessionType: entry.sessionType,
+    status: entry.status,
+    startedAt: entry.startedAt,
+    endedAt: entry.endedAt,
+    durationMinutes: entry.migrated
+      ? ''
+      : Math.round((new Date(entry.endedAt) - new Date(entry.startedAt)) / 6000) / 10,
+    activitiesCompleted: countActivities(entry, 'completed'),
+    activitiesCutShort: countActivities(entry, 'cut-short'),
+    activitiesSkipped: countActivities(entry, 'skipped'),
+    energy: entry.checkIn ? entry.checkIn.energy : '',
+    mood: entry.checkIn ? entry.checkIn.mood : '',
+    focus: entry.checkIn ? entry.checkIn.focus : '',
+    energyAfter: entry.postCheckIn ? entry.postCheckIn.energy : '',
+    moodAfter: entry.postCheckIn ? entry.postCheckIn.mood : '',
+    focusAfter: entry.postCheckIn ? entry.postCheckIn.focus : ''
+  }));
+  return toCsv(rows, [
+    'id', 'programId', 'week', 'sessionType', 'status', 'startedAt', 'endedAt', 'durationMinutes',
+    'activitiesCompleted', 'activitiesCutShort', 'activitiesSkipped', 'energy', 'mood', 'focus',
+    'energyAfter', 'moodAfter', 'focusAfter'
+  ]);
+};
+
+/**
+ * One row per activity of every session.
+ * @param {Object[]} sessionHistory
+ * @returns {string}
+ */
+export const activitiesToCsv = (sessionHistory) => {
+  const rows = [];
+  sessionHistory.forEach(entry => {
+    entry.activities.forEach((activity, index) => {
+      rows.push({
+        sessionId: entry.id,
+        programId: entry.programId,
+        week: entry.week,
+        sessionType: entry.sessionType,
+        sessionStartedAt: entry.startedAt,
+        position: index + 1,
+        name: activity.name,
+        type: activity.type,
+        plannedMinutes: activity.plannedMinutes,
+        actualSeconds: activity.actualSeconds,
+        status: activity.status
+      });
+    });
+  });
+  return toCsv(rows, [
+    'sessionId', 'programId', 'week', 'sessionType', 'sessionStartedAt', 'position',
+    'name', 'type', 'plannedMinutes', 'actualSeconds', 'status'
+  ]);
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Backup schema migrations, keyed by the version they upgrade from. Version
+// 0 is a plain copy of the app's localStorage keys, without the wrapper and
+// possibly with the legacy completedSessions keys instead of a history.
+const MIGRATIONS = {
+  0: (raw, { defaultProgramId }) => ({
+    format: BACKUP_FORMAT,
+    schemaVersion: 1,
+    exportedAt: null,
+    data: {
+      userProfile: raw.userProfile,
+      sessionHistory: Array.isArray(raw.sessionHistory)
+        ? raw.sessionHistory
+        : migrateCompletedSessions(Array.isArray(raw.completedSessions) ? raw.completedSessions : [], defaultProgramId),
+      importedPrograms: raw.importedPrograms || [],
+      activeSession: raw.activeSession || null
+    }
+  }),
+  // Evening ratings were added
+  1: (raw) => ({
+    ...raw,
+    schemaVersion: 2,
+    data: { ...raw.data, dailyRatings: [] }
+  })
+};
+
+const getSchemaVersion = (raw) => {
+  if (raw.format === BACKUP_FORMAT) return raw.schemaVersion;
+  return raw.userProfile !== undefined ? 0 : null;
+};
+
+const isSessionEntry = (entry) =>
+  isPlainObject(entry) &&
+  typeof entry.id === 'string' &&
+  typeof entry.programId === 'string' &&
+  Number.isInteger(entry.week) &&
+  typeof entry.sessionType === 'string' &&
+  typeof entry.startedAt === 'string' &&
+  Array.isArray(entry.activities);
+
+const checkBackupData = (data) => {
+  const problems = [];
+  if (!isPlainObject(data)) return ['data: expected an object'];
+
+  // Same requirement safeLocalStorage applies to a stored profile
+  if (!isValidUserProfile(data.userProfile)) {
+    problems.push('data.userProfile: expected a profile with a preferences object');
+  }
+  if (!Array.isArray(data.sessionHistory)) {
+    problems.push('data.sessionHistory: expected a list of sessions');
+  } else {
+    data.sessionHistory.forEach((entry, index) => {
+      if (!isSessionEntry(entry)) problems.push(`data.sessionHistory[${index}]: not a valid session entry`);
+    });
+  }
+  if (!Array.isArray(data.dailyRatings)) {
+    problems.push('data.dailyRatings: expected a list of daily ratings');
+  } else {
+    data.dailyRatings.forEach((rating, index) => {
+      if (!isValidDailyRating(rating)) problems.push(`data.dailyRatings[${index}]: not a valid daily rating`);
+    });
+  }
+  if (!Array.isArray(data.importedPrograms)) {
+    problems.push('data.importedPrograms: expected a list of program definitions');
+  }
+  if (data.activeSession !== null && data.activeSession !== undefined &&
+      !(isPlainObject(data.activeSession) && Array.isArray(data.activeSession.activities))) {
+    problems.push('data.activeSession: expected a session snapshot or null');
+  }
+  return problems;
+};
+
+/**
+ * Parse a backup file, migrating older schema versions.
+ * @param {string} text - File contents
+ * @param {Object} options
+ * @param {string} options.defaultProgramId - Program for sessions recorded before programs had ids
+ * @returns {{ schemaVersion: number, exportedAt: string|null, data: Object }}
+ * @throws {BackupValidationError} When the file is not a usable backup
+ */
+export const parseBackup = (text, { defaultProgramId }) => {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (error) {
+    throw new BackupValidationError([`Not a JSON file (${error.message})`]);
+  }
+  if (!isPlainObject(raw)) {
+    throw new BackupValidationError(['Backup must be a JSON object']);
+  }
+
+  let version = getSchemaVersion(raw);
+  if (!Number.isInteger(version)) {
+    throw new BackupValidationError(['Not a Focus & Flow backup: missing format and schemaVersion']);
+  }
+  if (version > BACKUP_SCHEMA_VERSION) {
+    throw new BackupValidationError([`schemaVersion: ${version} was written by a newer version of the app (this version reads up to ${BACKUP_SCHEMA_VERSION})`]);
+  }
+
+  // Version 0 only describes legacy files without the wrapper
+  if (raw.format === BACKUP_FORMAT && version < 1) {
+    throw new BackupValidationError([`schemaVersion: ${version} is not a valid version (expected 1 to ${BACKUP_SCHEMA_VERSION})`]);
+  }
+
+  let backup = raw;
+  while (version < BACKUP_SCHEMA_VERSION) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) {
+      throw new BackupValidationError([`schemaVersion: ${version} cannot be migrated`]);
+    }
+    backup = migrate(backup, { defaultProgramId });
+    version = backup.schemaVersion;
+  }
+
+  const data = { importedPrograms: [], dailyRatings: [], activeSession: null, ...backup.data };
+  const problems = checkBackupData(data);
+  if (problems.length > 0) {
+    throw new BackupValidationError(problems);
+  }
+
+  return {
+    schemaVersion: backup.schemaVersion,
+    exportedAt: backup.exportedAt || null,
+    data: {
+      ...data,
+      userProfile: migrateUserProfile(data.userProfile),
+      activeSession: data.activeSession || null
+    }
+  };
+};
+
+const sortByStart = (history) => [...history].sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+
+const sortByDate = (ratings) => [...ratings].sort((a, b) => a.date.localeCompare(b.date));
+
+/**
+ * Work out the state after restoring a backup, and what would change.
+ *
+ * Replacing takes everything from the backup. Merging keeps the local
+ * profile and settings, adds sessions and imported programs that are not
+ * present locally (sessions are matched by id), evening ratings of days
+ * without one and progress of programs the local profile has never used.
+ * @param {Object} local - Current userProfile, sessionHistory, dailyRatings, importedPrograms, activeSession
+ * @param {Object} incoming - `data` of a parsed backup
+ * @param {'replace'|'merge'} mode
+ * @returns {{ result: Object, summary: Object }}
+ */
+export const planRestore = (local, incoming, mode) => {
+  const localIds = new Set(local.sessionHistory.map(entry => entry.id));
+  const incomingIds = new Set(incoming.sessionHistory.map(entry => entry.id));
+  const localProgramIds = new Set(local.importedPrograms.map(raw => raw.id));
+  const localRatingDates = new Set(local.dailyRatings.map(rating => rating.date));
+
+  if (mode === RESTORE_MODES.REPLACE) {
+    const changedFields = ['name', 'activeProgramId', 'currentWeek', 'startDate']
+      .filter(field => local.userProfile[field] !== incoming.userProfile[field])
+      .map(field => ({ field, from: local.userProfile[field], to: incoming.userProfile[field] }));
+
+    return {
+      result: { ...incoming, sessionHistory: sortByStart(incoming.sessionHistory), dailyRatings: sortByDate(incoming.dailyRatings) },
+      summary: {
+        sessionsAdded: incoming.sessionHistory.filter(entry => !localIds.has(entry.id)).length,
+        sessionsRemoved: local.sessionHistory.filter(entry => !incomingIds.has(entry.id)).length,
+        sessionsTotal: incoming.sessionHistory.length,
+        ratingsAdded: incoming.dailyRatings.filter(rating => !localRatingDates.has(rating.date)).length,
+        programsAdded: incoming.importedPrograms.filter(raw => !localProgramIds.has(raw.id)).length,
+        programsRemoved: local.importedPrograms.filter(raw => !incoming.importedPrograms.some(other => other.id === raw.id)).length,
+        profileChanges: changedFields,
+        replacesSettings: true
+      }
+    };
+  }
+
+  const newSessions = incoming.sessionHistory.filter(entry => !localIds.has(entry.id));
+  const newPrograms = incoming.importedPrograms.filter(raw => !localProgramIds.has(raw.id));
+  const newRatings = incoming.dailyRatings.filter(rating => !localRatingDates.has(rating.date));
+
+  // Progress of programs the local profile has neither active nor stashed
+  const localProgress = local.userProfile.programProgress || {};
+  const incomingProgress = { ...(incoming.userProfile.programProgress || {}) };
+  if (incoming.userProfile.activeProgramId) {
+    incomingProgress[incoming.userProfile.activeProgramId] = {
+      currentWeek: incoming.userProfile.currentWeek,
+      startDate: incoming.userProfile.startDate,
+      pausedAt: incoming.userProfile.pausedAt || null,
+      adherenceCheckedWeek: incoming.userProfile.adherenceCheckedWeek || 0
+    };
+  }
+  const addedProgress = {};
+  Object.entries(incomingProgress).forEach(([programId, progress]) => {
+    if (programId !== local.userProfile.activeProgramId && !localProgress[programId]) {
+      addedProgress[programId] = progress;
+    }
+  });
+
+  return {
+    result: {
+      userProfile: {
+        ...local.userProfile,
+        programProgress: { ...localProgress, ...addedProgress }
+      },
+      sessionHistory: sortByStart([...local.sessionHistory, ...newSessions]),
+      dailyRatings: sortByDate([...local.dailyRatings, ...newRatings]),
+      importedPrograms: [...local.importedPrograms, ...newPrograms],
+      activeSession: local.activeSession
+    },
+    summary: {
+      sessionsAdded: newSessions.length,
+      sessionsRemoved: 0,
+      sessionsTotal: local.sessionHistory.length + newSessions.length,
+      ratingsAdded: newRatings.length,
+      programsAdded: newPrograms.length,
+      programsRemoved: 0,
+      profileChanges: [],
+      progressAdded: Object.keys(addedProgress),
+      replacesSettings: false
+    }
+  };
+};
@@ -0,0 +1,181 @@
+/**
+ * Passphrase-encrypted backup files, using Web Crypto.
+ *
+ * The backup JSON (see backup.js) is encrypted with AES-GCM. The key is
+ * derived from the passphrase with PBKDF2 and then HKDF, which also derives
+ * a check value so a wrong passphrase can be told apart from a damaged file:
+ *
+ *   {
+ *     format: 'flowfocus-encrypted-backup',
+ *     version: 1,
+ *     kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: 600000, salt },
+ *     cipher: { name: 'AES-GCM', iv },
+ *     check,   // compared before decrypting
+ *     data     // the encrypted backup JSON
+ *   }
+ *
+ * Binary fields are base64.
+ */
+
+export const ENCRYPTED_BACKUP_FORMAT = 'flowfocus-encrypted-backup';
+export const ENCRYPTED_BACKUP_VERSION = 1;
+
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+const PBKDF2_ITERATIONS = 600000;
+// Files asking for more are treated as damaged rather than hanging the page
+const MAX_PBKDF2_ITERATIONS = 10000000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const CHECK_BITS = 128;
+
+export const DECRYPTION_ERRORS = {
+  WRONG_PASSPHRASE: 'wrong-passphrase',
+  CORRUPTED: 'corrupted',
+  UNSUPPORTED: 'unsupported'
+};
+
+export class BackupDecryptionError extends Error {
+  constructor(reason, problems) {
+    super(`Could not decrypt backup:\n- ${problems.join('\n- ')}`);
+    this.name = 'BackupDecryptionError';
+    this.reason = reason;
+    this.problems = problems;
+  }
+}
+
+const encoder = new TextEncoder();
+
+const getSubtle = () => {
+  const subtle = typeof crypto !== 'undefined' && crypto.subtle;
+  if (!subtle) {
+    throw new Error('Encryption is not available here. It needs a browser with Web Crypto and an https connection.');
+  }
+  return subtle;
+};
+
+const toBase64 = (bytes) => {
+  let binary = '';
+  // Chunked: String.fromCharCode takes its bytes as arguments
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+const fromBase64 = (text) => {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+const deriveKeys = async (subtle, passphrase, salt, iterations) => {
+  const passphraseKey = await subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+  const secret = await subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, passphraseKey, 256);
+  const secretKey = await subtle.importKey('raw', secret, 'HKDF', false, ['deriveKey', 'deriveBits']);
+  const hkdf = (info) => ({ name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(0), info: encoder.encode(info) });
+
+  const key = await subtle.deriveKey(hkdf('flowfocus-backup-key'), secretKey, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+  const check = new Uint8Array(await subtle.deriveBits(hkdf('flowfocus-backup-check'), secretKey, CHECK_BITS));
+  return { key, check };
+};
+
+/**
+ * @param {string} text - File contents
+ * @returns {boolean} Whether the file is an encrypted backup (it may still be damaged)
+ */
+export const isEncryptedBackup = (text) => {
+  try {
+    const raw = JSON.parse(text);
+    return Boolean(raw) && raw.format === ENCRYPTED_BACKUP_FORMAT;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Encrypt backup JSON with a passphrase.
+ * @param {string} backupText - Serialized backup document
+ * @param {string} passphrase
+ * @returns {Promise<string>} Encrypted backup file contents
+ */
+export const encryptBackup = async (backupText, passphrase) => {
+  const subtle = getSubtle();
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const { key, check } = await deriveKeys(subtle, passphrase, salt, PBKDF2_ITERATIONS);
+  const data = new Uint8Array(await subtle.encrypt({ name: 'AES-GCM', iv }, key, encoder.encode(backupText)));
+
+  return JSON.stringify({
+    format: ENCRYPTED_BACKUP_FORMAT,
+    version: ENCRYPTED_BACKUP_VERSION,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: toBase64(salt) },
+    cipher: { name: 'AES-GCM', iv: toBase64(iv) },
+    check: toBase64(check),
+    data: toBase64(data)
+  }, null, 2);
+};
+
+/**
+ * Decrypt an encrypted backup file.
+ * @param {string} text - File contents
+ * @param {string} passphrase
+ * @returns {Promise<string>} Backup JSON, for parseBackup
+ * @throws {BackupDecryptionError}
+ */
+export const decryptBackup = async (text, passphrase) => {
+  let subtle;
+  try {
+    subtle = getSubtle();
+  } catch (error) {
+    throw new BackupDecryptionError(DECRYPTION_ERRORS.UNSUPPORTED, [error.message]);
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (error) {
+    throw new BackupDecryptionError(DECRYPTION_ERRORS.CORRUPTED, [`Not a JSON file (${error.message})`]);
+  }
+  if (!raw || raw.format !== ENCRYPTED_BACKUP_FORMAT) {
+    throw new BackupDecryptionError(DECRYPTION_ERRORS.CORRUPTED, ['Not an encrypted backup file']);
+  }
+  if (raw.version !== ENCRYPTED_BACKUP_VERSION) {
+    throw new BackupDecryptionError(DECRYPTION_ERRORS.UNSUPPORTED, [
+      `Encryption version ${raw.version} is not supported by this version of the app`
+    ]);
+  }
+
+  const { kdf, cipher } = raw;
+  let salt, iv, check, data;
+  try {
+    if (!kdf || kdf.name !== 'PBKDF2' || kdf.hash !== 'SHA-256' || !cipher || cipher.name !== 'AES-GCM') {
+      throw new Error('Unknown key derivation or cipher');
+    }
+    if (!Number.isInteger(kdf.iterations) || kdf.iterations < 1 || kdf.iterations > MAX_PBKDF2_ITERATIONS) {
+      throw new Error('Invalid key derivation settings');
+    }
+    salt = fromBase64(kdf.salt);
+    iv = fromBase64(cipher.iv);
+    check = fromBase64(raw.check);
+    data = fromBase64(raw.data);
+  } catch (error) {
+    throw new BackupDecryptionError(DECRYPTION_ERRORS.CORRUPTED, [`The file is damaged (${error.message})`]);
+  }
+
+  const keys = await deriveKeys(subtle, passphrase, salt, kdf.iterations);
+  if (keys.check.length !== check.length || keys.check.some((byte, index) => byte !== check[index])) {
+    throw new BackupDecryptionError(DECRYPTION_ERRORS.WRONG_PASSPHRASE, ['Wrong passphrase']);
+  }
+
+  try {
+    const plaintext = await subtle.decrypt({ name: 'AES-GCM', iv }, keys.key, data);
+    return new TextDecoder().decode(plaintext);
+  } catch {
+    // The passphrase matched, so the encrypted data itself was altered
+    throw new BackupDecryptionError(DECRYPTION_ERRORS.CORRUPTED, ['The file is damaged: its encrypted data does not match its checksum']);
+  }
+};
@@ -0,0 +1,75 @@
+/**
+ * Pre-session check-in and session variant selection.
+ *
+ * Before a session the user rates energy, mood and focus on a 1-10 scale.
+ * The check-in is stored with the session entry:
+ *
+ *   checkIn: { energy: 7, mood: 6, focus: 4, recordedAt: '2024-04-05T19:34:38.000Z' }
+ *
+ * Some program weeks define variants of the same session: "High Energy Days"
+ * and "Low Energy Days" are chosen from the energy rating, "Morning",
+ * "Afternoon" and "Evening" from the time of day.
+ */
+
+export const CHECK_IN_FIELDS = ['energy', 'mood', 'focus'];
+
+export const CHECK_IN_MIN = 1;
+export const CHECK_IN_MAX = 10;
+
+// Ratings at or below this count as a low energy day
+export const LOW_ENERGY_THRESHOLD = 5;
+
+const ENERGY_VARIANT_PATTERNS = {
+  high: /high energy/i,
+  low: /low energy/i
+};
+
+/**
+ * Build a check-in from slider values, clamping each rating to the scale.
+ * @param {{ energy: number, mood: number, focus: number }} ratings
+ * @param {Date} [now=new Date()]
+ * @returns {Object} Check-in
+ */
+export const createCheckIn = (ratings, now = new Date()) => {
+  const checkIn = {};
+  CHECK_IN_FIELDS.forEach(field => {
+    const value = Math.round(Number(ratings[field]));
+    checkIn[field] = isNaN(value) ? CHECK_IN_MIN : Math.min(Math.max(value, CHECK_IN_MIN), CHECK_IN_MAX);
+  });
+  checkIn.recordedAt = now.toISOString();
+  return checkIn;
+};
+
+/**
+ * @param {Object} checkIn
+ * @returns {'high'|'low'}
+ */
+export const getEnergyLevel = (checkIn) => (checkIn.energy <= LOW_ENERGY_THRESHOLD ? 'low' : 'high');
+
+/**
+ * Whether a week offers High/Low Energy variants to choose from.
+ * @param {string[]} sessionTypes
+ * @returns {boolean}
+ */
+export const hasEnergyVariants = (sessionTypes) =>
+  sessionTypes.some(type => ENERGY_VARIANT_PATTERNS.high.test(type)) &&
+  sessionTypes.some(type => ENERGY_VARIANT_PATTERNS.low.test(type));
+
+/**
+ * Pick the session variant matching the check-in or the time of day.
+ * @param {string[]} sessionTypes - Session types defined for the week
+ * @param {Object} context
+ * @param {Object|null} [context.checkIn] - Energy variants need a check-in
+ * @param {'morning'|'afternoon'|'evening'} context.timeOfDay
+ * @returns {string|null} null when the week has no matching variant
+ */
+export const selectSessionVariant = (sessionTypes, { checkIn = null, timeOfDay }) => {
+  if (checkIn && hasEnergyVariants(sessionTypes)) {
+    const pattern = ENERGY_VARIANT_PATTERNS[getEnergyLevel(checkIn)];
+    const energyVariant = sessionTypes.find(type => pattern.test(type));
+    if (energyVariant) return energyVariant;
+  }
+
+  const timeOfDayVariant = sessionTypes.find(type => type.toLowerCase().includes(timeOfDay));
+  return timeOfDayVariant || null;
+};
@@ -0,0 +1,134 @@
+/**
+ * Local crash reports, for users to copy or download into a bug report.
+ *
+ * Nothing is sent anywhere: the latest reports are kept in localStorage
+ * under CRASH_REPORTS_KEY, newest first:
+ *
+ *   {
+ *     id: 'crash_1712345678000',
+ *     createdAt: '2024-04-05T19:34:38.000Z',
+ *     source: 'render',            // or 'error', 'unhandledrejection'
+ *     screen: '#/session',
+ *     appVersion: '0.0.0',
+ *     mode: 'production',
+ *     message: 'Cannot read properties of undefined',
+ *     stack: '...',
+ *     componentStack: '...',      // render errors only
+ *     userAgent: '...',
+ *     storage: { localStorage: { userProfile: 1830 }, usage: 52133, quota: 2147483648 }
+ *   }
+ */
+
+import { logger } from './logger.js';
+
+export const CRASH_REPORTS_KEY = 'crashReports';
+
+export const MAX_CRASH_REPORTS = 5;
+
+// From package.json, see vite.config.js
+export const APP_VERSION = __APP_VERSION__;
+
+/**
+ * Size of each localStorage entry (characters of key and value) and, where
+ * the browser reports it, the origin's storage usage and quota in bytes.
+ * @returns {Promise<{ localStorage: Object<string, number>, usage: number|null, quota: number|null }>}
+ */
+export const getStorageSizes = async () => {
+  const sizes = { localStorage: {}, usage: null, quota: null };
+  try {
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      sizes.localStorage[key] = key.length + (localStorage.getItem(key) || '').length;
+    }
+  } catch (error) {
+    logger.warn('storage', 'Could not read localStorage sizes', error);
+  }
+  try {
+    if (navigator.storage && navigator.storage.estimate) {
+      const { usage, quota } = await navigator.storage.estimate();
+      sizes.usage = typeof usage === 'number' ? usage : null;
+      sizes.quota = typeof quota === 'number' ? quota : null;
+    }
+  } catch (error) {
+    logger.warn('storage', 'Could not estimate storage', error);
+  }
+  return sizes;
+};
+
+/**
+ * @param {Object} details
+ * @param {*} details.error - Usually an Error, but anything can be thrown
+ * @param {string} details.source - 'render', 'error' or 'unhandledrejection'
+ * @param {string} details.screen - Route of the screen showing, e.g. '#/session'
+ * @param {string|null} [details.componentStack=null] - From React, for render errors
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<Object>} Crash report
+ */
+export const createCrashReport = async ({ error, source, screen, componentStack = null }, now = new Date()) => ({
+  id: `crash_${now.getTime()}`,
+  createdAt: now.toISOString(),
+  source,
+  screen,
+  appVersion: APP_VERSION,
+  mode: import.meta.env.MODE,
+  message: (error && error.message) || String(error),
+  stack: (error && error.stack) || null,
+  componentStack,
+  userAgent: navigator.userAgent,
+  storage: await getStorageSizes()
+});
+
+/**
+ * @returns {Object[]} Saved crash reports, newest first
+ */
+export const getCrashReports = () => {
+  try {
+    const reports = JSON.parse(localStorage.getItem(CRASH_REPORTS_KEY));
+    return Array.isArray(reports) ? reports : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Keep a crash report, dropping the oldest beyond MAX_CRASH_REPORTS.
+ * @param {Object} report
+ * @returns {boolean} Whether it was saved
+ */
+export const saveCrashReport = (report) => {
+  try {
+    localStorage.setItem(CRASH_REPORTS_KEY, JSON.stringify([report, ...getCrashReports()].slice(0, MAX_CRASH_REPORTS)));
+    return true;
+  } catch (error) {
+    // Storage may be full, which can be what broke the app
+    logger.warn('storage', 'Could not save crash report', error);
+    return false;
+  }
+};
+
+/**
+ * Plain-text report for pasting into a bug report.
+ * @param {Object} report
+ * @returns {string}
+ */
+export const formatCrashReport = (report) => {
+  const { usage, quota } = report.storage;
+  const localSizes = Object.entries(report.storage.localStorage)
+    .map(([key, size]) => `  ${key}: ${size} chars`);
+  return [
+    `Focus & Flow crash report ${report.id}`,
+    `Time: ${report.createdAt}`,
+    `Version: ${report.appVersion} (${report.mode})`,
+    `Screen: ${report.screen}`,
+    `Source: ${report.source}`,
+    `Browser: ${report.userAgent}`,
+    '',
+    `Error: ${report.message}`,
+    report.stack || '(no stack)',
+    ...(report.componentStack ? ['', 'Component stack:', report.componentStack.trim()] : []),
+    '',
+    'Storage:',
+    ...(localSizes.length > 0 ? localSizes : ['  localStorage empty']),
+    `  usage: ${usage === null ? 'unknown' : usage} of ${quota === null ? 'unknown' : quota} bytes`
+  ].join('\n');
+};
@@ -0,0 +1,111 @@
+/**
+ * What the Diagnostics screen shows: browser capabilities the app relies
+ * on, what is stored, and a diagnostic bundle of both with the recent log
+ * and crash reports, for attaching to bug reports.
+ */
+
+import { APP_VERSION, getStorageSizes, getCrashReports } from './crashReport.js';
+import { getLogEntries } from './logger.js';
+import { isStandalone } from './pwa.js';
+import { supportsBackgroundReminders } from './reminders.js';
+
+export const DIAGNOSTIC_BUNDLE_VERSION = 1;
+
+const getServiceWorkerStatus = async () => {
+  if (!('serviceWorker' in navigator)) return 'unsupported';
+  try {
+    const registration = await navigator.serviceWorker.getRegistration();
+    if (!registration) return 'not registered';
+    if (registration.waiting) return 'update waiting';
+    return navigator.serviceWorker.controller ? 'active' : 'registered, not controlling this page';
+  } catch (error) {
+    return `unavailable (${error.message})`;
+  }
+};
+
+const getPersistence = async () => {
+  try {
+    if (navigator.storage && navigator.storage.persisted) {
+      return (await navigator.storage.persisted()) ? 'persistent' : 'best effort';
+    }
+  } catch {
+    // Reported as unknown below
+  }
+  return 'unknown';
+};
+
+/**
+ * @returns {Promise<Object[]>} [{ name, value, ok }] where ok is false for a missing capability
+ */
+export const getCapabilities = async () => {
+  const hasAudio = Boolean(window.AudioContext || window.webkitAudioContext);
+  const notificationPermission = 'Notification' in window ? Notification.permission : 'unsupported';
+  const serviceWorker = await getServiceWorkerStatus();
+  const { usage, quota } = await getStorageSizes();
+  const formatMB = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+  return [
+    { name: 'App version', value: `${APP_VERSION} (${import.meta.env.MODE})`, ok: true },
+    // plugin-legacy sets LEGACY in the bundle for browsers without ES modules
+    { name: 'Bundle', value: import.meta.env.LEGACY ? 'legacy' : 'module', ok: true },
+    { name: 'AudioContext', value: hasAudio ? 'available' : 'unsupported', ok: hasAudio },
+    { name: 'Notifications', value: notificationPermission, ok: notificationPermission === 'granted' },
+    { name: 'Background reminders', value: supportsBackgroundReminders() ? 'available' : 'unsupported', ok: supportsBackgroundReminders() },
+    { name: 'Service worker', value: serviceWorker, ok: serviceWorker === 'active' },
+    { name: 'IndexedDB', value: 'indexedDB' in window ? 'available' : 'unsupported', ok: 'indexedDB' in window },
+    {
+      name: 'Storage quota',
+      value: usage === null || quota === null ? 'unknown' : `${formatMB(usage)} of ${formatMB(quota)} used`,
+      ok: usage === null || quota === null || usage < quota * 0.9
+    },
+    { name: 'Storage persistence', value: await getPersistence(), ok: true },
+    { name: 'Installed', value: isStandalone() ? 'yes' : 'no (browser tab)', ok: true },
+    { name: 'Online', value: navigator.onLine ? 'yes' : 'no', ok: navigator.onLine }
+  ];
+};
+
+/**
+ * Summary of stored data, without its content.
+ * @param {Object} state
+ * @param {string} state.backend - storage.backend
+ * @param {Object} state.userProfile
+ * @param {Object[]} state.sessionHistory
+ * @param {Object[]} state.dailyRatings
+ * @param {Object[]} state.importedPrograms
+ * @param {Object[]} state.snapshots
+ * @returns {Promise<Object>}
+ */
+export const getStorageContents = async ({ backend, userProfile, sessionHistory, dailyRatings, importedPrograms, snapshots }) => ({
+  backend,
+  profile: {
+    activeProgramId: userProfile.activeProgramId,
+    currentWeek: userProfile.currentWeek,
+    startDate: userProfile.startDate
+  },
+  sessions: sessionHistory.length,
+  dailyRatings: dailyRatings.length,
+  importedPrograms: importedPrograms.length,
+  snapshots: snapshots.length,
+  crashReports: getCrashReports().length,
+  localStorage: (await getStorageSizes()).localStorage
+});
+
+/**
+ * Everything the Diagnostics screen shows, as JSON for a bug report.
+ * Only a summary of stored data is included, not the data itself.
+ * @param {Object} details
+ * @param {Object[]} details.capabilities - From getCapabilities
+ * @param {Object} details.storage - From getStorageContents
+ * @param {Date} [now=new Date()]
+ * @returns {string}
+ */
+export const createDiagnosticBundle = ({ capabilities, storage }, now = new Date()) => JSON.stringify({
+  diagnosticBundleVersion: DIAGNOSTIC_BUNDLE_VERSION,
+  createdAt: now.toISOString(),
+  userAgent: navigator.userAgent,
+  route: window.location.hash,
+  capabilities: capabilities.reduce((values, { name, value }) => ({ ...values, [name]: value }), {}),
+  storage,
+  crashReports: getCrashReports(),
+  log: getLogEntries()
+}, null, 2);
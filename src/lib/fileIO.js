@@ -0,0 +1,35 @@
+/**
+ * Browser file helpers shared by the import/export features.
+ */
+
+/**
+ * Read a user-selected File as text. Uses FileReader rather than
+ * File.text() so it works on older mobile Safari.
+ * @param {File} file
+ * @returns {Promise<string>}
+ */
+export const readFileAsText = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error || new Error(`Could not read ${file.name}`));
+  reader.readAsText(file);
+});
+
+/**
+ * Offer text content as a file download.
+ * @param {string} content
+ * @param {string} filename
+ * @param {string} mimeType
+ */
+export const downloadFile = (content, filename, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.style.display = 'none';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  // Revoke later: some browsers start the download asynchronously
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
@@ -0,0 +1,119 @@
+/**
+ * Self-ratings of energy, mood and focus over the program.
+ *
+ * Ratings use the check-in scale (checkIn.js) and come from three places:
+ * the check-in before a session (`entry.checkIn`), the rating after it
+ * (`entry.postCheckIn`) and an optional evening rating, one per day, kept
+ * in the dailyRatings storage collection:
+ *
+ *   { id: '2024-04-05', date: '2024-04-05', programId, week: 3, energy: 6, mood: 7, focus: 5, recordedAt }
+ *
+ * The day's ISO date doubles as the id, so rating again replaces it.
+ */
+
+import { CHECK_IN_FIELDS, createCheckIn } from './checkIn.js';
+import { toISODate } from './weekProgression.js';
+
+// The evening rating is offered from this hour (local time)
+export const EVENING_RATING_HOUR = 18;
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * @param {{ energy: number, mood: number, focus: number }} ratings - Slider values
+ * @param {Object} context
+ * @param {string} context.programId
+ * @param {number} context.week - Program week the day belongs to
+ * @param {Date} [now=new Date()]
+ * @returns {Object} Daily rating for the local day of `now`
+ */
+export const createDailyRating = (ratings, { programId, week }, now = new Date()) => {
+  const date = toISODate(now);
+  return { id: date, date, programId, week, ...createCheckIn(ratings, now) };
+};
+
+/**
+ * Add or replace the rating of a day, keeping the list in date order.
+ * @param {Object[]} dailyRatings
+ * @param {Object} rating
+ * @returns {Object[]}
+ */
+export const upsertDailyRating = (dailyRatings, rating) =>
+  [...dailyRatings.filter(other => other.date !== rating.date), rating]
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+/**
+ * @param {unknown} rating
+ * @returns {boolean}
+ */
+export const isValidDailyRating = (rating) =>
+  isPlainObject(rating) &&
+  typeof rating.date === 'string' &&
+  rating.id === rating.date &&
+  CHECK_IN_FIELDS.every(field => typeof rating[field] === 'number');
+
+/**
+ * Whether to offer today's evening rating.
+ * @param {Object[]} dailyRatings
+ * @param {Date} [now=new Date()]
+ * @returns {boolean}
+ */
+export const isEveningRatingDue = (dailyRatings, now = new Date()) => {
+  const today = toISODate(now);
+  return now.getHours() >= EVENING_RATING_HOUR && !dailyRatings.some(rating => rating.date === today);
+};
+
+const average = (ratings) => {
+  if (ratings.length === 0) return null;
+  const result = {};
+  CHECK_IN_FIELDS.forEach(field => {
+    const total = ratings.reduce((sum, rating) => sum + rating[field], 0);
+    result[field] = Math.round((total / ratings.length) * 10) / 10;
+  });
+  return result;
+};
+
+/**
+ * Average ratings for each program week: before sessions, after sessions
+ * and in the evening. Weeks without a rating of a kind have null there.
+ * @param {Object} options
+ * @param {Object[]} options.history
+ * @param {Object[]} options.dailyRatings
+ * @param {string} options.programId
+ * @param {number} options.weekCount
+ * @returns {Array<{ week: number, before: Object|null, after: Object|null, evening: Object|null }>}
+ */
+export const getWeeklyRatings = ({ history, dailyRatings, programId, weekCount }) => {
+  const weeks = [];
+  for (let week = 1; week <= weekCount; week++) {
+    const sessions = history.filter(entry => entry.programId === programId && entry.week === week);
+    weeks.push({
+      week,
+      before: average(sessions.filter(entry => entry.checkIn).map(entry => entry.checkIn)),
+      after: average(sessions.filter(entry => entry.postCheckIn).map(entry => entry.postCheckIn)),
+      evening: average(dailyRatings.filter(rating => rating.programId === programId && rating.week === week))
+    });
+  }
+  return weeks;
+};
+
+/**
+ * Before/after comparison over sessions rated on both ends.
+ * @param {Object[]} history
+ * @param {string} [programId] - Limit to one program
+ * @returns {{ sessions: number, before: Object|null, after: Object|null, change: Object|null }}
+ */
+export const getSessionRatingChange = (history, programId) => {
+  const rated = history.filter(entry =>
+    entry.checkIn && entry.postCheckIn && (!programId || entry.programId === programId));
+  const before = average(rated.map(entry => entry.checkIn));
+  const after = average(rated.map(entry => entry.postCheckIn));
+  let change = null;
+  if (before && after) {
+    change = {};
+    CHECK_IN_FIELDS.forEach(field => {
+      change[field] = Math.round((after[field] - before[field]) * 10) / 10;
+    });
+  }
+  return { sessions: rated.length, before, after, change };
+};
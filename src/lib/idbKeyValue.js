@@ -0,0 +1,38 @@
+/**
+ * Minimal promise-based key-value store on IndexedDB.
+ *
+ * Works in both the page and the service worker (which has no
+ * localStorage), e.g. for the persisted reminder schedule.
+ */
+
+const openDatabase = (dbName, storeName) => new Promise((resolve, reject) => {
+  const request = indexedDB.open(dbName, 1);
+  request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * @param {string} dbName
+ * @param {string} [storeName='keyval']
+ * @returns {{ get: (key: string) => Promise<any>, set: (key: string, value: any) => Promise<void> }}
+ */
+export const createKeyValueStore = (dbName, storeName = 'keyval') => {
+  let dbPromise = null;
+
+  const withStore = (mode, callback) => {
+    dbPromise = dbPromise || openDatabase(dbName, storeName);
+    return dbPromise.then(db => new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = callback(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    }));
+  };
+
+  return {
+    get: (key) => withStore('readonly', store => store.get(key)),
+    set: (key, value) => withStore('readwrite', store => store.put(value, key)).then(() => undefined)
+  };
+};
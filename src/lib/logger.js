@@ -0,0 +1,145 @@
+/**
+ * App log with levels and categories.
+ *
+ *   logger.info('storage', 'Loaded app state', { sessions: 42 });
+ *   logger.debug('timer', 'Timer started');
+ *
+ * Entries look like:
+ *
+ *   { at: '2024-04-05T19:34:38.000Z', level: 'info', category: 'storage', message: 'Loaded app state', data: { sessions: 42 } }
+ *
+ * Info and above go to a ring buffer of recent entries, persisted under
+ * LOG_KEY so the Diagnostics screen and diagnostic bundles can show what
+ * happened before a reload. The console gets everything in development but
+ * only warnings and errors in production builds.
+ *
+ * Debug entries are dropped unless their category is traced. Tracing is a
+ * runtime setting (see Diagnostics), kept under LOG_SETTINGS_KEY, e.g. for
+ * the session timer's per-render and per-tick traces. Traced entries are
+ * kept and printed in production too.
+ */
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+export const LOG_CATEGORIES = ['app', 'timer', 'session', 'storage', 'notifications', 'audio', 'sync', 'programs'];
+
+export const LOG_KEY = 'appLog';
+export const LOG_SETTINGS_KEY = 'logSettings';
+
+export const MAX_LOG_ENTRIES = 200;
+
+// Lowest level printed to the console
+const CONSOLE_LEVEL = import.meta.env.DEV ? 'debug' : 'warn';
+// Lowest level kept in the ring buffer, for categories not traced
+const BUFFER_LEVEL = 'info';
+// Coalesce writes of the ring buffer, which traced categories fill quickly
+const PERSIST_DELAY_MS = 1000;
+
+const readStored = (key, fallback) => {
+  try {
+    const value = JSON.parse(localStorage.getItem(key));
+    return value === null ? fallback : value;
+  } catch {
+    return fallback;
+  }
+};
+
+const storedEntries = readStored(LOG_KEY, []);
+const entries = Array.isArray(storedEntries) ? storedEntries.slice(-MAX_LOG_ENTRIES) : [];
+const storedSettings = readStored(LOG_SETTINGS_KEY, {});
+const tracedCategories = new Set(Array.isArray(storedSettings.traced) ? storedSettings.traced : []);
+let persistTimeout = null;
+
+const atLeast = (level, threshold) => LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(threshold);
+
+const persist = () => {
+  clearTimeout(persistTimeout);
+  persistTimeout = null;
+  try {
+    localStorage.setItem(LOG_KEY, JSON.stringify(entries));
+  } catch {
+    // A full storage must not break logging; the entries stay in memory
+  }
+};
+
+const schedulePersist = () => {
+  if (persistTimeout === null) persistTimeout = setTimeout(persist, PERSIST_DELAY_MS);
+};
+
+// Keep the last entries before the page goes away
+if (typeof window !== 'undefined') {
+  window.addEventListener('pagehide', () => {
+    if (persistTimeout !== null) persist();
+  });
+}
+
+// Errors don't survive JSON.stringify, so keep what a bug report needs
+const toLoggable = (data) => (data instanceof Error
+  ? { name: data.name, message: data.message, stack: data.stack }
+  : data);
+
+const write = (level, category, message, data) => {
+  const traced = tracedCategories.has(category);
+  if (level === 'debug' && !traced) return;
+
+  if (traced || atLeast(level, BUFFER_LEVEL)) {
+    entries.push({
+      at: new Date().toISOString(),
+      level,
+      category,
+      message,
+      ...(data !== undefined && { data: toLoggable(data) })
+    });
+    if (entries.length > MAX_LOG_ENTRIES) entries.shift();
+    schedulePersist();
+  }
+
+  if (traced || atLeast(level, CONSOLE_LEVEL)) {
+    const output = level === 'debug' ? console.log : console[level];
+    if (data === undefined) output(`[${category}] ${message}`);
+    else output(`[${category}] ${message}`, data);
+  }
+};
+
+export const logger = {
+  debug: (category, message, data) => write('debug', category, message, data),
+  info: (category, message, data) => write('info', category, message, data),
+  warn: (category, message, data) => write('warn', category, message, data),
+  error: (category, message, data) => write('error', category, message, data)
+};
+
+/**
+ * Whether debug entries of a category are kept, e.g. to skip building
+ * expensive trace data.
+ * @param {string} category
+ * @returns {boolean}
+ */
+export const isTracing = (category) => tracedCategories.has(category);
+
+/**
+ * Turn tracing of a category on or off; kept across reloads.
+ * @param {string} category - One of LOG_CATEGORIES
+ * @param {boolean} enabled
+ */
+export const setTracing = (category, enabled) => {
+  if (enabled) tracedCategories.add(category);
+  else tracedCategories.delete(category);
+  try {
+    localStorage.setItem(LOG_SETTINGS_KEY, JSON.stringify({ traced: [...tracedCategories] }));
+  } catch (error) {
+    write('warn', 'storage', 'Could not save log settings', error);
+  }
+};
+
+/**
+ * @returns {Object[]} Recent entries, oldest first
+ */
+export const getLogEntries = () => [...entries];
+
+/**
+ * Empty the ring buffer, e.g. before reproducing a problem.
+ */
+export const clearLog = () => {
+  entries.length = 0;
+  persist();
+};
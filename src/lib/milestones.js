@@ -0,0 +1,141 @@
+/**
+ * Weekly milestone tracking.
+ *
+ * Every program week has a milestone. The user marks it achieved, partly
+ * achieved or not achieved, with an optional note, kept in the profile per
+ * program and week:
+ *
+ *   milestones: {
+ *     'focus-flow-12-week': {
+ *       1: { status: 'achieved', note: 'Felt easier by Friday', auto: false, updatedAt: '2024-04-05T19:34:38.000Z' }
+ *     }
+ *   }
+ *
+ * A week may also declare a `milestoneCheck` the app can verify from the
+ * session history, in which case the milestone is marked achieved
+ * automatically (`auto: true`) once the history shows it:
+ *
+ *   { type: 'sessions-without-skipping', count: 3 }  completed sessions with no skipped activity
+ *   { type: 'check-ins', count: 3 }                  completed sessions started with a check-in
+ *   { type: 'no-reminders' }                         the week's minimum sessions, none started from a reminder
+ *
+ * 'no-reminders' can still fail while its week runs, so it is only checked
+ * once the week has ended.
+ */
+
+import { getMinSessions } from './weekProgression.js';
+
+export const MILESTONE_STATUS = {
+  ACHIEVED: 'achieved',
+  PARTIAL: 'partial',
+  NOT_ACHIEVED: 'not-achieved'
+};
+
+export const MAX_MILESTONE_NOTE_LENGTH = 280;
+
+/**
+ * @param {Object} milestones - userProfile.milestones
+ * @param {string} programId
+ * @param {number} week
+ * @returns {Object|null} Milestone record
+ */
+export const getMilestone = (milestones, programId, week) =>
+  (milestones && milestones[programId] && milestones[programId][week]) || null;
+
+/**
+ * Record a milestone status and note.
+ * @param {Object} milestones - userProfile.milestones
+ * @param {string} programId
+ * @param {number} week
+ * @param {Object} update
+ * @param {string} update.status - One of MILESTONE_STATUS
+ * @param {string} [update.note='']
+ * @param {boolean} [update.auto=false] - Set by auto-detection rather than the user
+ * @param {Date} [now=new Date()]
+ * @returns {Object} New milestones object
+ */
+export const setMilestone = (milestones, programId, week, { status, note = '', auto = false }, now = new Date()) => ({
+  ...milestones,
+  [programId]: {
+    ...(milestones[programId] || {}),
+    [week]: {
+      status,
+      note: note.trim().slice(0, MAX_MILESTONE_NOTE_LENGTH),
+      auto,
+      updatedAt: now.toISOString()
+    }
+  }
+});
+
+/**
+ * Achieved or partly achieved milestones count as met for week progression.
+ * @param {Object|null} record
+ * @returns {boolean}
+ */
+export const isMilestoneMet = (record) =>
+  Boolean(record) && (record.status === MILESTONE_STATUS.ACHIEVED || record.status === MILESTONE_STATUS.PARTIAL);
+
+/**
+ * Progress towards a week's milestoneCheck.
+ * @param {Object} weekData - Week from the program definition
+ * @param {Object[]} weekSessions - Session history entries of that week
+ * @returns {{ achieved: boolean, done: number, needed: number, label: string }|null} null when the week has no check
+ */
+export const detectMilestone = (weekData, weekSessions) => {
+  const check = weekData && weekData.milestoneCheck;
+  if (!check) return null;
+
+  const completed = weekSessions.filter(entry => entry.status === 'completed');
+  let done;
+  let needed;
+  let label;
+  switch (check.type) {
+    case 'sessions-without-skipping':
+      done = completed.filter(entry => !entry.activities.some(activity => activity.status === 'skipped')).length;
+      needed = check.count;
+      label = 'sessions without skipping';
+      break;
+    case 'check-ins':
+      done = completed.filter(entry => entry.checkIn).length;
+      needed = check.count;
+      label = 'completed sessions with a check-in';
+      break;
+    case 'no-reminders':
+      // A session started from a reminder means the week relied on one
+      done = weekSessions.some(entry => entry.fromReminder) ? 0 : completed.length;
+      needed = getMinSessions(weekData);
+      label = 'sessions without a reminder';
+      break;
+    default:
+      return null;
+  }
+  return { achieved: done >= needed, done: Math.min(done, needed), needed, label };
+};
+
+/**
+ * Whether a week's milestoneCheck may be marked achieved before the week
+ * ends; false when a later session could still break it.
+ * @param {Object} weekData - Week from the program definition
+ * @returns {boolean}
+ */
+export const canDetectBeforeWeekEnd = (weekData) =>
+  !(weekData && weekData.milestoneCheck && weekData.milestoneCheck.type === 'no-reminders');
+
+/**
+ * Count milestone statuses over a program's weeks.
+ * @param {Object} milestones - userProfile.milestones
+ * @param {string} programId
+ * @param {number[]} weeks
+ * @returns {{ achieved: number, partial: number, notAchieved: number, open: number }}
+ */
+export const getMilestoneSummary = (milestones, programId, weeks) => {
+  const summary = { achieved: 0, partial: 0, notAchieved: 0, open: 0 };
+  weeks.forEach(week => {
+    const record = getMilestone(milestones, programId, week);
+    if (!record) summary.open += 1;
+    else if (record.status === MILESTONE_STATUS.ACHIEVED) summary.achieved += 1;
+    else if (record.status === MILESTONE_STATUS.PARTIAL) summary.partial += 1;
+    else summary.notAchieved += 1;
+  });
+  return summary;
+};
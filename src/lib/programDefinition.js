@@ -0,0 +1,231 @@
+/**
+ * Program definition loading and validation.
+ *
+ * A program is a standalone JSON document (see src/programs/) describing the
+ * weekly curriculum. It is validated once at startup so that a broken
+ * curriculum file surfaces as a readable list of problems instead of a
+ * crash deep inside a screen component.
+ */
+
+export const PROGRAM_SCHEMA_VERSION = 1;
+
+export const ACTIVITY_TYPES = ['movement', 'mindfulness', 'cognitive', 'review'];
+
+// Milestones the app can verify from session history (see milestones.js)
+export const MILESTONE_CHECK_TYPES = ['sessions-without-skipping', 'check-ins', 'no-reminders'];
+
+// Program ids prefix session keys, so they must not contain ':' or spaces
+const PROGRAM_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]*$/;
+
+export class ProgramValidationError extends Error {
+  constructor(problems) {
+    super(`Invalid program definition:\n- ${problems.join('\n- ')}`);
+    this.name = 'ProgramValidationError';
+    this.problems = problems;
+  }
+}
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+const describe = (value) => (typeof value === 'string' ? `"${value}"` : JSON.stringify(value));
+
+// Durations are whole or fractional minutes; an optional minDuration turns
+// the value into a range such as 15-20 minutes.
+const checkDuration = (item, path, problems) => {
+  if (typeof item.duration !== 'number' || !isFinite(item.duration) || item.duration <= 0) {
+    problems.push(`${path}.duration: expected a positive number of minutes, got ${describe(item.duration)}`);
+  }
+  if (item.minDuration !== undefined) {
+    if (typeof item.minDuration !== 'number' || !isFinite(item.minDuration) || item.minDuration <= 0) {
+      problems.push(`${path}.minDuration: expected a positive number of minutes, got ${describe(item.minDuration)}`);
+    } else if (typeof item.duration === 'number' && item.minDuration > item.duration) {
+      problems.push(`${path}.minDuration: ${item.minDuration} is greater than duration ${item.duration}`);
+    }
+  }
+};
+
+const checkActivity = (activity, path, problems) => {
+  if (!isPlainObject(activity)) {
+    problems.push(`${path}: expected an activity object`);
+    return;
+  }
+  if (!ACTIVITY_TYPES.includes(activity.type)) {
+    problems.push(`${path}.type: ${describe(activity.type)} is not one of ${ACTIVITY_TYPES.join(', ')}`);
+  }
+  if (!isNonEmptyString(activity.name)) {
+    problems.push(`${path}.name: expected a non-empty string`);
+  }
+  if (activity.description !== undefined && typeof activity.description !== 'string') {
+    problems.push(`${path}.description: expected a string`);
+  }
+  checkDuration(activity, path, problems);
+};
+
+const checkSession = (session, path, problems) => {
+  if (!isPlainObject(session)) {
+    problems.push(`${path}: expected a session object`);
+    return;
+  }
+  checkDuration(session, path, problems);
+  if (!Array.isArray(session.activities) || session.activities.length === 0) {
+    problems.push(`${path}.activities: expected at least one activity`);
+    return;
+  }
+  session.activities.forEach((activity, index) => checkActivity(activity, `${path}.activities[${index}]`, problems));
+};
+
+const checkMilestoneCheck = (check, path, problems) => {
+  if (!isPlainObject(check)) {
+    problems.push(`${path}: expected an object with a type`);
+    return;
+  }
+  if (!MILESTONE_CHECK_TYPES.includes(check.type)) {
+    problems.push(`${path}.type: ${describe(check.type)} is not one of ${MILESTONE_CHECK_TYPES.join(', ')}`);
+  } else if (check.type !== 'no-reminders' && (!Number.isInteger(check.count) || check.count < 1)) {
+    problems.push(`${path}.count: expected a positive integer, got ${describe(check.count)}`);
+  }
+};
+
+const checkWeek = (week, path, problems) => {
+  if (!isPlainObject(week)) {
+    problems.push(`${path}: expected a week object`);
+    return;
+  }
+  ['title', 'phase', 'milestone'].forEach(field => {
+    if (!isNonEmptyString(week[field])) {
+      problems.push(`${path}.${field}: expected a non-empty string`);
+    }
+  });
+  if (week.phaseColor !== undefined && typeof week.phaseColor !== 'string') {
+    problems.push(`${path}.phaseColor: expected a CSS class string`);
+  }
+  if (week.minSessions !== undefined && (!Number.isInteger(week.minSessions) || week.minSessions < 1)) {
+    problems.push(`${path}.minSessions: expected a positive integer, got ${describe(week.minSessions)}`);
+  }
+  if (week.milestoneCheck !== undefined) {
+    checkMilestoneCheck(week.milestoneCheck, `${path}.milestoneCheck`, problems);
+  }
+  if (!isPlainObject(week.sessions) || Object.keys(week.sessions).length === 0) {
+    problems.push(`${path}.sessions: expected at least one session type`);
+    return;
+  }
+  Object.entries(week.sessions).forEach(([sessionType, session]) =>
+    checkSession(session, `${path}.sessions["${sessionType}"]`, problems)
+  );
+};
+
+/**
+ * Collect every problem in a raw program definition.
+ * @param {unknown} raw - Parsed JSON document
+ * @returns {string[]} Human-readable problems, empty when the program is valid
+ */
+export const validateProgramDefinition = (raw) => {
+  const problems = [];
+
+  if (!isPlainObject(raw)) {
+    return ['Program definition must be a JSON object'];
+  }
+
+  if (raw.schemaVersion === undefined) {
+    problems.push('schemaVersion: missing');
+  } else if (raw.schemaVersion !== PROGRAM_SCHEMA_VERSION) {
+    problems.push(`schemaVersion: unsupported version ${describe(raw.schemaVersion)} (expected ${PROGRAM_SCHEMA_VERSION})`);
+  }
+  if (!isNonEmptyString(raw.id)) {
+    problems.push('id: expected a non-empty string');
+  } else if (!PROGRAM_ID_PATTERN.test(raw.id)) {
+    problems.push(`id: ${describe(raw.id)} may only contain letters, digits, "-" and "_"`);
+  }
+  if (!isNonEmptyString(raw.title)) {
+    problems.push('title: expected a non-empty string');
+  }
+
+  if (!isPlainObject(raw.weeks) || Object.keys(raw.weeks).length === 0) {
+    problems.push('weeks: expected an object keyed by week number');
+    return problems;
+  }
+
+  const weekNumbers = [];
+  Object.keys(raw.weeks).forEach(key => {
+    const weekNumber = Number(key);
+    if (!Number.isInteger(weekNumber) || weekNumber < 1 || String(weekNumber) !== key) {
+      problems.push(`weeks["${key}"]: week keys must be positive integers`);
+    } else {
+      weekNumbers.push(weekNumber);
+    }
+  });
+
+  const expectedWeeks = raw.durationWeeks !== undefined ? raw.durationWeeks : Math.max(0, ...weekNumbers);
+  if (!Number.isInteger(expectedWeeks) || expectedWeeks < 1) {
+    problems.push(`durationWeeks: expected a positive integer, got ${describe(raw.durationWeeks)}`);
+  } else {
+    for (let week = 1; week <= expectedWeeks; week++) {
+      if (!weekNumbers.includes(week)) {
+        problems.push(`weeks: missing week ${week} of ${expectedWeeks}`);
+      }
+    }
+    weekNumbers
+      .filter(week => week > expectedWeeks)
+      .forEach(week => problems.push(`weeks["${week}"]: beyond durationWeeks (${expectedWeeks})`));
+  }
+
+  weekNumbers.forEach(week => checkWeek(raw.weeks[week], `weeks["${week}"]`, problems));
+
+  return problems;
+};
+
+/**
+ * Validate a raw program definition and return it in the shape the app uses.
+ * @param {unknown} raw - Parsed JSON document
+ * @param {Object} [options]
+ * @param {'built-in'|'imported'} [options.source='built-in'] - Where the definition came from
+ * @returns {{ id: string, title: string, version: string|null, source: string, weekCount: number, weeks: Object<number, Object> }}
+ * @throws {ProgramValidationError} When the definition has any problems
+ */
+export const loadProgramDefinition = (raw, { source = 'built-in' } = {}) => {
+  const problems = validateProgramDefinition(raw);
+  if (problems.length > 0) {
+    throw new ProgramValidationError(problems);
+  }
+
+  const weeks = {};
+  Object.keys(raw.weeks).forEach(key => {
+    weeks[Number(key)] = raw.weeks[key];
+  });
+
+  return {
+    schemaVersion: raw.schemaVersion,
+    id: raw.id,
+    title: raw.title,
+    description: raw.description || '',
+    version: raw.version || null,
+    source,
+    weekCount: Object.keys(weeks).length,
+    weeks
+  };
+};
+
+/**
+ * Progress through the phase containing the given week, based on how many
+ * consecutive weeks of the program share that phase name.
+ * @param {{ weeks: Object<number, Object>, weekCount: number }} program
+ * @param {number} week
+ * @returns {{ phase: string, progress: number }}
+ */
+export const getPhaseProgress = (program, week) => {
+  const weekData = program.weeks[week];
+  if (!weekData) return { phase: '', progress: 0 };
+
+  let firstWeek = week;
+  while (firstWeek > 1 && program.weeks[firstWeek - 1].phase === weekData.phase) firstWeek--;
+  let lastWeek = week;
+  while (lastWeek < program.weekCount && program.weeks[lastWeek + 1].phase === weekData.phase) lastWeek++;
+
+  return {
+    phase: weekData.phase,
+    progress: ((week - firstWeek + 1) / (lastWeek - firstWeek + 1)) * 100
+  };
+};
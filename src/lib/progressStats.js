@@ -0,0 +1,136 @@
+/**
+ * Progress analytics from session history timestamps: streaks, sessions
+ * done against the plan for each week, a month heatmap and time spent per
+ * activity type.
+ *
+ * Completed and partial sessions both count as practice for streaks and
+ * the heatmap; weekly adherence counts completed sessions, like the weekly
+ * quotas on the home screen.
+ */
+
+import { toISODate, parseISODate, shiftISODate, daysBetween, getMinSessions } from './weekProgression.js';
+import { getWeeklyQuotas } from './weeklyQuota.js';
+import { filterSessions } from './sessionHistory.js';
+
+export const MODALITIES = ['movement', 'mindfulness', 'cognitive'];
+
+const isPractice = (entry) => entry.status === 'completed' || entry.status === 'partial';
+
+/**
+ * Practice sessions per local calendar day.
+ * @param {Object[]} history
+ * @returns {Map<string, number>} ISO date -> session count
+ */
+export const getPracticeDays = (history) => {
+  const days = new Map();
+  history.filter(isPractice).forEach(entry => {
+    const date = toISODate(new Date(entry.startedAt));
+    days.set(date, (days.get(date) || 0) + 1);
+  });
+  return days;
+};
+
+/**
+ * Consecutive practice days. Rest days without a session neither break nor
+ * extend a streak, and today still counts as open until it ends.
+ * @param {Object} options
+ * @param {Object[]} options.history
+ * @param {number[]} [options.restDays=[]] - Date#getDay() numbers
+ * @param {string} options.today - ISO date
+ * @returns {{ current: number, longest: number }}
+ */
+export const getStreaks = ({ history, restDays = [], today }) => {
+  const days = getPracticeDays(history);
+  const dates = [...days.keys()].filter(date => date <= today).sort();
+  if (dates.length === 0) return { current: 0, longest: 0 };
+
+  let run = 0;
+  let longest = 0;
+  const dayCount = daysBetween(dates[0], today);
+  for (let offset = 0; offset <= dayCount; offset++) {
+    const date = shiftISODate(dates[0], offset);
+    if (days.has(date)) {
+      run += 1;
+      longest = Math.max(longest, run);
+    } else if (date !== today && !restDays.includes(parseISODate(date).getDay())) {
+      run = 0;
+    }
+  }
+  return { current: run, longest };
+};
+
+/**
+ * Completed against planned sessions for each week up to the current one.
+ * Planned is the sum of the weekly quotas, or the week's minimum when its
+ * session types name no days.
+ * @param {Object} options
+ * @param {Object[]} options.history
+ * @param {string} options.programId
+ * @param {Object} options.weeks - Program weeks by number
+ * @param {number} options.currentWeek
+ * @param {number[]} [options.restDays=[]]
+ * @param {Object<string, number[]>} [options.customDays={}]
+ * @returns {Array<{ week: number, done: number, planned: number }>}
+ */
+export const getWeeklyAdherence = ({ history, programId, weeks, currentWeek, restDays = [], customDays = {} }) => {
+  return Object.keys(weeks)
+    .map(Number)
+    .filter(week => week <= currentWeek)
+    .sort((a, b) => a - b)
+    .map(week => {
+      const weekSessions = filterSessions(history, { programId, week });
+      const quotas = getWeeklyQuotas({ weekData: weeks[week], weekSessions, restDays, customDays });
+      const quotaTotal = quotas.reduce((sum, quota) => sum + (quota.quota || 0), 0);
+      return {
+        week,
+        done: weekSessions.filter(entry => entry.status === 'completed').length,
+        planned: quotaTotal > 0 ? quotaTotal : getMinSessions(weeks[week])
+      };
+    });
+};
+
+/**
+ * Calendar grid of a month, Sunday first, padded with nulls.
+ * @param {Object} options
+ * @param {Object[]} options.history
+ * @param {number} options.year
+ * @param {number} options.month - 0-11
+ * @returns {Array<Array<{ date: string, day: number, count: number }|null>>} Rows of 7 cells
+ */
+export const getMonthHeatmap = ({ history, year, month }) => {
+  const days = getPracticeDays(history);
+  const first = new Date(year, month, 1);
+  const daysInMonth = new Date(year, month + 1, 0).getDate();
+
+  const cells = [];
+  for (let i = 0; i < first.getDay(); i++) cells.push(null);
+  for (let day = 1; day <= daysInMonth; day++) {
+    const date = toISODate(new Date(year, month, day));
+    cells.push({ date, day, count: days.get(date) || 0 });
+  }
+  while (cells.length % 7 !== 0) cells.push(null);
+
+  const rows = [];
+  for (let i = 0; i < cells.length; i += 7) rows.push(cells.slice(i, i + 7));
+  return rows;
+};
+
+/**
+ * Time actually spent on activities, by type.
+ * @param {Object[]} history
+ * @returns {Array<{ type: string, seconds: number }>} MODALITIES first, then 'other' when used
+ */
+export const getModalityTime = (history) => {
+  const totals = { other: 0 };
+  MODALITIES.forEach(type => { totals[type] = 0; });
+  history.forEach(entry => {
+    (entry.activities || []).forEach(activity => {
+      const type = MODALITIES.includes(activity.type) ? activity.type : 'other';
+      totals[type] += activity.actualSeconds || 0;
+    });
+  });
+
+  const result = MODALITIES.map(type => ({ type, seconds: totals[type] }));
+  if (totals.other > 0) result.push({ type: 'other', seconds: totals.other });
+  return result;
+};
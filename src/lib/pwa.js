@@ -0,0 +1,123 @@
+/**
+ * Service worker registration, app updates and the install prompt.
+ *
+ * A new deployment installs a new service worker that waits instead of
+ * taking over; the page is told an update is available and applies it when
+ * the user chooses to reload (see src/sw.js).
+ *
+ * Browsers that support installing web apps fire `beforeinstallprompt`
+ * once, possibly before the app has mounted, so the event is captured at
+ * start-up and kept until the user installs from the app.
+ */
+
+import { registerSW } from 'virtual:pwa-register';
+import { logger } from './logger.js';
+
+// Long-open pages look for a new deployment this often
+const UPDATE_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+let state = {
+  updateAvailable: false,
+  offlineReady: false,
+  installAvailable: false,
+  installed: false
+};
+let updateServiceWorker = null;
+let deferredInstallPrompt = null;
+const listeners = new Set();
+
+const setState = (changes) => {
+  state = { ...state, ...changes };
+  listeners.forEach(listener => listener(state));
+};
+
+/**
+ * Whether the app runs as an installed app rather than in a browser tab.
+ * @returns {boolean}
+ */
+export const isStandalone = () =>
+  (typeof window.matchMedia === 'function' && window.matchMedia('(display-mode: standalone)').matches) ||
+  window.navigator.standalone === true;
+
+/**
+ * Register the service worker and start listening for the install prompt.
+ * Called once from main.jsx.
+ */
+export const initPwa = () => {
+  setState({ installed: isStandalone() });
+
+  window.addEventListener('beforeinstallprompt', (event) => {
+    // Keep the browser's own prompt back so the app can offer it in context
+    event.preventDefault();
+    deferredInstallPrompt = event;
+    setState({ installAvailable: true });
+  });
+  window.addEventListener('appinstalled', () => {
+    deferredInstallPrompt = null;
+    setState({ installAvailable: false, installed: true });
+  });
+
+  if (!('serviceWorker' in navigator)) return;
+  updateServiceWorker = registerSW({
+    immediate: true,
+    onNeedRefresh() {
+      setState({ updateAvailable: true });
+    },
+    onOfflineReady() {
+      setState({ offlineReady: true });
+    },
+    onRegisteredSW(swUrl, registration) {
+      if (!registration) return;
+      setInterval(() => {
+        if (navigator.onLine) {
+          registration.update().catch(error => logger.warn('app', 'Update check failed', error));
+        }
+      }, UPDATE_CHECK_INTERVAL_MS);
+    },
+    onRegisterError(error) {
+      logger.error('app', 'Service worker registration failed', error);
+    }
+  });
+};
+
+/**
+ * @returns {{ updateAvailable: boolean, offlineReady: boolean, installAvailable: boolean, installed: boolean }}
+ */
+export const getPwaState = () => state;
+
+/**
+ * @param {(state: Object) => void} listener - Called with the new state on every change
+ * @returns {() => void} Unsubscribe
+ */
+export const onPwaStateChange = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Activate the waiting service worker; the page reloads once it takes over.
+ * @returns {Promise<void>}
+ */
+export const applyUpdate = async () => {
+  if (updateServiceWorker) await updateServiceWorker(true);
+};
+
+/**
+ * Show the browser's install dialog.
+ * @returns {Promise<boolean>} Whether the user installed the app
+ */
+export const promptInstall = async () => {
+  if (!deferredInstallPrompt) return false;
+  const promptEvent = deferredInstallPrompt;
+  // The event can only be used once
+  deferredInstallPrompt = null;
+  setState({ installAvailable: false });
+  promptEvent.prompt();
+  const { outcome } = await promptEvent.userChoice;
+  return outcome === 'accepted';
+};
+
+/**
+ * Hide the "ready to work offline" notice.
+ */
+export const dismissOfflineReady = () => setState({ offlineReady: false });
@@ -0,0 +1,189 @@
+/**
+ * Reminder schedule calculation, shared by the page and the service worker.
+ *
+ * A schedule config is what the user set up:
+ *   {
+ *     enabled: true,
+ *     reminders: [
+ *       { time: '09:00', days: [1, 3, 5], kind: 'session' },
+ *       { time: '14:30', days: [0, 1, 2, 3, 4, 5, 6], kind: 'nudge' }
+ *     ],
+ *     quietHours: { start: '22:00', end: '07:00' } | null,
+ *     restDays: [0],
+ *     doneDate: '2024-04-05' | null   // today's session is already done
+ *   }
+ * where days are Date#getDay() numbers (0 = Sunday).
+ *
+ * Runtime state comes from notification actions:
+ *   { snoozedUntil: 1712345678000 | null, snoozedKind: 'session' | null, skipDate: '2024-04-05' | null }
+ */
+
+import { toISODate } from './weekProgression.js';
+
+export const REMINDER_TAG = 'daily-reminder';
+
+export const SNOOZE_MINUTES = 30;
+
+// A reminder found overdue (e.g. the browser was closed at reminder time) is
+// still shown within this window; older ones are dropped instead of nagging.
+export const MISSED_REMINDER_GRACE_MS = 60 * 60 * 1000;
+
+export const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+
+/**
+ * Parse "HH:MM".
+ * @param {string} time
+ * @returns {{ hours: number, minutes: number }|null}
+ */
+export const parseReminderTime = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  if (isNaN(hours) || isNaN(minutes) || hours < 0 || hours > 23 || minutes < 0 || minutes > 59) {
+    return null;
+  }
+  return { hours, minutes };
+};
+
+export const REMINDER_KINDS = {
+  SESSION: 'session',
+  NUDGE: 'nudge'
+};
+
+const REMINDER_CONTENT = {
+  [REMINDER_KINDS.SESSION]: {
+    title: 'Focus & Flow Reminder',
+    body: 'Time for your daily session! Your brain is ready for some dopamine boosting exercise and mindfulness.'
+  },
+  [REMINDER_KINDS.NUDGE]: {
+    title: 'Focus Reset',
+    body: 'Take two minutes: stand up, stretch and take a few slow breaths before getting back to it.'
+  }
+};
+
+/**
+ * Notification title and body for a kind of reminder.
+ * @param {string} kind - One of REMINDER_KINDS
+ * @returns {{ title: string, body: string }}
+ */
+export const getReminderContent = (kind) => REMINDER_CONTENT[kind] || REMINDER_CONTENT[REMINDER_KINDS.SESSION];
+
+/**
+ * Whether a time falls within quiet hours. Ranges may wrap past midnight
+ * (22:00-07:00); the end time itself is outside quiet hours.
+ * @param {Date} date
+ * @param {{ start: string, end: string }|null} quietHours
+ * @returns {boolean}
+ */
+export const isWithinQuietHours = (date, quietHours) => {
+  if (!quietHours) return false;
+  const start = parseReminderTime(quietHours.start);
+  const end = parseReminderTime(quietHours.end);
+  if (!start || !end) return false;
+
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const startMinutes = start.hours * 60 + start.minutes;
+  const endMinutes = end.hours * 60 + end.minutes;
+  if (startMinutes === endMinutes) return false;
+  return startMinutes < endMinutes
+    ? minutes >= startMinutes && minutes < endMinutes
+    : minutes >= startMinutes || minutes < endMinutes;
+};
+
+// Rest days, a skipped day and a day whose session is done get no reminders
+const isReminderDay = (date, config, state) => {
+  const isoDate = toISODate(date);
+  return !(config.restDays || []).includes(date.getDay()) &&
+    isoDate !== state.skipDate &&
+    isoDate !== config.doneDate;
+};
+
+/**
+ * The next reminder after `now`.
+ * @param {Object} config - Schedule config
+ * @param {Object} [state] - Runtime state (snooze/skip)
+ * @param {number} [now=Date.now()]
+ * @returns {{ at: number, kind: string }|null} null when nothing is scheduled
+ */
+export const getNextReminder = (config, state = {}, now = Date.now()) => {
+  if (!config || !config.enabled) return null;
+
+  const isAllowed = (timestamp) => {
+    const date = new Date(timestamp);
+    return isReminderDay(date, config, state) && !isWithinQuietHours(date, config.quietHours);
+  };
+
+  const candidates = [];
+  if (state.snoozedUntil && state.snoozedUntil > now && isAllowed(state.snoozedUntil)) {
+    candidates.push({ at: state.snoozedUntil, kind: state.snoozedKind || REMINDER_KINDS.SESSION });
+  }
+
+  // Look one week ahead, working on calendar dates so DST changes are handled by Date
+  for (let dayOffset = 0; dayOffset <= 7; dayOffset++) {
+    const day = new Date(now);
+    day.setDate(day.getDate() + dayOffset);
+
+    (config.reminders || []).forEach(reminder => {
+      const time = parseReminderTime(reminder.time);
+      const days = reminder.days || ALL_DAYS;
+      if (!time || !days.includes(day.getDay())) return;
+
+      const scheduled = new Date(day);
+      scheduled.setHours(time.hours, time.minutes, 0, 0);
+      if (scheduled.getTime() > now && isAllowed(scheduled.getTime())) {
+        candidates.push({ at: scheduled.getTime(), kind: reminder.kind || REMINDER_KINDS.SESSION });
+      }
+    });
+  }
+
+  if (candidates.length === 0) return null;
+  return candidates.reduce((next, candidate) => (candidate.at < next.at ? candidate : next));
+};
+
+/**
+ * Reminder preferences with the same time on every weekday.
+ *
+ *   {
+ *     weekdayTimes: ['09:00', ...],   // indexed by Date#getDay(), '' = no reminder
+ *     nudges: ['14:30'],              // focus reset nudges, every day
+ *     quietHours: { enabled: false, start: '22:00', end: '07:00' }
+ *   }
+ * @param {string} [time='09:00']
+ * @returns {Object}
+ */
+export const createReminderSchedule = (time = '09:00') => ({
+  weekdayTimes: ALL_DAYS.map(() => time),
+  nudges: [],
+  quietHours: { enabled: false, start: '22:00', end: '07:00' }
+});
+
+/**
+ * Turn the user's reminder preferences into a schedule config, grouping
+ * weekdays that share a time into one reminder.
+ * @param {Object} schedule - Reminder preferences (see createReminderSchedule)
+ * @param {Object} options
+ * @param {boolean} options.enabled
+ * @param {number[]} [options.restDays=[]]
+ * @param {string|null} [options.doneDate=null] - ISO date whose session is done
+ * @returns {Object} Schedule config
+ */
+export const buildReminderConfig = (schedule, { enabled, restDays = [], doneDate = null }) => {
+  const daysByTime = {};
+  schedule.weekdayTimes.forEach((time, day) => {
+    if (!parseReminderTime(time)) return;
+    daysByTime[time] = [...(daysByTime[time] || []), day];
+  });
+
+  return {
+    enabled,
+    reminders: [
+      ...Object.entries(daysByTime).map(([time, days]) => ({ time, days, kind: REMINDER_KINDS.SESSION })),
+      ...schedule.nudges
+        .filter(time => parseReminderTime(time))
+        .map(time => ({ time, days: ALL_DAYS, kind: REMINDER_KINDS.NUDGE }))
+    ],
+    quietHours: schedule.quietHours.enabled
+      ? { start: schedule.quietHours.start, end: schedule.quietHours.end }
+      : null,
+    restDays,
+    doneDate
+  };
+};
@@ -0,0 +1,74 @@
+/**
+ * Page-side access to the reminder service worker (src/sw.js).
+ */
+
+import { logger } from './logger.js';
+
+const hasServiceWorker = () => typeof navigator !== 'undefined' && 'serviceWorker' in navigator;
+
+/**
+ * Whether reminders can be scheduled in a service worker on this browser.
+ * @returns {boolean}
+ */
+export const supportsBackgroundReminders = () => hasServiceWorker() && 'showNotification' in ServiceWorkerRegistration.prototype;
+
+const postToWorker = async (message) => {
+  const registration = await navigator.serviceWorker.ready;
+  if (registration.active) {
+    registration.active.postMessage(message);
+  }
+  return registration;
+};
+
+/**
+ * Send the user's reminder schedule config to the service worker.
+ * @param {Object} config - Schedule config (see reminderSchedule.js)
+ * @returns {Promise<void>}
+ */
+export const syncReminderSchedule = async (config) => {
+  const registration = await postToWorker({ type: 'SCHEDULE_REMINDERS', config });
+
+  // Periodic sync lets the worker check for due reminders while the app is
+  // closed (installed PWAs in Chromium); elsewhere this quietly does nothing.
+  if (config.enabled && registration.periodicSync) {
+    try {
+      await registration.periodicSync.register('reminder-check', { minInterval: 15 * 60 * 1000 });
+    } catch (error) {
+      logger.warn('notifications', 'Periodic reminder check not available', error);
+    }
+  }
+};
+
+/**
+ * Show a notification through the service worker when possible, since
+ * `new Notification()` throws on Android Chrome.
+ * @param {string} title
+ * @param {NotificationOptions} options
+ * @returns {Promise<void>}
+ */
+export const showAppNotification = async (title, options) => {
+  if (supportsBackgroundReminders()) {
+    const registration = await navigator.serviceWorker.ready;
+    await registration.showNotification(title, options);
+    return;
+  }
+  new Notification(title, options);
+};
+
+/**
+ * Listen for messages from the reminder service worker.
+ * @param {Object} handlers
+ * @param {() => void} [handlers.onStartSession] - A reminder was tapped while the app was open
+ * @param {(nextAt: number|null, kind: string|null) => void} [handlers.onScheduled] - The next reminder changed
+ * @returns {() => void} Unsubscribe
+ */
+export const onReminderMessage = ({ onStartSession, onScheduled }) => {
+  if (!hasServiceWorker()) return () => {};
+  const handleMessage = (event) => {
+    const message = event.data || {};
+    if (message.type === 'START_SESSION' && onStartSession) onStartSession();
+    if (message.type === 'REMINDER_SCHEDULED' && onScheduled) onScheduled(message.nextAt, message.kind);
+  };
+  navigator.serviceWorker.addEventListener('message', handleMessage);
+  return () => navigator.serviceWorker.removeEventListener('message', handleMessage);
+};
@@ -0,0 +1,60 @@
+/**
+ * Hash routes for the app's screens, so reloads, the browser back button
+ * and links (e.g. from notifications) land on a specific screen:
+ *
+ *   #/                       home
+ *   #/checkin                pre-session check-in
+ *   #/session                the running session
+ *   #/complete               session complete
+ *   #/progress               progress overview
+ *   #/week/5                 one program week
+ *   #/profile                profile
+ *   #/settings/accessibility settings, on a category (general when left out)
+ *   #/diagnostics            diagnostics, not linked from the menus
+ *
+ * Settings open over whichever screen was showing. Their route names only the
+ * category: the screen underneath stays as it was, or is Home on a fresh load.
+ */
+
+export const SCREENS = ['home', 'checkin', 'session', 'complete', 'progress', 'week', 'profile', 'diagnostics'];
+
+export const SETTINGS_CATEGORIES = ['general', 'program', 'notifications', 'exercise', 'accessibility'];
+
+export const HOME_ROUTE = { screen: 'home', week: null, settingsCategory: null };
+
+/**
+ * @param {string} hash - location.hash
+ * @returns {{ screen: string, week: number|null, settingsCategory: string|null }} Home for unknown or malformed routes
+ */
+export const parseRoute = (hash) => {
+  let parts;
+  try {
+    parts = hash.replace(/^#\/?/, '').split('/').filter(Boolean).map(decodeURIComponent);
+  } catch {
+    // Malformed escapes, e.g. '#/%E0'
+    return HOME_ROUTE;
+  }
+  const [screen, param] = parts;
+
+  if (screen === 'settings') {
+    return { ...HOME_ROUTE, settingsCategory: SETTINGS_CATEGORIES.includes(param) ? param : SETTINGS_CATEGORIES[0] };
+  }
+  if (screen === 'week') {
+    const week = Number(param);
+    return Number.isInteger(week) && week > 0 ? { ...HOME_ROUTE, screen, week } : HOME_ROUTE;
+  }
+  return SCREENS.includes(screen) ? { ...HOME_ROUTE, screen } : HOME_ROUTE;
+};
+
+/**
+ * @param {Object} route
+ * @param {string} route.screen
+ * @param {number|null} [route.week]
+ * @param {string|null} [route.settingsCategory] - Settings are open when set
+ * @returns {string} Hash, e.g. '#/week/5'
+ */
+export const formatRoute = ({ screen, week = null, settingsCategory = null }) => {
+  if (settingsCategory) return `#/settings/${settingsCategory}`;
+  if (screen === 'week' && week) return `#/week/${week}`;
+  return screen === 'home' ? '#/' : `#/${screen}`;
+};
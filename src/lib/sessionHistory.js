@@ -0,0 +1,113 @@
+/**
+ * Structured session history.
+ *
+ * Each finished session is stored as one entry:
+ *
+ *   {
+ *     id: 'session_1712345678000_k3j2h1g0f',
+ *     programId: 'focus-flow-12-week',
+ *     week: 3,
+ *     sessionType: 'Mon/Wed/Fri',
+ *     startedAt: '2024-04-05T19:34:38.000Z',
+ *     endedAt: '2024-04-05T19:56:02.000Z',
+ *     status: 'completed',
+ *     checkIn: { energy: 7, mood: 6, focus: 4, recordedAt },   // when the user checked in (checkIn.js)
+ *     postCheckIn: { energy: 8, mood: 7, focus: 7, recordedAt }, // when the user rated themselves afterwards
+ *     fromReminder: true,                                        // when started from a reminder notification
+ *     activities: [
+ *       { name, type, plannedMinutes: 8, actualSeconds: 472, status: 'completed' | 'skipped' | 'cut-short' }
+ *     ]
+ *   }
+ *
+ * Earlier versions only kept opaque keys such as "week3-Mon/Wed/Fri-1712345678000"
+ * in a `completedSessions` set; those are migrated into entries without
+ * activity details (`migrated: true`).
+ */
+
+import { logger } from './logger.js';
+
+export const ACTIVITY_STATUS = {
+  COMPLETED: 'completed',
+  SKIPPED: 'skipped',
+  CUT_SHORT: 'cut-short'
+};
+
+// "<programId>:week<n>-<sessionType>-<timestamp>", the program prefix being optional
+const LEGACY_KEY_PATTERN = /^(?:([^:]+):)?week(\d+)-(.+)-(\d+)$/;
+
+export const createSessionId = (now = Date.now()) => {
+  return 'session_' + now + '_' + Math.random().toString(36).substr(2, 9);
+};
+
+/**
+ * Status of an activity from how long its timer actually ran.
+ * @param {Object} options
+ * @param {number} options.actualSeconds - Time the activity timer was running
+ * @param {boolean} options.timerFinished - Whether the timer ran to zero
+ * @returns {string} One of ACTIVITY_STATUS
+ */
+export const getActivityStatus = ({ actualSeconds, timerFinished }) => {
+  if (timerFinished) return ACTIVITY_STATUS.COMPLETED;
+  return actualSeconds > 0 ? ACTIVITY_STATUS.CUT_SHORT : ACTIVITY_STATUS.SKIPPED;
+};
+
+/**
+ * Convert a legacy completedSessions key into a history entry.
+ * @param {string} key
+ * @param {string} defaultProgramId - Program for keys recorded before programs had ids
+ * @returns {Object|null} Entry, or null when the key cannot be parsed
+ */
+export const parseLegacySessionKey = (key, defaultProgramId) => {
+  const match = typeof key === 'string' && key.match(LEGACY_KEY_PATTERN);
+  if (!match) return null;
+
+  const timestamp = Number(match[4]);
+  const date = new Date(timestamp);
+  if (isNaN(date.getTime())) return null;
+
+  return {
+    id: `session_${timestamp}_legacy`,
+    programId: match[1] || defaultProgramId,
+    week: Number(match[2]),
+    sessionType: match[3],
+    // Only the completion time was recorded
+    startedAt: date.toISOString(),
+    endedAt: date.toISOString(),
+    status: 'completed',
+    activities: [],
+    migrated: true,
+    legacyKey: key
+  };
+};
+
+/**
+ * Migrate legacy completedSessions keys, dropping keys that cannot be parsed.
+ * @param {string[]} keys
+ * @param {string} defaultProgramId
+ * @returns {Object[]} Entries ordered by start time
+ */
+export const migrateCompletedSessions = (keys, defaultProgramId) => {
+  return keys
+    .map(key => {
+      const entry = parseLegacySessionKey(key, defaultProgramId);
+      if (!entry) logger.warn('storage', 'Dropping unrecognised session key during migration', key);
+      return entry;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+};
+
+/**
+ * Sessions matching every given criterion.
+ * @param {Object[]} history
+ * @param {Object} [criteria]
+ * @param {string} [criteria.programId]
+ * @param {number} [criteria.week]
+ * @returns {Object[]}
+ */
+export const filterSessions = (history, { programId, week } = {}) => {
+  return history.filter(entry =>
+    (programId === undefined || entry.programId === programId) &&
+    (week === undefined || entry.week === week)
+  );
+};
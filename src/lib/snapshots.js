@@ -0,0 +1,75 @@
+/**
+ * Automatic snapshots taken before destructive changes (resets, replacing
+ * data from a backup) so they can be undone.
+ *
+ * Snapshots are kept in the snapshots storage collection, each holding a
+ * backup document (see backup.js) so older snapshots are migrated like any
+ * backup when restored:
+ *
+ *   { id: 'snapshot_1712345678000', createdAt: '2024-04-05T19:34:38.000Z', reason: 'Before reset', backup }
+ *
+ * After a reset, RESET_UNDO_KEY points at the snapshot to restore while the
+ * undo offer lasts: { snapshotId, message, expiresAt }.
+ */
+
+import { ACTIVE_SESSION_KEY } from './activeSession.js';
+import { CRASH_REPORTS_KEY } from './crashReport.js';
+import { LOG_KEY } from './logger.js';
+import { COLLECTIONS } from './storage.js';
+import { SYNC_STATE_KEY } from './sync.js';
+
+export const RESET_UNDO_KEY = 'resetUndo';
+
+export const MAX_SNAPSHOTS = 5;
+
+export const UNDO_WINDOW_MS = 2 * 60 * 1000;
+
+// Keys the app writes to storage; a reset removes only these and leaves other
+// data on the origin alone. Snapshots are kept so the reset can be undone.
+export const APP_STORAGE_KEYS = ['userProfile', 'importedPrograms', SYNC_STATE_KEY];
+
+// Keys the app writes directly to localStorage
+export const APP_LOCAL_STORAGE_KEYS = [
+  ACTIVE_SESSION_KEY,
+  CRASH_REPORTS_KEY,
+  LOG_KEY,
+  // Written by earlier versions
+  'completedSessions',
+  'nextNotificationTime'
+];
+
+/**
+ * @param {Object} backup - Backup document of the current state
+ * @param {string} reason - Shown in the snapshot list
+ * @param {Date} [now=new Date()]
+ * @returns {Object} Snapshot
+ */
+export const createSnapshot = (backup, reason, now = new Date()) => ({
+  id: `snapshot_${now.getTime()}`,
+  createdAt: now.toISOString(),
+  reason,
+  backup
+});
+
+/**
+ * Add a snapshot, dropping the oldest beyond MAX_SNAPSHOTS.
+ * @param {Object[]} snapshots - Newest first
+ * @param {Object} snapshot
+ * @returns {Object[]}
+ */
+export const addSnapshot = (snapshots, snapshot) => [snapshot, ...snapshots].slice(0, MAX_SNAPSHOTS);
+
+/**
+ * Remove the app's own data from storage and localStorage.
+ * @param {Object} storage - App storage (see storage.js)
+ * @returns {Promise<boolean>} Whether everything was removed
+ */
+export const clearAppStorage = async (storage) => {
+  APP_LOCAL_STORAGE_KEYS.forEach(key => localStorage.removeItem(key));
+  const results = await Promise.all([
+    ...APP_STORAGE_KEYS.map(key => storage.remove(key)),
+    storage.collection(COLLECTIONS.SESSIONS).replaceAll([]),
+    storage.collection(COLLECTIONS.DAILY_RATINGS).replaceAll([])
+  ]);
+  return results.every(Boolean);
+};
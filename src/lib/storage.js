@@ -0,0 +1,374 @@
+/**
+ * App persistence.
+ *
+ * An async key-value and collections API backed by IndexedDB, with
+ * localStorage as the fallback where IndexedDB cannot be opened (e.g. some
+ * private browsing modes):
+ *
+ *   const storage = await openAppStorage({ defaultProgramId, onError });
+ *   await storage.get('userProfile', null);
+ *   await storage.set('userProfile', profile);
+ *   await storage.collection(COLLECTIONS.SESSIONS).getAll();
+ *
+ * Operations never reject: reads resolve to the default value and writes to
+ * false when they fail, and the failure is passed to `onError` as a
+ * StorageError (a successful write calls `onError(null)` so a reported
+ * problem can be cleared).
+ *
+ * The IndexedDB connection gives way when another tab upgrades the database:
+ * it closes, and `onError` gets a StorageError with reason 'versionchange'
+ * so the user can reload. An upgrade blocked by an older tab falls back to
+ * localStorage for this page load (reason 'blocked') rather than waiting.
+ *
+ * The stored schema is versioned; MIGRATIONS upgrade older data on open,
+ * starting with the localStorage keys used before IndexedDB.
+ */
+
+import { isValidUserProfile } from './userProfile.js';
+import { migrateCompletedSessions } from './sessionHistory.js';
+import { logger } from './logger.js';
+
+export const STORAGE_SCHEMA_VERSION = 1;
+
+export const COLLECTIONS = {
+  SESSIONS: 'sessions',
+  SNAPSHOTS: 'snapshots',
+  DAILY_RATINGS: 'dailyRatings'
+};
+
+const DB_NAME = 'flowfocus';
+// Bumped whenever a collection is added, so its object store gets created
+const DB_VERSION = 2;
+const KEYVAL_STORE = 'keyval';
+const SCHEMA_VERSION_KEY = 'schemaVersion';
+
+// localStorage keys holding each collection; earlier versions used the same keys
+const LOCAL_COLLECTION_KEYS = {
+  [COLLECTIONS.SESSIONS]: 'sessionHistory',
+  [COLLECTIONS.SNAPSHOTS]: 'dataSnapshots',
+  [COLLECTIONS.DAILY_RATINGS]: 'dailyRatings'
+};
+
+export class StorageError extends Error {
+  constructor(message, { operation, key, backend, cause, reason = null }) {
+    super(message);
+    this.name = 'StorageError';
+    this.operation = operation;
+    this.key = key;
+    this.backend = backend;
+    this.cause = cause;
+    // 'blocked' or 'versionchange' when another tab holds the database
+    this.reason = reason;
+    this.quotaExceeded = Boolean(cause && cause.name === 'QuotaExceededError');
+  }
+}
+
+/**
+ * Message for the storage error banner.
+ * @param {StorageError} error
+ * @returns {string}
+ */
+export const describeStorageError = (error) => {
+  if (error.reason === 'blocked') {
+    return 'Focus & Flow is open in another tab with an older version. Close it and reload to see your saved progress.';
+  }
+  if (error.reason === 'versionchange') {
+    return 'Focus & Flow was updated in another tab. Reload this page to keep saving your progress.';
+  }
+  if (error.operation === 'read') {
+    return `Unable to load ${error.key === 'userProfile' ? 'your profile' : 'saved progress'}. Using default values.`;
+  }
+  let message = `Unable to save ${error.key === 'userProfile' ? 'profile' : 'progress'}.`;
+  if (error.quotaExceeded) {
+    message += ' Storage is full. Please clear some browser data.';
+  } else if (error.backend === 'localStorage') {
+    message += ' Private browsing mode may be enabled.';
+  }
+  return message;
+};
+
+const openIndexedDB = () => new Promise((resolve, reject) => {
+  if (typeof indexedDB === 'undefined') {
+    reject(new Error('IndexedDB is not available'));
+    return;
+  }
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(KEYVAL_STORE)) db.createObjectStore(KEYVAL_STORE);
+    Object.values(COLLECTIONS).forEach(name => {
+      if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath: 'id' });
+    });
+  };
+  // Another tab still has an older version open; don't wait for it to close
+  let blocked = false;
+  request.onblocked = () => {
+    blocked = true;
+    reject(new StorageError('IndexedDB upgrade blocked by another tab', {
+      operation: 'read',
+      key: DB_NAME,
+      backend: 'indexeddb',
+      reason: 'blocked'
+    }));
+  };
+  request.onsuccess = () => {
+    const db = request.result;
+    // Opened after all, once the other tab closed; this page already fell back
+    if (blocked) {
+      db.close();
+      return;
+    }
+    // Let another tab upgrade the database instead of blocking it
+    db.onversionchange = () => db.close();
+    resolve(db);
+  };
+  request.onerror = () => reject(request.error);
+});
+
+const createIndexedDBBackend = (db) => {
+  // Resolve once the transaction commits, with the result of the request
+  // the callback returns (if any)
+  const run = (storeName, mode, callback) => new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = callback(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+
+  return {
+    name: 'indexeddb',
+    /**
+     * Close the connection when another tab upgrades the database.
+     * @param {() => void} handler - Called once it has closed
+     */
+    onVersionChange: (handler) => {
+      db.onversionchange = () => {
+        db.close();
+        handler();
+      };
+    },
+    get: (key) => run(KEYVAL_STORE, 'readonly', store => store.get(key)),
+    set: (key, value) => run(KEYVAL_STORE, 'readwrite', store => { store.put(value, key); }),
+    remove: (key) => run(KEYVAL_STORE, 'readwrite', store => { store.delete(key); }),
+    getAll: (name) => run(name, 'readonly', store => store.getAll()),
+    put: (name, item) => run(name, 'readwrite', store => { store.put(item); }),
+    delete: (name, id) => run(name, 'readwrite', store => { store.delete(id); }),
+    replaceAll: (name, items) => run(name, 'readwrite', store => {
+      store.clear();
+      items.forEach(item => store.put(item));
+    })
+  };
+};
+
+const readLocal = (key) => {
+  const item = localStorage.getItem(key);
+  return item === null ? undefined : JSON.parse(item);
+};
+
+const writeLocal = (key, value) => localStorage.setItem(key, JSON.stringify(value));
+
+// Collections are stored as arrays under one key each
+const createLocalStorageBackend = () => {
+  const readCollection = (name) => readLocal(LOCAL_COLLECTION_KEYS[name]) || [];
+
+  return {
+    name: 'localStorage',
+    get: async (key) => readLocal(key),
+    set: async (key, value) => writeLocal(key, value),
+    remove: async (key) => localStorage.removeItem(key),
+    getAll: async (name) => readCollection(name),
+    put: async (name, item) => writeLocal(
+      LOCAL_COLLECTION_KEYS[name],
+      [...readCollection(name).filter(existing => existing.id !== item.id), item]
+    ),
+    delete: async (name, id) => writeLocal(
+      LOCAL_COLLECTION_KEYS[name],
+      readCollection(name).filter(existing => existing.id !== id)
+    ),
+    replaceAll: async (name, items) => writeLocal(LOCAL_COLLECTION_KEYS[name], items)
+  };
+};
+
+// A localStorage key from an earlier version, or undefined when missing or unreadable
+const readLegacyKey = (key) => {
+  try {
+    return readLocal(key);
+  } catch (error) {
+    logger.warn('storage', `Ignoring unreadable localStorage key "${key}" during migration`, error);
+    return undefined;
+  }
+};
+
+// Migrations by the schema version they produce. Each resolves to the
+// localStorage keys it has moved, which are removed once the new version
+// has been recorded.
+const MIGRATIONS = {
+  // Profile, programs, history and snapshots move from localStorage into
+  // IndexedDB; completedSessions keys become structured history entries.
+  1: async (backend, { defaultProgramId }) => {
+    const movedKeys = [];
+
+    if (backend.name === 'indexeddb') {
+      for (const key of ['userProfile', 'importedPrograms']) {
+        const value = readLegacyKey(key);
+        if (value !== undefined) {
+          await backend.set(key, value);
+          movedKeys.push(key);
+        }
+      }
+      for (const [name, key] of Object.entries(LOCAL_COLLECTION_KEYS)) {
+        const items = readLegacyKey(key);
+        if (Array.isArray(items)) {
+          await backend.replaceAll(name, items);
+          movedKeys.push(key);
+        }
+      }
+    }
+
+    const legacySessions = readLegacyKey('completedSessions');
+    if (legacySessions !== undefined) {
+      const history = await backend.getAll(COLLECTIONS.SESSIONS);
+      if (history.length === 0 && Array.isArray(legacySessions)) {
+        await backend.replaceAll(COLLECTIONS.SESSIONS, migrateCompletedSessions(legacySessions, defaultProgramId));
+      }
+      movedKeys.push('completedSessions');
+    }
+
+    return movedKeys;
+  }
+};
+
+const migrate = async (backend, options) => {
+  const storedVersion = (await backend.get(SCHEMA_VERSION_KEY)) || 0;
+  if (storedVersion > STORAGE_SCHEMA_VERSION) {
+    logger.warn('storage', `Stored data has schema version ${storedVersion}, newer than ${STORAGE_SCHEMA_VERSION}`);
+    return;
+  }
+
+  for (let version = storedVersion + 1; version <= STORAGE_SCHEMA_VERSION; version++) {
+    const movedKeys = await MIGRATIONS[version](backend, options);
+    await backend.set(SCHEMA_VERSION_KEY, version);
+    movedKeys.forEach(key => localStorage.removeItem(key));
+  }
+};
+
+const createStorage = (backend, onError) => {
+  const fail = (operation, key, fallback) => (cause) => {
+    const error = new StorageError(`Storage ${operation} failed for "${key}" (${backend.name})`, {
+      operation,
+      key,
+      backend: backend.name,
+      cause
+    });
+    logger.error('storage', error.message, cause);
+    onError(error);
+    return fallback;
+  };
+
+  if (backend.onVersionChange) {
+    backend.onVersionChange(() => {
+      const error = new StorageError('IndexedDB closed for an upgrade in another tab', {
+        operation: 'write',
+        key: DB_NAME,
+        backend: backend.name,
+        reason: 'versionchange'
+      });
+      logger.warn('storage', error.message);
+      onError(error);
+    });
+  }
+
+  const write = (promise, key) => promise.then(() => {
+    onError(null);
+    return true;
+  }, fail('write', key, false));
+
+  return {
+    backend: backend.name,
+
+    /**
+     * Replace the error callback, e.g. once the app has mounted.
+     * @param {(error: StorageError|null) => void} handler
+     */
+    setErrorHandler: (handler) => {
+      onError = handler;
+    },
+
+    get: (key, defaultValue) => backend.get(key)
+      .then(value => (value === undefined ? defaultValue : value), fail('read', key, defaultValue)),
+    set: (key, value) => write(backend.set(key, value), key),
+    remove: (key) => write(backend.remove(key), key),
+
+    /**
+     * Records keyed by their `id`.
+     * @param {string} name - One of COLLECTIONS
+     */
+    collection: (name) => ({
+      getAll: () => backend.getAll(name).then(items => items || [], fail('read', name, [])),
+      put: (item) => write(backend.put(name, item), name),
+      delete: (id) => write(backend.delete(name, id), name),
+      replaceAll: (items) => write(backend.replaceAll(name, items), name)
+    })
+  };
+};
+
+/**
+ * Open app storage, migrating stored data to the current schema. Falls back
+ * to localStorage when IndexedDB cannot be opened or migrated.
+ * @param {Object} options
+ * @param {string} options.defaultProgramId - Program for sessions recorded before programs had ids
+ * @param {(error: StorageError|null) => void} [options.onError]
+ * @returns {Promise<Object>} Storage
+ */
+export const openAppStorage = async ({ defaultProgramId, onError = () => {} }) => {
+  let backend;
+  try {
+    backend = createIndexedDBBackend(await openIndexedDB());
+    await migrate(backend, { defaultProgramId });
+  } catch (error) {
+    logger.warn('storage', 'IndexedDB unavailable, falling back to localStorage', error);
+    if (error instanceof StorageError) onError(error);
+    backend = createLocalStorageBackend();
+    try {
+      await migrate(backend, { defaultProgramId });
+    } catch (migrationError) {
+      logger.error('storage', 'Storage migration failed', migrationError);
+      onError(new StorageError('Storage migration failed (localStorage)', {
+        operation: 'read',
+        key: SCHEMA_VERSION_KEY,
+        backend: backend.name,
+        cause: migrationError
+      }));
+    }
+  }
+  return createStorage(backend, onError);
+};
+
+/**
+ * Load the persisted app state.
+ * @param {Object} storage - From openAppStorage
+ * @returns {Promise<{ userProfile: Object|null, importedPrograms: Object[], sessionHistory: Object[], snapshots: Object[], dailyRatings: Object[] }>}
+ */
+export const loadAppState = async (storage) => {
+  const [userProfile, importedPrograms, sessionHistory, snapshots, dailyRatings] = await Promise.all([
+    storage.get('userProfile', null),
+    storage.get('importedPrograms', []),
+    storage.collection(COLLECTIONS.SESSIONS).getAll(),
+    storage.collection(COLLECTIONS.SNAPSHOTS).getAll(),
+    storage.collection(COLLECTIONS.DAILY_RATINGS).getAll()
+  ]);
+
+  if (userProfile !== null && !isValidUserProfile(userProfile)) {
+    logger.warn('storage', 'Invalid userProfile structure, using default');
+  }
+
+  return {
+    userProfile: isValidUserProfile(userProfile) ? userProfile : null,
+    importedPrograms: Array.isArray(importedPrograms) ? importedPrograms : [],
+    // IndexedDB returns records in key order
+    sessionHistory: [...sessionHistory].sort((a, b) => a.startedAt.localeCompare(b.startedAt)),
+    snapshots: [...snapshots].sort((a, b) => b.createdAt.localeCompare(a.createdAt)),
+    dailyRatings: [...dailyRatings].sort((a, b) => a.date.localeCompare(b.date))
+  };
+};
@@ -0,0 +1,331 @@
+/**
+ * Opt-in sync between devices through a self-hosted server (see
+ * server/syncServer.js for the reference implementation).
+ *
+ * State is split into records, identified by type and id:
+ *
+ *   'profile'              the user profile, settings included
+ *   'session:<id>'         a session history entry
+ *   'program:<id>'         an imported program definition
+ *   'rating:<date>'        an evening rating (focusRatings.js)
+ *
+ * Devices share an account through the anonymous userProfile.userId (the
+ * "sync code"). Each sync is one request that pushes local changes and
+ * pulls everything changed on the server since the last sync:
+ *
+ *   POST {serverUrl}/v1/sync/{userId}
+ *   { since, deviceId, changes: [{ id, value, deleted, updatedAt }] }
+ *   -> { version, changes: [{ id, value, deleted, updatedAt }], conflicts: [{ id, winner }] }
+ *
+ * The server numbers every accepted change with an increasing version;
+ * `since` is the version the device last synced to. A change to a record
+ * that another device also changed after `since` is a conflict, settled by
+ * last writer wins on `updatedAt` ('client' or 'server' wins) and reported
+ * back so the app can tell the user.
+ *
+ * A device finds its local changes by comparing record hashes against the
+ * hashes stored after its last sync:
+ *
+ *   { deviceId, version, hashes: { [recordId]: hash } }
+ */
+
+import { isValidUserProfile } from './userProfile.js';
+
+export const SYNC_STATE_KEY = 'syncState';
+export const SYNC_API_VERSION = 'v1';
+
+export const RECORD_TYPES = {
+  PROFILE: 'profile',
+  SESSION: 'session',
+  PROGRAM: 'program',
+  RATING: 'rating'
+};
+
+export const SYNC_WINNERS = {
+  CLIENT: 'client',
+  SERVER: 'server'
+};
+
+export class SyncError extends Error {
+  constructor(problems) {
+    super(`Sync failed:\n- ${problems.join('\n- ')}`);
+    this.name = 'SyncError';
+    this.problems = problems;
+  }
+}
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Sync codes are user ids, also used as file names by the reference server.
+ * @param {unknown} userId
+ * @returns {boolean}
+ */
+export const isValidSyncUserId = (userId) => typeof userId === 'string' && /^[A-Za-z0-9_-]{1,100}$/.test(userId);
+
+/**
+ * @returns {Object} Sync state of a device that has never synced
+ */
+export const createSyncState = () => ({
+  deviceId: 'device_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+  version: 0,
+  hashes: {}
+});
+
+// Two 32-bit FNV-1a hashes with different offsets; only used to notice changes
+export const hashValue = (value) => {
+  const text = JSON.stringify(value);
+  let h1 = 0x811c9dc5;
+  let h2 = 0x01000193;
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ code, 0x01000193);
+    h2 = Math.imul(h2 ^ code, 0x811c9dc5);
+  }
+  return (h1 >>> 0).toString(36) + (h2 >>> 0).toString(36);
+};
+
+const recordId = (type, id) => (type === RECORD_TYPES.PROFILE ? type : `${type}:${id}`);
+
+const recordType = (id) => id.split(':')[0];
+
+/**
+ * Name of a record for conflict messages.
+ * @param {string} id - Record id
+ * @returns {string}
+ */
+export const describeSyncRecord = (id) => {
+  const type = recordType(id);
+  if (type === RECORD_TYPES.PROFILE) return 'Profile and settings';
+  if (type === RECORD_TYPES.SESSION) return `Session ${id.slice(type.length + 1)}`;
+  if (type === RECORD_TYPES.RATING) return `Evening rating of ${id.slice(type.length + 1)}`;
+  return `Program ${id.slice(type.length + 1)}`;
+};
+
+/**
+ * @param {Object} data - userProfile, sessionHistory, dailyRatings, importedPrograms
+ * @returns {Object<string, Object>} Values by record id
+ */
+export const toSyncRecords = ({ userProfile, sessionHistory, dailyRatings = [], importedPrograms }) => {
+  const records = { [recordId(RECORD_TYPES.PROFILE)]: userProfile };
+  sessionHistory.forEach(entry => {
+    records[recordId(RECORD_TYPES.SESSION, entry.id)] = entry;
+  });
+  dailyRatings.forEach(rating => {
+    records[recordId(RECORD_TYPES.RATING, rating.id)] = rating;
+  });
+  importedPrograms.forEach(raw => {
+    records[recordId(RECORD_TYPES.PROGRAM, raw.id)] = raw;
+  });
+  return records;
+};
+
+/**
+ * Changes to push: records whose hash differs from the last sync, and
+ * deletions of records synced before.
+ * @param {Object<string, Object>} records - From toSyncRecords
+ * @param {Object} syncState
+ * @param {Object} options
+ * @param {number} options.now
+ * @param {boolean} [options.preferRemote=false] - Let server copies win every conflict, e.g. when joining another device's account
+ * @returns {Array<{ id: string, value: Object|null, deleted: boolean, updatedAt: number }>}
+ */
+export const getLocalChanges = (records, syncState, { now, preferRemote = false }) => {
+  const updatedAt = preferRemote ? 0 : now;
+  const changes = [];
+  Object.keys(records).forEach(id => {
+    if (syncState.hashes[id] !== hashValue(records[id])) {
+      changes.push({ id, value: records[id], deleted: false, updatedAt });
+    }
+  });
+  Object.keys(syncState.hashes).forEach(id => {
+    if (!(id in records)) changes.push({ id, value: null, deleted: true, updatedAt });
+  });
+  return changes;
+};
+
+/**
+ * The profile among pulled changes.
+ * @param {Array} changes - Remote changes
+ * @returns {Object|null}
+ */
+export const getRemoteProfile = (changes) => {
+  const change = changes.find(candidate => candidate.id === RECORD_TYPES.PROFILE && !candidate.deleted);
+  return change && isValidUserProfile(change.value) ? change.value : null;
+};
+
+/**
+ * Apply pulled changes of one record type to a list keyed by `id`.
+ * @param {Object[]} items - Session history entries, daily ratings or imported programs
+ * @param {Array} changes - Remote changes
+ * @param {string} type - RECORD_TYPES.SESSION, RECORD_TYPES.RATING or RECORD_TYPES.PROGRAM
+ * @returns {Object[]} The same array when nothing changed
+ */
+export const applyRemoteRecords = (items, changes, type) => {
+  const relevant = changes.filter(change => recordType(change.id) === type);
+  if (relevant.length === 0) return items;
+
+  const byId = new Map(items.map(item => [recordId(type, item.id), item]));
+  relevant.forEach(change => {
+    if (change.deleted) {
+      byId.delete(change.id);
+    } else if (isPlainObject(change.value) && recordId(type, change.value.id) === change.id) {
+      byId.set(change.id, change.value);
+    }
+  });
+  const result = [...byId.values()];
+  if (type === RECORD_TYPES.SESSION) {
+    return result.sort((a, b) => String(a.startedAt).localeCompare(String(b.startedAt)));
+  }
+  if (type === RECORD_TYPES.RATING) {
+    return result.sort((a, b) => String(a.date).localeCompare(String(b.date)));
+  }
+  return result;
+};
+
+const validateChanges = (changes, problems) => {
+  if (!Array.isArray(changes)) {
+    problems.push('changes must be an array');
+    return;
+  }
+  changes.forEach((change, index) => {
+    if (!isPlainObject(change) || typeof change.id !== 'string' || !change.id) {
+      problems.push(`changes[${index}] needs a record id`);
+    } else if (typeof change.updatedAt !== 'number') {
+      problems.push(`changes[${index}] (${change.id}) needs a numeric updatedAt`);
+    } else if (!change.deleted && !isPlainObject(change.value)) {
+      problems.push(`changes[${index}] (${change.id}) needs a value`);
+    }
+  });
+};
+
+/**
+ * @param {unknown} body - Parsed request body
+ * @returns {string[]} Problems; empty when the request is usable
+ */
+export const validateSyncRequest = (body) => {
+  const problems = [];
+  if (!isPlainObject(body)) return ['Request body must be a JSON object'];
+  if (!Number.isInteger(body.since) || body.since < 0) problems.push('since must be a version number');
+  if (typeof body.deviceId !== 'string' || !body.deviceId) problems.push('deviceId is required');
+  validateChanges(body.changes, problems);
+  return problems;
+};
+
+const validateSyncResponse = (body) => {
+  const problems = [];
+  if (!isPlainObject(body)) return ['The server did not return a JSON object'];
+  if (!Number.isInteger(body.version)) problems.push('The server response has no version');
+  validateChanges(body.changes, problems);
+  if (!Array.isArray(body.conflicts)) problems.push('The server response has no conflict list');
+  return problems;
+};
+
+/**
+ * Server side of a sync: apply a device's changes to the stored document.
+ * @param {{ version: number, records: Object }} document - Stored state of one user
+ * @param {Object} request - Passes validateSyncRequest
+ * @returns {{ document: Object, response: Object }}
+ */
+export const mergeSyncRequest = (document, request) => {
+  let version = document.version;
+  const records = { ...document.records };
+  const accepted = new Set();
+  const conflicts = [];
+
+  request.changes.forEach(change => {
+    const stored = records[change.id];
+    if (stored && stored.version > request.since && stored.deviceId !== request.deviceId) {
+      const winner = change.updatedAt > stored.updatedAt ? SYNC_WINNERS.CLIENT : SYNC_WINNERS.SERVER;
+      conflicts.push({ id: change.id, winner });
+      if (winner === SYNC_WINNERS.SERVER) return;
+    }
+    version += 1;
+    records[change.id] = {
+      id: change.id,
+      value: change.deleted ? null : change.value,
+      deleted: Boolean(change.deleted),
+      updatedAt: change.updatedAt,
+      deviceId: request.deviceId,
+      version
+    };
+    accepted.add(change.id);
+  });
+
+  // Everything the device has not seen, including server copies that won a conflict
+  const changes = Object.values(records)
+    .filter(record => record.version > request.since && !accepted.has(record.id))
+    .map(({ id, value, deleted, updatedAt }) => ({ id, value, deleted, updatedAt }));
+
+  return {
+    document: { version, records },
+    response: { version, changes, conflicts }
+  };
+};
+
+/**
+ * Push local changes and pull remote ones.
+ * @param {Object} options
+ * @param {string} options.serverUrl
+ * @param {string} options.userId - Sync code
+ * @param {Object<string, Object>} options.records - From toSyncRecords
+ * @param {Object} options.syncState
+ * @param {boolean} [options.preferRemote=false]
+ * @param {number} [options.now=Date.now()]
+ * @returns {Promise<{ remoteChanges: Array, conflicts: Array, pushed: number, syncState: Object }>}
+ * @throws {SyncError}
+ */
+export const syncWithServer = async ({ serverUrl, userId, records, syncState, preferRemote = false, now = Date.now() }) => {
+  const changes = getLocalChanges(records, syncState, { now, preferRemote });
+  const url = `${serverUrl.replace(/\/+$/, '')}/${SYNC_API_VERSION}/sync/${encodeURIComponent(userId)}`;
+
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ since: syncState.version, deviceId: syncState.deviceId, changes })
+    });
+  } catch (error) {
+    throw new SyncError([`Could not reach ${serverUrl} (${error.message})`]);
+  }
+
+  let body;
+  try {
+    body = await response.json();
+  } catch {
+    throw new SyncError([`The server answered ${response.status} without JSON`]);
+  }
+  if (!response.ok) {
+    throw new SyncError(Array.isArray(body.problems) ? body.problems : [`The server answered ${response.status}`]);
+  }
+  const problems = validateSyncResponse(body);
+  if (problems.length > 0) throw new SyncError(problems);
+
+  const hashes = { ...syncState.hashes };
+  const rejected = new Set(body.conflicts
+    .filter(conflict => conflict.winner === SYNC_WINNERS.SERVER)
+    .map(conflict => conflict.id));
+  changes.forEach(change => {
+    if (rejected.has(change.id)) return;
+    if (change.deleted) {
+      delete hashes[change.id];
+    } else {
+      hashes[change.id] = hashValue(change.value);
+    }
+  });
+  body.changes.forEach(change => {
+    if (change.deleted) {
+      delete hashes[change.id];
+    } else {
+      hashes[change.id] = hashValue(change.value);
+    }
+  });
+
+  return {
+    remoteChanges: body.changes,
+    conflicts: body.conflicts,
+    pushed: changes.length - rejected.size,
+    syncState: { ...syncState, version: body.version, hashes }
+  };
+};
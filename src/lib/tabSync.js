@@ -0,0 +1,81 @@
+/**
+ * Messages between tabs of the app, so state saved in one tab shows up in
+ * the others and only one tab runs a session at a time.
+ *
+ * Uses BroadcastChannel, or `storage` events on a localStorage key where
+ * BroadcastChannel is missing (Safari before 15.4). A tab never receives
+ * its own messages.
+ *
+ * Message types:
+ *   { type: 'STATE_CHANGED', key, value }   saved state ('userProfile', 'sessionHistory', 'dailyRatings', 'importedPrograms')
+ *   { type: 'SESSION_ACTIVE', sessionId }   the sending tab now runs this session
+ *   { type: 'SESSION_QUERY' }               asks a tab running a session to announce it
+ *   { type: 'SESSION_STOPPED' }             the running tab ended its session, or was hidden mid-session
+ *   { type: 'DATA_RESET' }                  all data was cleared; other tabs reload
+ */
+
+import { logger } from './logger.js';
+
+export const TAB_SYNC_CHANNEL = 'flowfocus-sync';
+export const TAB_SYNC_KEY = 'tabSyncMessage';
+
+export const TAB_MESSAGES = {
+  STATE_CHANGED: 'STATE_CHANGED',
+  SESSION_ACTIVE: 'SESSION_ACTIVE',
+  SESSION_QUERY: 'SESSION_QUERY',
+  SESSION_STOPPED: 'SESSION_STOPPED',
+  DATA_RESET: 'DATA_RESET'
+};
+
+/**
+ * @returns {{ post: (message: Object) => void, subscribe: (handler: (message: Object) => void) => () => void, close: () => void }}
+ */
+export const createTabSync = () => {
+  const handlers = new Set();
+  const deliver = (message) => handlers.forEach(handler => handler(message));
+
+  let post;
+  let close;
+  if (typeof BroadcastChannel !== 'undefined') {
+    const channel = new BroadcastChannel(TAB_SYNC_CHANNEL);
+    channel.onmessage = (event) => deliver(event.data);
+    post = (message) => {
+      try {
+        channel.postMessage(message);
+      } catch (error) {
+        logger.warn('storage', 'Could not send message to other tabs', error);
+      }
+    };
+    close = () => channel.close();
+  } else {
+    const handleStorage = (event) => {
+      if (event.key !== TAB_SYNC_KEY || !event.newValue) return;
+      try {
+        deliver(JSON.parse(event.newValue).message);
+      } catch (error) {
+        logger.warn('storage', 'Ignoring unreadable tab message', error);
+      }
+    };
+    window.addEventListener('storage', handleStorage);
+    post = (message) => {
+      try {
+        // The nonce makes every write a change; other tabs get the value in
+        // the event, so the key can be removed straight away
+        localStorage.setItem(TAB_SYNC_KEY, JSON.stringify({ message, nonce: Math.random() }));
+        localStorage.removeItem(TAB_SYNC_KEY);
+      } catch (error) {
+        logger.warn('storage', 'Could not send message to other tabs', error);
+      }
+    };
+    close = () => window.removeEventListener('storage', handleStorage);
+  }
+
+  return {
+    post,
+    subscribe: (handler) => {
+      handlers.add(handler);
+      return () => handlers.delete(handler);
+    },
+    close
+  };
+};
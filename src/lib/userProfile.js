@@ -0,0 +1,54 @@
+/**
+ * Stored user profile validation and migration.
+ *
+ * Used when the profile is loaded from storage and when one arrives in
+ * a backup file, so both paths accept and upgrade the same shapes.
+ */
+
+import { normalizeStartDate } from './weekProgression.js';
+import { createReminderSchedule } from './reminderSchedule.js';
+
+/**
+ * Minimal structure a stored profile needs before it can be migrated.
+ * @param {unknown} profile
+ * @returns {boolean}
+ */
+export const isValidUserProfile = (profile) => {
+  return Boolean(profile) && typeof profile === 'object' &&
+    Boolean(profile.preferences) && typeof profile.preferences === 'object';
+};
+
+/**
+ * Bring a stored profile up to the current shape.
+ * @param {Object} profile - A profile that passes isValidUserProfile
+ * @returns {Object}
+ */
+export const migrateUserProfile = (profile) => {
+  // Profiles saved before calendar-based progression: locale start dates
+  // become ISO dates, and existing users keep manual week control.
+  const programProgress = {};
+  Object.entries(profile.programProgress || {}).forEach(([programId, progress]) => {
+    programProgress[programId] = {
+      ...progress,
+      startDate: normalizeStartDate(progress.startDate, progress.currentWeek)
+    };
+  });
+  // The single reminderTime becomes the time for every weekday
+  const { reminderTime, ...preferences } = profile.preferences;
+  return {
+    ...profile,
+    startDate: normalizeStartDate(profile.startDate, profile.currentWeek),
+    programProgress,
+    milestones: profile.milestones || {},
+    preferences: {
+      ...preferences,
+      weekProgression: preferences.weekProgression || 'manual',
+      autoAdvance: preferences.autoAdvance || false,
+      reminderSchedule: preferences.reminderSchedule || createReminderSchedule(reminderTime),
+      restDays: preferences.restDays || [0],
+      sessionDays: preferences.sessionDays || {},
+      eveningRating: preferences.eveningRating || false,
+      sync: preferences.sync || { enabled: false, serverUrl: '' }
+    }
+  };
+};
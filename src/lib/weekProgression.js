@@ -0,0 +1,152 @@
+/**
+ * Calendar-based week progression.
+ *
+ * Program start dates are stored as local ISO dates ("YYYY-MM-DD"). The
+ * current week is derived from the start date, and every adjustment —
+ * manual week changes, repeating a week, pausing — is expressed by shifting
+ * the start date, so the calendar stays the single source of truth.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Sessions expected per week when a program week does not set minSessions
+export const DEFAULT_MIN_SESSIONS = 3;
+
+/**
+ * Format a Date as a local "YYYY-MM-DD" string.
+ * @param {Date} date
+ * @returns {string}
+ */
+export const toISODate = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Parse a local ISO date into a Date at local midnight.
+ * @param {string} isoDate
+ * @returns {Date|null}
+ */
+export const parseISODate = (isoDate) => {
+  const match = typeof isoDate === 'string' && isoDate.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return null;
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Shift an ISO date by a number of days (DST safe, works on calendar days).
+ * @param {string} isoDate
+ * @param {number} days
+ * @returns {string}
+ */
+export const shiftISODate = (isoDate, days) => {
+  const date = parseISODate(isoDate);
+  date.setDate(date.getDate() + days);
+  return toISODate(date);
+};
+
+/**
+ * Whole calendar days from one ISO date to another.
+ * @param {string} fromISODate
+ * @param {string} toISODateValue
+ * @returns {number}
+ */
+export const daysBetween = (fromISODate, toISODateValue) => {
+  const from = parseISODate(fromISODate);
+  const to = parseISODate(toISODateValue);
+  // Round to absorb the hour gained or lost across DST changes
+  return Math.round((to.getTime() - from.getTime()) / DAY_MS);
+};
+
+// Order of the day, month and year fields in toLocaleDateString() output;
+// empty where formatToParts is missing (Safari before 11)
+const getLocaleDateOrder = (locale) => {
+  if (typeof Intl === 'undefined' || typeof Intl.DateTimeFormat.prototype.formatToParts !== 'function') return [];
+  return new Intl.DateTimeFormat(locale)
+    .formatToParts(new Date(2001, 10, 22))
+    .map(part => part.type)
+    .filter(type => type === 'day' || type === 'month' || type === 'year');
+};
+
+/**
+ * Parse the numeric output of toLocaleDateString(), e.g. "03/04/2025", in
+ * the field order of the given locale (day first for en-GB, month first for
+ * en-US).
+ * @param {string} value
+ * @param {string} [locale] - Defaults to the runtime's locale
+ * @returns {string|null} ISO date, or null when the value doesn't match the locale's format
+ */
+export const parseLocaleDate = (value, locale) => {
+  const numbers = typeof value === 'string' ? value.match(/\d+/g) : null;
+  const order = getLocaleDateOrder(locale);
+  if (!numbers || numbers.length !== 3 || order.length !== 3) return null;
+
+  const fields = {};
+  order.forEach((type, index) => {
+    fields[type] = Number(numbers[index]);
+  });
+  const date = new Date(fields.year, fields.month - 1, fields.day);
+  // Rejects overflowing fields such as month 13, which Date would roll over
+  if (date.getFullYear() !== fields.year || date.getMonth() !== fields.month - 1 || date.getDate() !== fields.day) {
+    return null;
+  }
+  return toISODate(date);
+};
+
+/**
+ * Convert a stored start date to an ISO date. Older profiles stored the
+ * result of toLocaleDateString(), which is read in the field order of the
+ * current locale, the one that most likely wrote it. When it doesn't match
+ * that format or lies in the future, the start date is back-dated from the
+ * current week instead.
+ * @param {string} value - Stored start date
+ * @param {number} [currentWeek=1] - Week to back-date from when parsing fails
+ * @param {Date} [now=new Date()]
+ * @param {string} [locale] - Locale of legacy dates, defaults to the runtime's
+ * @returns {string}
+ */
+export const normalizeStartDate = (value, currentWeek = 1, now = new Date(), locale) => {
+  if (parseISODate(value)) return value;
+
+  const today = toISODate(now);
+  const parsed = parseLocaleDate(value, locale);
+  if (parsed && parsed <= today) return parsed;
+
+  return shiftISODate(today, -7 * (Math.max(1, currentWeek) - 1));
+};
+
+/**
+ * Program week for a given day, clamped to the program length. While the
+ * program is paused, time stands still at the pause date.
+ * @param {Object} options
+ * @param {string} options.startDate - ISO start date
+ * @param {string|null} [options.pausedAt] - ISO date the program was paused
+ * @param {number} options.weekCount - Number of weeks in the program
+ * @param {string} options.today - ISO date for "now"
+ * @returns {number}
+ */
+export const getCalendarWeek = ({ startDate, pausedAt = null, weekCount, today }) => {
+  const elapsedDays = daysBetween(startDate, pausedAt || today);
+  const week = Math.floor(elapsedDays / 7) + 1;
+  return Math.min(Math.max(week, 1), weekCount);
+};
+
+/**
+ * Minimum number of sessions for a program week.
+ * @param {Object} weekData - Week entry from the program definition
+ * @returns {number}
+ */
+export const getMinSessions = (weekData) => {
+  return weekData && weekData.minSessions ? weekData.minSessions : DEFAULT_MIN_SESSIONS;
+};
+
+/**
+ * Low adherence means finishing a week with fewer than half the minimum
+ * sessions; the user is then offered to repeat it.
+ * @param {number} sessionCount
+ * @param {number} minSessions
+ * @returns {boolean}
+ */
+export const isLowAdherence = (sessionCount, minSessions) => sessionCount < Math.ceil(minSessions / 2);
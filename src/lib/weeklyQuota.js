@@ -0,0 +1,115 @@
+/**
+ * Weekly session quotas and catch-up suggestions.
+ *
+ * Session type labels name the weekdays they are meant for: "Mon/Wed/Fri"
+ * is three sessions a week, "Tue/Thu/Sat" three, "Daily" one for every day
+ * that is not a rest day. Labels without weekdays ("Custom Design",
+ * "High Energy Days") have no quota.
+ *
+ * Users can map any session type to their own days; the custom mapping is
+ * keyed by label and replaces the days parsed from it:
+ *   { 'Mon/Wed/Fri': [2, 4, 6], 'Custom Design': [1, 5] }
+ *
+ * A scheduled day that has passed without a session of its type counts as
+ * missed, and is offered as a catch-up until the week's quota is met.
+ */
+
+import { shiftISODate, daysBetween, parseISODate } from './weekProgression.js';
+
+const DAY_NAMES = {
+  sun: 0, sunday: 0,
+  mon: 1, monday: 1,
+  tue: 2, tues: 2, tuesday: 2,
+  wed: 3, wednesday: 3,
+  thu: 4, thur: 4, thurs: 4, thursday: 4,
+  fri: 5, friday: 5,
+  sat: 6, saturday: 6
+};
+
+/**
+ * Weekdays a session type is meant for.
+ * @param {string} sessionType - Label such as "Mon/Wed/Fri" or "Daily"
+ * @returns {number[]|null} Date#getDay() numbers, or null when the label names no days
+ */
+export const parseSessionDays = (sessionType) => {
+  if (/\bdaily\b/i.test(sessionType)) return [0, 1, 2, 3, 4, 5, 6];
+
+  const tokens = sessionType.toLowerCase().split(/[\s/,&+-]+/).filter(Boolean);
+  if (tokens.length === 0 || !tokens.every(token => token in DAY_NAMES)) return null;
+
+  return [...new Set(tokens.map(token => DAY_NAMES[token]))].sort((a, b) => a - b);
+};
+
+/**
+ * Weekdays a session type is scheduled on, honouring the user's mapping.
+ * @param {string} sessionType
+ * @param {Object<string, number[]>} [customDays={}]
+ * @returns {number[]|null}
+ */
+export const getSessionDays = (sessionType, customDays = {}) => {
+  return Array.isArray(customDays[sessionType]) ? customDays[sessionType] : parseSessionDays(sessionType);
+};
+
+/**
+ * The session type scheduled on a weekday.
+ * @param {string[]} sessionTypes - Session types defined for the week
+ * @param {number} day - Date#getDay() number
+ * @param {Object<string, number[]>} [customDays={}]
+ * @returns {string|null} null when no session type is scheduled that day
+ */
+export const getScheduledSessionType = (sessionTypes, day, customDays = {}) => {
+  return sessionTypes.find(type => {
+    const days = getSessionDays(type, customDays);
+    return days !== null && days.includes(day);
+  }) || null;
+};
+
+/**
+ * Quota and progress for every session type of a week.
+ * @param {Object} options
+ * @param {Object} options.weekData - Week entry from the program definition
+ * @param {Object[]} options.weekSessions - History entries recorded for this program week
+ * @param {number[]} [options.restDays=[]]
+ * @param {Object<string, number[]>} [options.customDays={}]
+ * @returns {Array<{ sessionType: string, days: number[]|null, quota: number|null, done: number }>}
+ */
+export const getWeeklyQuotas = ({ weekData, weekSessions, restDays = [], customDays = {} }) => {
+  return Object.keys(weekData.sessions).map(sessionType => {
+    const scheduled = getSessionDays(sessionType, customDays);
+    const workingDays = scheduled ? scheduled.filter(day => !restDays.includes(day)) : [];
+    const days = workingDays.length > 0 ? workingDays : null;
+    return {
+      sessionType,
+      days,
+      quota: days ? days.length : null,
+      done: weekSessions.filter(entry => entry.sessionType === sessionType && entry.status === 'completed').length
+    };
+  });
+};
+
+/**
+ * Sessions scheduled on days that have already passed this week but were
+ * not done, as catch-up suggestions.
+ * @param {Object} options
+ * @param {Array} options.quotas - Result of getWeeklyQuotas
+ * @param {string} options.weekStart - ISO date of the first day of the week
+ * @param {string} options.today - ISO date for "now"
+ * @returns {Array<{ sessionType: string, missed: number }>}
+ */
+export const getCatchUpSuggestions = ({ quotas, weekStart, today }) => {
+  const elapsedDays = Math.min(Math.max(daysBetween(weekStart, today), 0), 7);
+  const pastWeekdays = [];
+  for (let offset = 0; offset < elapsedDays; offset++) {
+    pastWeekdays.push(parseISODate(shiftISODate(weekStart, offset)).getDay());
+  }
+
+  return quotas
+    .filter(quota => quota.days)
+    .map(quota => {
+      const scheduledSoFar = quota.days.filter(day => pastWeekdays.includes(day)).length;
+      // Sessions done ahead of schedule or on other days still count
+      const missed = Math.min(scheduledSoFar, quota.quota) - quota.done;
+      return { sessionType: quota.sessionType, missed };
+    })
+    .filter(suggestion => suggestion.missed > 0);
+};
@@ -4,66 +4,97 @@ import './polyfills.js'
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
+import { AppErrorBoundary } from './ErrorBoundary.jsx'
+import { openAppStorage, loadAppState } from './lib/storage.js'
+import { DEFAULT_PROGRAM_ID } from './programs/index.js'
+import { initPwa } from './lib/pwa.js'
+import { logger } from './lib/logger.js'
 import './index.css'
 
 // Expose React globally for debugging
 window.React = React;
 window.ReactDOM = ReactDOM;
 
+// Open storage (migrating data from earlier versions) and load it, so the
+// app renders with saved data instead of defaults
+async function loadAppData() {
+  let loadError = null;
+  const storage = await openAppStorage({
+    defaultProgramId: DEFAULT_PROGRAM_ID,
+    onError: error => { loadError = loadError || error; }
+  });
+  const initialData = await loadAppState(storage);
+  return { storage, initialData: { ...initialData, loadError } };
+}
+
+function showMountError(error) {
+  logger.error('app', 'Failed to mount React app', error);
+  // Show error message with details
+  const errorEl = document.getElementById('error-message');
+  const errorDetails = document.getElementById('error-details');
+  if (errorEl && errorDetails) {
+    errorEl.style.display = 'block';
+    errorDetails.innerHTML = `
+      <strong>React Mount Error:</strong><br>
+      ${error.message}<br>
+      <small>Check browser console for more details</small>
+    `;
+  }
+}
+
 // Mobile-safe React mounting
 function mountReactApp() {
   try {
     const rootElement = document.getElementById('root');
     if (rootElement) {
-      console.log('Root element found, mounting React...');
+      logger.info('app', 'Root element found, mounting React');
       
-      const appComponent = <App />;
-      
-      console.log('Using React 18 createRoot');
+      logger.debug('app', 'Using React 18 createRoot');
       // Mobile Safari compatibility: ensure createRoot is accessible
       const createRootFn = ReactDOM.createRoot || window.ReactDOM?.createRoot || window.ReactDOM?.default?.createRoot;
       
       if (typeof createRootFn !== 'function') {
-        console.error('createRoot not found. ReactDOM structure:', ReactDOM);
-        console.error('window.ReactDOM structure:', window.ReactDOM);
+        logger.error('app', 'createRoot not found', { reactDOM: Object.keys(ReactDOM), windowReactDOM: Object.keys(window.ReactDOM || {}) });
         throw new Error('React 18 createRoot method not accessible - possible mobile Safari module resolution issue');
       }
       
       // Use React 18 createRoot
       const root = createRootFn(rootElement);
-      root.render(appComponent);
-      
-      console.log('React mounted successfully');
-      
-      // Hide fallback loading screen when React mounts
-      setTimeout(() => {
-        const fallback = document.getElementById('mobile-fallback');
-        if (fallback) {
-          console.log('Hiding mobile fallback');
-          fallback.style.display = 'none';
-        }
-      }, 100);
+      // The fallback loading screen stays up while stored data loads
+      loadAppData()
+        .then(({ storage, initialData }) => {
+          root.render(
+            <AppErrorBoundary>
+              <App storage={storage} initialData={initialData} />
+            </AppErrorBoundary>
+          );
+          
+          logger.info('app', 'React mounted');
+          
+          // Hide fallback loading screen when React mounts
+          setTimeout(() => {
+            const fallback = document.getElementById('mobile-fallback');
+            if (fallback) {
+              logger.debug('app', 'Hiding mobile fallback');
+              fallback.style.display = 'none';
+            }
+          }, 100);
+        })
+        .catch(showMountError);
     } else {
-      console.error('Root element not found - DOM may not be ready');
+      logger.warn('app', 'Root element not found - DOM may not be ready');
       // Try again after a short delay
       setTimeout(mountReactApp, 100);
     }
   } catch (error) {
-    console.error('Failed to mount React app:', error);
-    // Show error message with details
-    const errorEl = document.getElementById('error-message');
-    const errorDetails = document.getElementById('error-details');
-    if (errorEl && errorDetails) {
-      errorEl.style.display = 'block';
-      errorDetails.innerHTML = `
-        <strong>React Mount Error:</strong><br>
-        ${error.message}<br>
-        <small>Check browser console for more details</small>
-      `;
-    }
+    showMountError(error);
   }
 }
 
+// Register the service worker (offline use, updates, reminders while the
+// app is closed) and catch the install prompt before React mounts
+initPwa();
+
 // Ensure DOM is ready before mounting
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', mountReactApp);
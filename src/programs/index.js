@@ -0,0 +1,13 @@
+/**
+ * Built-in program definitions shipped with the app.
+ *
+ * Additional programs (for example clinician-supplied variants) are imported
+ * by the user at runtime and persisted under the `importedPrograms` key.
+ */
+
+import focusFlow12Week from './focus-flow-12-week.json';
+import focusFlow4WeekRefresher from './focus-flow-4-week-refresher.json';
+
+export const DEFAULT_PROGRAM_ID = focusFlow12Week.id;
+
+export const BUILT_IN_PROGRAMS = [focusFlow12Week, focusFlow4WeekRefresher];
@@ -0,0 +1,256 @@
+/**
+ * Service worker: offline support and daily session reminders.
+ *
+ * The app shell, both the modern and legacy bundles, is precached from the
+ * manifest the build injects, and navigations are answered with the cached
+ * index.html so the app opens offline. A new version waits until the page
+ * asks it to take over (see lib/pwa.js), so an open session is never
+ * reloaded under the user.
+ *
+ * The page sends the reminder schedule config whenever it changes; the
+ * worker persists it in IndexedDB together with snooze/skip state, so that
+ * reminders can be shown while the app is closed:
+ *
+ * - where Notification Triggers are available, the next reminder is handed
+ *   to the browser with a TimestampTrigger and fires without the worker;
+ * - otherwise the schedule is checked on periodic background sync, on
+ *   worker start-up and whenever the page asks, showing a reminder that is
+ *   due (or at most MISSED_REMINDER_GRACE_MS late).
+ */
+
+import { precacheAndRoute, cleanupOutdatedCaches, createHandlerBoundToURL } from 'workbox-precaching';
+import { NavigationRoute, registerRoute } from 'workbox-routing';
+import { createKeyValueStore } from './lib/idbKeyValue.js';
+import {
+  REMINDER_TAG,
+  SNOOZE_MINUTES,
+  MISSED_REMINDER_GRACE_MS,
+  REMINDER_KINDS,
+  getReminderContent,
+  getNextReminder
+} from './lib/reminderSchedule.js';
+import { toISODate } from './lib/weekProgression.js';
+
+precacheAndRoute(self.__WB_MANIFEST);
+cleanupOutdatedCaches();
+registerRoute(new NavigationRoute(createHandlerBoundToURL('index.html')));
+
+const store = createKeyValueStore('flowfocus-reminders', 'state');
+const STATE_KEY = 'reminderState';
+
+// Opened from a notification: the page starts today's session for this action
+// on the check-in screen (see src/lib/routes.js)
+const START_SESSION_URL = new URL('./?action=start-session#/checkin', self.registration.scope).href;
+
+const supportsTriggers = () =>
+  typeof self.TimestampTrigger !== 'undefined' && 'showTrigger' in Notification.prototype;
+
+let reminderTimeout = null;
+
+// Only effective while the worker stays alive; periodic sync and page
+// checks cover the rest
+const armTimeout = (nextAt) => {
+  if (reminderTimeout) {
+    clearTimeout(reminderTimeout);
+    reminderTimeout = null;
+  }
+  if (nextAt) {
+    reminderTimeout = setTimeout(() => checkReminders(), Math.min(nextAt - Date.now(), 2147483647));
+  }
+};
+
+const loadState = async () => {
+  const state = await store.get(STATE_KEY);
+  return state || {
+    config: { enabled: false, reminders: [] },
+    snoozedUntil: null,
+    snoozedKind: null,
+    skipDate: null,
+    nextAt: null,
+    nextKind: null,
+    triggeredAt: null
+  };
+};
+
+const reminderOptions = (kind, extra = {}) => ({
+  body: getReminderContent(kind).body,
+  icon: '/pwa-192x192.png',
+  badge: '/favicon.ico',
+  tag: REMINDER_TAG,
+  renotify: true,
+  data: { url: START_SESSION_URL, kind },
+  // A focus reset nudge has no session to start or skip
+  actions: kind === REMINDER_KINDS.NUDGE
+    ? [{ action: 'snooze', title: `Snooze ${SNOOZE_MINUTES} min` }]
+    : [
+      { action: 'start', title: 'Start now' },
+      { action: 'snooze', title: `Snooze ${SNOOZE_MINUTES} min` },
+      { action: 'skip', title: 'Skip today' }
+    ],
+  ...extra
+});
+
+const showReminder = (kind) =>
+  self.registration.showNotification(getReminderContent(kind).title, reminderOptions(kind));
+
+// Let open pages show the next reminder time
+const broadcastSchedule = async (state) => {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  const message = {
+    type: 'REMINDER_SCHEDULED',
+    nextAt: state.config.enabled ? state.nextAt : null,
+    kind: state.nextKind
+  };
+  windows.forEach(client => client.postMessage(message));
+};
+
+// Remove a reminder handed to the browser with a trigger that has not fired
+// yet; a triggered notification's timestamp is its trigger time
+const cancelTriggeredReminder = async () => {
+  const notifications = await self.registration.getNotifications({ tag: REMINDER_TAG, includeTriggered: true });
+  notifications
+    .filter(notification => notification.timestamp > Date.now())
+    .forEach(notification => notification.close());
+};
+
+/**
+ * Work out the next reminder, persist it and arm whatever mechanism this
+ * browser offers to show it.
+ */
+const scheduleNext = async (state) => {
+  const now = Date.now();
+  const next = getNextReminder(state.config, state, now);
+  const snoozeActive = Boolean(state.snoozedUntil && state.snoozedUntil > now);
+  const nextState = {
+    ...state,
+    snoozedUntil: snoozeActive ? state.snoozedUntil : null,
+    snoozedKind: snoozeActive ? state.snoozedKind : null,
+    nextAt: next ? next.at : null,
+    nextKind: next ? next.kind : null,
+    triggeredAt: null
+  };
+
+  if (supportsTriggers()) {
+    await cancelTriggeredReminder();
+    if (next) {
+      await self.registration.showNotification(
+        getReminderContent(next.kind).title,
+        reminderOptions(next.kind, { showTrigger: new self.TimestampTrigger(next.at) })
+      );
+      nextState.triggeredAt = next.at;
+    }
+  } else {
+    armTimeout(nextState.nextAt);
+  }
+
+  await store.set(STATE_KEY, nextState);
+  return nextState;
+};
+
+/**
+ * Show the reminder if it is due and not already delivered by a trigger,
+ * then schedule the following one.
+ * @returns {Promise<Object>} Current reminder state
+ */
+const checkReminders = async () => {
+  const state = await loadState();
+  if (!state.config.enabled) return state;
+
+  const now = Date.now();
+  if (!state.nextAt) {
+    return scheduleNext(state);
+  }
+  if (now < state.nextAt) {
+    if (!supportsTriggers()) armTimeout(state.nextAt);
+    return state;
+  }
+
+  const deliveredByTrigger = state.triggeredAt === state.nextAt;
+  if (!deliveredByTrigger && now - state.nextAt <= MISSED_REMINDER_GRACE_MS) {
+    await showReminder(state.nextKind);
+  }
+  return scheduleNext(state);
+};
+
+const updateState = async (changes) => {
+  const state = await loadState();
+  return scheduleNext({ ...state, ...changes });
+};
+
+// Focus an open app window, or open a new one at the given URL
+const focusApp = async (url, message) => {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  if (windows.length > 0) {
+    const client = windows[0];
+    if (message) client.postMessage(message);
+    return client.focus();
+  }
+  return self.clients.openWindow(url);
+};
+
+const openSession = () => focusApp(START_SESSION_URL, { type: 'START_SESSION' });
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim().then(checkReminders));
+});
+
+self.addEventListener('message', (event) => {
+  const message = event.data || {};
+  switch (message.type) {
+    case 'SCHEDULE_REMINDERS':
+      event.waitUntil(loadState().then(state => {
+        // The page re-sends its config on every load; only a real change
+        // reschedules and cancels a snooze (a skip for today stays in place)
+        if (JSON.stringify(state.config) === JSON.stringify(message.config)) {
+          return checkReminders();
+        }
+        return scheduleNext({ ...state, config: message.config, snoozedUntil: null, snoozedKind: null });
+      }).then(broadcastSchedule));
+      break;
+    case 'CHECK_REMINDERS':
+      event.waitUntil(checkReminders().then(broadcastSchedule));
+      break;
+    case 'SKIP_WAITING':
+      // The user accepted the update; the page reloads once this worker controls it
+      self.skipWaiting();
+      break;
+    default:
+      break;
+  }
+});
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === 'reminder-check') {
+    event.waitUntil(checkReminders());
+  }
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  if (event.notification.tag !== REMINDER_TAG) {
+    // Other notifications may link to a screen, e.g. { url: './#/progress' }
+    const url = event.notification.data && event.notification.data.url;
+    event.waitUntil(focusApp(url ? new URL(url, self.registration.scope).href : self.registration.scope));
+    return;
+  }
+
+  switch (event.action) {
+    case 'snooze':
+      event.waitUntil(updateState({
+        snoozedUntil: Date.now() + SNOOZE_MINUTES * 60 * 1000,
+        snoozedKind: (event.notification.data && event.notification.data.kind) || REMINDER_KINDS.SESSION
+      }).then(broadcastSchedule));
+      break;
+    case 'skip':
+      event.waitUntil(updateState({ skipDate: toISODate(new Date()), snoozedUntil: null, snoozedKind: null }).then(broadcastSchedule));
+      break;
+    default:
+      // "Start now" or a tap on the notification body; a nudge just opens the app
+      if (event.notification.data && event.notification.data.kind === REMINDER_KINDS.NUDGE) {
+        event.waitUntil(focusApp(self.registration.scope));
+      } else {
+        event.waitUntil(openSession());
+      }
+      break;
+  }
+});
@@ -1,8 +1,16 @@
+import { readFileSync } from 'node:fs'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import legacy from '@vitejs/plugin-legacy'
+import { VitePWA } from 'vite-plugin-pwa'
+
+const { version } = JSON.parse(readFileSync(new URL('./package.json', import.meta.url), 'utf-8'))
 
 export default defineConfig({
+  define: {
+    // Shown in crash reports (src/lib/crashReport.js)
+    __APP_VERSION__: JSON.stringify(version),
+  },
   plugins: [
     react(),
     legacy({
@@ -11,6 +19,36 @@ export default defineConfig({
       additionalLegacyPolyfills: ['regenerator-runtime/runtime'],
       renderLegacyChunks: true, // make sure legacy bundle is emitted
     }),
+    VitePWA({
+      // Custom service worker (src/sw.js): offline precache and background reminders
+      strategies: 'injectManifest',
+      srcDir: 'src',
+      filename: 'sw.js',
+      injectRegister: false, // registered from src/lib/pwa.js
+      manifest: {
+        name: 'Focus & Flow',
+        short_name: 'Focus & Flow',
+        description: 'Movement, mindfulness and focus training for ADHD',
+        start_url: '.',
+        scope: '.',
+        display: 'standalone',
+        background_color: '#ffffff',
+        theme_color: '#3b82f6',
+        icons: [
+          { src: 'pwa-192x192.png', sizes: '192x192', type: 'image/png' },
+          { src: 'pwa-512x512.png', sizes: '512x512', type: 'image/png' },
+          { src: 'pwa-512x512.png', sizes: '512x512', type: 'image/png', purpose: 'maskable' },
+        ],
+      },
+      injectManifest: {
+        // App shell, modern and legacy bundles and icons
+        globPatterns: ['index.html', 'assets/**/*.{js,css}', '*.{ico,png,svg}', 'manifest.webmanifest'],
+      },
+      devOptions: {
+        enabled: true,
+        type: 'module',
+      },
+    }),
   ],
   build: {
     target: 'es2015',